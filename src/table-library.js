@@ -6,37 +6,503 @@
 (function (global) {
   "use strict";
 
+  const HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+    "`": "&#96;",
+  };
+
+  const SHEETJS_CDN_URL =
+    "https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js";
+
+  const EXPORT_FORMATS = {
+    xlsx: { extension: "xlsx" },
+    csv: { extension: "csv", mime: "text/csv" },
+    tsv: { extension: "tsv", mime: "text/tab-separated-values" },
+    json: { extension: "json", mime: "application/json" },
+  };
+
+  /**
+   * Built-in UI strings, replaceable through the `messages` option. Values
+   * are strings with {placeholders} or functions of the params object.
+   */
+  const DEFAULT_MESSAGES = {
+    rowCount: "Showing {visible} of {total} rows",
+    rowRange: "Showing {start}–{end} of {visible} rows",
+    groupedRowCount: ({ visible, groups }) =>
+      `Showing ${visible} rows in ${groups} group${groups === 1 ? "" : "s"}`,
+    filteredFrom: "(filtered from {total})",
+    pageInfo: "Page {page} of {pages}",
+    firstPage: "First page",
+    previousPage: "Previous page",
+    nextPage: "Next page",
+    lastPage: "Last page",
+    rowsPerPage: "Rows per page",
+    pageSizeOption: "{size} / page",
+    filterPlaceholder: "Filter {heading}",
+    filterAll: "All",
+    filterFrom: "{heading} from",
+    filterTo: "{heading} to",
+    numberFilterHelp: "e.g. 100, > 100, <= 5, != 0 or 10..20",
+    textFilterHelp: "Contains text · =exact · ^starts with · /regex/",
+    filterResults: "{visible} of {total} rows match the filters",
+    yes: "Yes",
+    no: "No",
+    link: "Open",
+    blockedLink: "Blocked link",
+    action: "Action",
+    mark: "Mark",
+    emptyGroup: "(empty)",
+    showDetails: "Show details",
+    hideDetails: "Hide details",
+    objectKeys: ({ count }) => `${count} key${count === 1 ? "" : "s"}`,
+    arrayItems: ({ count }) => `${count} item${count === 1 ? "" : "s"}`,
+    selectAll: "Select all filtered rows",
+    selectedCount: "{count} selected",
+    clearSelection: "Clear selection",
+    columns: "☰ Columns",
+    columnsTitle: "Show or hide columns",
+    dragToReorder: "Drag to reorder",
+    dragToResize: "Drag to resize",
+    download: "Download Table Data",
+    exportLoading: "⏳ Loading...",
+    exportProgress: ({ count, total }) =>
+      `⏳ ${count}${total !== null && total !== undefined ? ` / ${total}` : ""} rows...`,
+    formatXlsx: "Excel (.xlsx)",
+    formatCsv: "CSV (.csv)",
+    formatTsv: "TSV (.tsv)",
+    formatJson: "JSON (.json)",
+    sheetName: "Sheet1",
+    loading: "Loading…",
+    loadError: ({ message }) =>
+      message ? `Failed to load data: ${message}` : "Failed to load data",
+    retry: "Retry",
+    enterNumber: "Enter a number",
+    enterDate: "Enter a date",
+    invalidValue: "Invalid value",
+    editSaveFailed: "Save failed",
+    editRejected: "Change was rejected",
+    cellsCopied: ({ count }) => `${count} cell${count === 1 ? "" : "s"} copied`,
+    cellsPasted: ({ count, skipped }) =>
+      `${count} cell${count === 1 ? "" : "s"} pasted${skipped ? `, ${skipped} skipped` : ""}`,
+    dropFile: "Drop a CSV, TSV or Excel file to load it",
+    importedColumn: "Column {index}",
+    importFailed: ({ message }) =>
+      message ? `Import failed: ${message}` : "Import failed",
+    aggregateSum: "sum",
+    aggregateAvg: "avg",
+    aggregateMin: "min",
+    aggregateMax: "max",
+    aggregateCount: "count",
+    aggregateDistinct: "distinct",
+  };
+
+  // Intl.DateTimeFormat options that select date/time fields
+  const DATE_FORMAT_FIELDS = [
+    "dateStyle",
+    "timeStyle",
+    "weekday",
+    "era",
+    "year",
+    "month",
+    "day",
+    "hour",
+    "minute",
+    "second",
+    "fractionalSecondDigits",
+    "timeZoneName",
+  ];
+
+  // Fields dropped when a value is shown as a plain date
+  const TIME_FORMAT_FIELDS = [
+    "timeStyle",
+    "hour",
+    "minute",
+    "second",
+    "fractionalSecondDigits",
+    "dayPeriod",
+    "hour12",
+    "hourCycle",
+    "timeZoneName",
+  ];
+
+  // formatRules: built-in icon sets (lowest to highest) and conditions
+  const ICON_SETS = {
+    arrows: ["▼", "▶", "▲"],
+    traffic: ["🔴", "🟡", "🟢"],
+    ratings: ["★☆☆", "★★☆", "★★★"],
+  };
+  const RULE_CONDITIONS = [
+    "eq",
+    "ne",
+    "gt",
+    "gte",
+    "lt",
+    "lte",
+    "between",
+    "before",
+    "after",
+    "in",
+    "contains",
+    "empty",
+  ];
+
+  /**
+   * Escape a value for use in HTML text or a quoted attribute
+   */
+  function escapeHTML(value) {
+    if (value === null || value === undefined) return "";
+    return String(value).replace(/[&<>"'`]/g, (ch) => HTML_ESCAPES[ch]);
+  }
+
+  /**
+   * A CSS colour from cell data, or null when it isn't a plain hex,
+   * rgb()/hsl() or named colour (so it can't inject other styles)
+   */
+  function safeColor(color) {
+    const value = String(color ?? "").trim();
+    return /^(#[\da-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%/]+\))$/i.test(value)
+      ? value
+      : null;
+  }
+
+  /**
+   * [r, g, b] of a "#rgb" / "#rrggbb" (alpha ignored) or rgb() / rgba()
+   * colour, or null for other forms (named colours, hsl())
+   */
+  function parseColor(color) {
+    const value = String(color ?? "").trim();
+    const hex = /^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.exec(value);
+    if (hex) {
+      const digits =
+        hex[1].length <= 4 ? hex[1].replace(/./g, (ch) => ch + ch) : hex[1];
+      return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+    }
+
+    const rgb = /^rgba?\(([^)]*)\)$/i.exec(value);
+    if (!rgb) return null;
+    const channels = rgb[1]
+      .split(/[\s,/]+/)
+      .filter(Boolean)
+      .slice(0, 3)
+      .map((part) =>
+        part.endsWith("%") ? parseFloat(part) * 2.55 : parseFloat(part),
+      );
+    return channels.length === 3 && channels.every((n) => isFinite(n))
+      ? channels.map((n) => Math.round(Math.max(0, Math.min(255, n))))
+      : null;
+  }
+
+  /**
+   * Options of a select cell as [{ value, label }]
+   */
+  function getSelectOptions(cell) {
+    return (cell.options || []).map((option) =>
+      option && typeof option === "object"
+        ? { value: option.value, label: String(option.label ?? option.value) }
+        : { value: option, label: String(option) },
+    );
+  }
+
+  /**
+   * Filled share (0–1) of a progress cell, or null without a number
+   */
+  function getProgressRatio(cell) {
+    const value = Number(cell.value);
+    const max = Number(cell.max ?? 100);
+    if (cell.value === null || cell.value === "" || !isFinite(value)) {
+      return null;
+    }
+    return max > 0 ? Math.max(0, Math.min(1, value / max)) : null;
+  }
+
+  const BADGE_TONES = ["neutral", "success", "warning", "error", "info"];
+  const BUTTON_VARIANTS = ["primary", "secondary", "danger"];
+
+  /**
+   * Built-in cell types. They use the same hooks as registerCellType():
+   * render(cell, { rowIndex, colIndex, table, escapeHTML }) returns HTML,
+   * text(cell, context) the display / export text, and sortValue and
+   * filterValue the typed values used for sorting and filtering.
+   */
+  const BUILTIN_CELL_TYPES = {
+    // Status pill: { type: "badge", value, tone, tones: { value: tone }, color }
+    badge: {
+      render(cell) {
+        const tone = cell.tone ?? (cell.tones || {})[cell.value];
+        const color = safeColor(cell.color);
+        return `<span class="table-library-badge table-library-badge-${
+          BADGE_TONES.includes(tone) ? tone : "neutral"
+        }"${color ? ` style="background-color:${color};"` : ""}>${escapeHTML(
+          cell.label ?? cell.value,
+        )}</span>`;
+      },
+      text: (cell) => String(cell.label ?? cell.value ?? ""),
+      filterValue: (cell) => cell.value ?? null,
+    },
+
+    // { type: "progress", value, max = 100, label, tone }
+    progress: {
+      render(cell, { table }) {
+        const ratio = getProgressRatio(cell);
+        if (ratio === null) return '<span class="table-library-null">-</span>';
+
+        const tone = BADGE_TONES.includes(cell.tone)
+          ? ` table-library-progress-${cell.tone}`
+          : "";
+        return `<div class="table-library-progress${tone}" role="progressbar" aria-valuemin="0" aria-valuemax="${escapeHTML(
+          cell.max ?? 100,
+        )}" aria-valuenow="${escapeHTML(cell.value)}"><div class="table-library-progress-bar" style="width:${
+          Math.round(ratio * 1000) / 10
+        }%;"></div><span class="table-library-progress-text">${escapeHTML(
+          table.getCellTextContent(cell),
+        )}</span></div>`;
+      },
+      text(cell, { table }) {
+        const ratio = getProgressRatio(cell);
+        if (ratio === null) return "";
+        return cell.label ?? table.formatPercent(ratio);
+      },
+      filterValue(cell) {
+        const value = Number(cell.value);
+        return cell.value !== null && isFinite(value) ? value : null;
+      },
+    },
+
+    // Thumbnail / avatar: { type: "image", value: url, alt, label, width,
+    // height, shape: "circle" | "rounded" | "square" }
+    image: {
+      render(cell, { table }) {
+        const src = table.sanitizeUrl(cell.value);
+        const alt = cell.alt ?? cell.label ?? "";
+        const label =
+          cell.label !== undefined
+            ? `<span class="table-library-image-label">${escapeHTML(cell.label)}</span>`
+            : "";
+        if (src === null) {
+          return `<span class="table-library-image-cell">${label || `<span class="table-library-url-blocked">${escapeHTML(alt)}</span>`}</span>`;
+        }
+
+        const width = parseInt(cell.width) || 32;
+        const height = parseInt(cell.height) || width;
+        const shape = ["circle", "rounded", "square"].includes(cell.shape)
+          ? cell.shape
+          : "rounded";
+        return `<span class="table-library-image-cell"><img class="table-library-image table-library-image-${shape}" src="${escapeHTML(
+          src,
+        )}" alt="${escapeHTML(alt)}" width="${width}" height="${height}" loading="lazy" />${label}</span>`;
+      },
+      text: (cell) => String(cell.label ?? cell.alt ?? ""),
+    },
+
+    // Inline dropdown: { type: "select", value, options, function, disabled }.
+    // A change is saved like an edit (onCellEdit, undo), then the action runs.
+    select: {
+      render(cell, { colIndex, table }) {
+        const options = getSelectOptions(cell);
+        const current = String(cell.value ?? "");
+        if (!options.some((option) => String(option.value) === current)) {
+          options.unshift({ value: cell.value ?? "", label: current });
+        }
+
+        const heading =
+          colIndex === null ? "" : table.processedHeadings[colIndex];
+        return `<select class="table-library-cell-select" tabindex="-1" aria-label="${escapeHTML(
+          heading,
+        )}"${cell.disabled ? " disabled" : ""}>${options
+          .map(
+            (option) =>
+              `<option value="${escapeHTML(option.value)}"${
+                String(option.value) === current ? " selected" : ""
+              }>${escapeHTML(option.label)}</option>`,
+          )
+          .join("")}</select>`;
+      },
+      text(cell) {
+        const match = getSelectOptions(cell).find(
+          (option) => String(option.value) === String(cell.value ?? ""),
+        );
+        return match ? match.label : String(cell.value ?? "");
+      },
+      filterValue: (cell) => cell.value ?? null,
+    },
+
+    // Several actions: { type: "buttons", buttons: [{ function, placeholder,
+    // icon, variant: "primary" | "secondary" | "danger", title, disabled }] }
+    buttons: {
+      render(cell, { rowIndex, table }) {
+        return `<div class="table-library-action-cell table-library-button-group">${(
+          cell.buttons || []
+        )
+          .map((button) => {
+            const label = button.placeholder ?? table.getMessage("action");
+            const variant = BUTTON_VARIANTS.includes(button.variant)
+              ? ` table-library-action-btn-${button.variant}`
+              : "";
+            const icon = button.icon
+              ? `<span class="table-library-btn-icon" aria-hidden="true">${escapeHTML(button.icon)}</span>`
+              : "";
+            // Icon-only buttons keep their label for screen readers
+            const content = button.iconOnly
+              ? `${icon}<span class="table-library-visually-hidden">${escapeHTML(label)}</span>`
+              : `${icon}${escapeHTML(label)}`;
+            return `<button type="button" class="table-library-action-btn${variant}" tabindex="-1" data-fn="${escapeHTML(
+              button.function,
+            )}" data-row-index="${rowIndex}"${
+              button.title ? ` title="${escapeHTML(button.title)}"` : ""
+            }${button.disabled ? " disabled" : ""}>${content}</button>`;
+          })
+          .join("")}</div>`;
+      },
+      text: (cell, { table }) =>
+        (cell.buttons || [])
+          .map((button) => button.placeholder ?? table.getMessage("action"))
+          .join(", "),
+    },
+  };
+
   class TableLibrary {
     /**
-     * Initialize the table library with configuration
+     * Initialize the table library with configuration. `mount` is "render"
+     * (fill the container), "hydrate" (reuse server-rendered markup) or
+     * false (no DOM, for renderToString).
      */
-    constructor(config = {}) {
+    constructor(config = {}, mount = "render") {
       this.config = {
         container: config.container || "body",
         headings: config.headings || [],
+        columns: config.columns || null,
         data: config.data || [],
+        dataSource: config.dataSource || null,
         tableID: config.tableID || "smart-table-" + Date.now(),
         hideColumns: config.hideColumns || [],
         modifyConfig: config.modifyConfig || {},
         downloadConfig: config.downloadConfig || {},
         widthConfig: config.widthConfig || {},
+        columnConfig: config.columnConfig || {},
+        columnState: config.columnState || null,
+        pinnedColumns: config.pinnedColumns || null,
+        onColumnStateChange: config.onColumnStateChange || null,
+        stateKey: config.stateKey || null,
+        stateVersion: config.stateVersion || 1,
+        urlState: config.urlState || false,
+        sortConfig: config.sortConfig || {},
+        groupBy: config.groupBy || null,
+        aggregateConfig: config.aggregateConfig || {},
+        formatRules: config.formatRules || [],
+        filterConfig: config.filterConfig || {},
+        cellTypes: config.cellTypes || {},
+        rowKey: config.rowKey || null,
+        selection: config.selection || false,
+        onSelectionChange: config.onSelectionChange || null,
+        expandableRows: config.expandableRows || false,
+        renderDetail: config.renderDetail || null,
+        editConfig: config.editConfig || {},
+        onCellEdit: config.onCellEdit || null,
+        clipboard: config.clipboard || false,
+        importConfig: config.importConfig || {},
+        pagination: config.pagination || false,
+        virtualScroll: config.virtualScroll || false,
+        streamConfig: config.streamConfig || {},
         height: config.height || null,
         onRowClick: config.onRowClick || null,
+        actions: config.actions || {},
+        onCheckboxChange: config.onCheckboxChange || null,
+        legacyGlobalActions: config.legacyGlobalActions || false,
+        allowedUrlSchemes: config.allowedUrlSchemes || [
+          "http",
+          "https",
+          "mailto",
+          "tel",
+        ],
+        sanitizeHTML: config.sanitizeHTML || null,
+        ariaLabel: config.ariaLabel || null,
+        locale: config.locale || "en-IN",
+        timeZone: config.timeZone || undefined,
+        numberFormat: config.numberFormat || null,
+        dateFormat: config.dateFormat || null,
+        formatConfig: config.formatConfig || {},
+        dateOnly: config.dateOnly ?? "utc",
+        messages: config.messages || {},
         ...config,
       };
 
-
       this.processedData = [];
       this.processedHeadings = [];
       this.filteredData = [];
       this.displayData = []; // Data as shown in table (with modifications)
+      this.sortState = null; // [{ index, direction }] in priority order
+      this.viewIndexes = []; // processedData indexes after filter + sort
+      this.currentPage = 0;
+      this.checkboxState = {}; // "rowIndex:colIndex" -> checked
+      this.checkedRowIndexes = new Set(); // Rows highlighted by a checkbox
+      this.searchText = null; // Lowercased cell text cache for filtering
+      this.filterTypes = []; // Resolved filter type per column
+      this.virtualRange = null;
+      this.rowKeys = []; // Row key per processedData index
+      this.keyIndex = new Map(); // Row key -> processedData index
+      this.selectedKeys = new Set(); // Row keys of selected rows
+      this.selectionAnchor = null; // Row index where a Shift+click range starts
+      this.expandedKeys = new Set(); // Row keys with an open detail row
+      this.changes = new Map(); // rowKey -> Map(colIndex -> { original, value })
+      this.undoStack = [];
+      this.redoStack = [];
+      this.activeEditor = null; // { td, rowIndex, colIndex, options }
+      this.columnDefs = null; // Heading -> column definition (columns config)
+      this.columnKeys = null; // Column key -> heading
+      this.sourceRows = new WeakMap(); // Row array -> object it was read from
+      this.ownedData = null; // config.data array the table may change in place
+      this.ownedRows = new WeakSet(); // Row arrays the table may change in place
+      this.columnOrder = null; // processedData column indexes in display order
+      this.hiddenColumns = new Set(); // Column indexes hidden from the chooser
+      this.columnWidths = {}; // Heading -> width (px) set by resizing
+      this.pinned = new Map(); // Column index -> "left" | "right"
+      this.resizing = null; // { colIndex, startX, startWidth, moved }
+      this.dragColumn = null; // Column index being dragged to a new position
+      this.groupBy = this.config.groupBy; // Heading(s) rows are grouped by
+      this.collapsedGroups = new Set(); // Keys of collapsed groups
+      this.bodyEntries = null; // Row indexes + group rows for viewIndexes
+      this.renderOffset = 0; // Body entries before the first rendered row
+      this.activeCell = null; // { row: aria-rowindex, col } with tabindex 0
+      this.cellRange = null; // { anchor, focus } as { row: aria-rowindex, col: visible position }
+      this.rangeDragging = false; // Mouse button held since a range started
+      this.announceResults = false; // Announce the row count after filtering
+      this.remote = {
+        total: 0, // Row count reported by the dataSource
+        status: "idle", // idle | loading | error
+        requestId: 0, // Responses of older requests are dropped
+        controller: null, // AbortController of the pending request
+        exportController: null, // AbortController of a running export
+      };
+      this.messages = { ...DEFAULT_MESSAGES, ...this.config.messages };
+      this.formatters = new Map(); // Cached Intl formatters by column
+      this.formatRules = null; // Resolved formatRules (rebuilt by init)
+      this.actions = { ...this.config.actions }; // Action name -> handler
+      this.cellTypes = new Map(
+        Object.entries({ ...BUILTIN_CELL_TYPES, ...this.config.cellTypes }),
+      ); // Cell `type` -> { render, text, sortValue, filterValue }
+      this.containerEl = null; // Element the table is mounted into
+      this.root = null; // .table-library-container of this instance
+      this.listeners = []; // [target, type, handler, options] for cleanup
+      this.streams = new Set(); // Controllers of running stream() calls
+      this.timers = new Set();
+      this.frames = new Set();
 
-      this.init();
+      this.applyColumnDefinitions();
+      if (!mount) return;
+      this.init({ hydrate: mount === "hydrate" });
+
+      // Bring back the saved view (localStorage and/or URL query)
+      if (this.config.stateKey || this.config.urlState) this.restoreState();
 
       // Preload SheetJS if configured (for instant first-click downloads)
       if (
         this.config.downloadConfig.enable &&
-        this.config.downloadConfig.preloadExcelLibrary
+        this.config.downloadConfig.preloadExcelLibrary &&
+        this.getExportFormats().includes("xlsx")
       ) {
         this.loadSheetJS().catch((err) => {
           console.warn("Failed to preload SheetJS:", err);
@@ -45,38 +511,218 @@
     }
 
     /**
-     * Format dates in a user-friendly way
+     * PUBLIC API: Render a table to an HTML string without a DOM (Node,
+     * emails, PDF reports). Takes the same config as initTableLibrary;
+     * rows come from `data` (a dataSource isn't fetched).
+     */
+    static renderToString(config = {}) {
+      const table = new TableLibrary(config, false);
+      table.prepareData();
+      return table
+        .generateHTML(table.processedHeadings, table.processedData)
+        .trim();
+    }
+
+    /**
+     * PUBLIC API: Attach to markup from renderToString() in `container`
+     * without re-rendering it. Pass the config the server rendered with.
+     */
+    static hydrate(config = {}) {
+      return new TableLibrary(config, "hydrate");
+    }
+
+    /**
+     * Look up a UI string from `messages` and fill in its {placeholders}
+     */
+    getMessage(key, params = {}) {
+      const message = this.messages[key] ?? DEFAULT_MESSAGES[key] ?? key;
+      if (typeof message === "function") {
+        try {
+          return String(message(params) ?? "");
+        } catch (err) {
+          console.error(`Error in message "${key}":`, err);
+          return "";
+        }
+      }
+      return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined && params[name] !== null
+          ? params[name]
+          : match,
+      );
+    }
+
+    /**
+     * formatConfig entry for a column (by heading), or null
+     */
+    getFormatOptions(colIndex) {
+      if (colIndex === null || colIndex === undefined) return null;
+      return this.config.formatConfig[this.processedHeadings[colIndex]] || null;
+    }
+
+    /**
+     * Cached Intl formatter for a column; `build` creates it on first use
+     */
+    getFormatter(key, build) {
+      if (!this.formatters.has(key)) {
+        try {
+          this.formatters.set(key, build());
+        } catch (err) {
+          console.error(`TableLibrary: invalid format options (${key}):`, err);
+          this.formatters.set(key, null);
+        }
+      }
+      return this.formatters.get(key);
+    }
+
+    /**
+     * Format a number with the column's Intl.NumberFormat options
+     * (formatConfig, then numberFormat). Unformatted columns show it as is.
+     */
+    formatNumber(value, colIndex = null) {
+      const column = { ...this.getFormatOptions(colIndex) };
+      const locale = column.locale || this.config.locale;
+      ["locale", "dateOnly", "timeZone", ...DATE_FORMAT_FIELDS].forEach(
+        (field) => delete column[field],
+      );
+
+      const options = Object.keys(column).length
+        ? column
+        : this.config.numberFormat;
+      if (!options) return String(value);
+
+      const formatter = this.getFormatter(
+        `number:${colIndex}`,
+        () => new Intl.NumberFormat(locale, options),
+      );
+      return formatter ? formatter.format(value) : String(value);
+    }
+
+    /**
+     * Format dates in a user-friendly way (locale, timeZone, dateFormat and
+     * the column's formatConfig). Plain dates are shown without a time.
      */
-    formatDateOrTimestamp(dateObj) {
+    formatDateOrTimestamp(dateObj, colIndex = null) {
       if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) return "";
 
-      const isDateOnly =
-        dateObj.getUTCHours() === 0 &&
-        dateObj.getUTCMinutes() === 0 &&
-        dateObj.getUTCSeconds() === 0;
+      const dateOnly = this.isDateOnly(dateObj, colIndex);
+      const formatter = this.getFormatter(
+        `date:${colIndex}:${dateOnly}`,
+        () => {
+          const column = { ...this.getFormatOptions(colIndex) };
+          const locale = column.locale || this.config.locale;
+          delete column.locale;
+          delete column.dateOnly;
+          const custom = DATE_FORMAT_FIELDS.some((field) => field in column)
+            ? column
+            : this.config.dateFormat;
 
-      const options = isDateOnly
-        ? { day: "2-digit", month: "short", year: "numeric" }
-        : {
-            day: "2-digit",
-            month: "short",
-            year: "numeric",
-            hour: "2-digit",
-            minute: "2-digit",
-            hour12: true,
+          let options = custom
+            ? { ...custom }
+            : {
+                day: "2-digit",
+                month: "short",
+                year: "numeric",
+                hour: "2-digit",
+                minute: "2-digit",
+                // Keep the 12-hour clock unless a locale picks its own
+                ...(this.config.locale === "en-IN" ? { hour12: true } : {}),
+              };
+          if (dateOnly) {
+            TIME_FORMAT_FIELDS.forEach((field) => delete options[field]);
+          }
+
+          options = {
+            timeZone: column.timeZone || this.config.timeZone,
+            ...options,
           };
+          // A UTC-midnight date is a calendar day; don't shift it by zone
+          if (dateOnly && this.getDateOnlyMode(colIndex) === "utc") {
+            options.timeZone = "UTC";
+          }
+          if (!options.timeZone) delete options.timeZone;
 
-      return new Intl.DateTimeFormat("en-IN", options).format(dateObj);
+          return new Intl.DateTimeFormat(locale, options);
+        },
+      );
+      return formatter ? formatter.format(dateObj) : dateObj.toISOString();
+    }
+
+    /**
+     * dateOnly setting for a column (formatConfig entry, then the option)
+     */
+    getDateOnlyMode(colIndex = null) {
+      const column = this.getFormatOptions(colIndex);
+      return column && column.dateOnly !== undefined
+        ? column.dateOnly
+        : this.config.dateOnly;
+    }
+
+    /**
+     * Whether a date is shown as a plain date (no time). dateOnly: "utc"
+     * (midnight UTC, the default), "local" (midnight in timeZone or the
+     * browser's zone), "always", "never" or a function(date, colIndex).
+     */
+    isDateOnly(dateObj, colIndex = null) {
+      const mode = this.getDateOnlyMode(colIndex);
+
+      if (typeof mode === "function") {
+        try {
+          return !!mode(dateObj, colIndex);
+        } catch (err) {
+          console.error("Error in dateOnly:", err);
+          return false;
+        }
+      }
+      if (mode === "always") return true;
+      if (mode === "never") return false;
+
+      if (mode === "local") {
+        const timeZone =
+          (this.getFormatOptions(colIndex) || {}).timeZone ||
+          this.config.timeZone;
+        if (!timeZone) {
+          return (
+            dateObj.getHours() === 0 &&
+            dateObj.getMinutes() === 0 &&
+            dateObj.getSeconds() === 0
+          );
+        }
+        const formatter = this.getFormatter(
+          `midnight:${timeZone}`,
+          () =>
+            new Intl.DateTimeFormat("en-US", {
+              timeZone,
+              hour: "numeric",
+              minute: "numeric",
+              second: "numeric",
+              hourCycle: "h23",
+            }),
+        );
+        return (
+          !!formatter &&
+          formatter
+            .formatToParts(dateObj)
+            .filter((part) => part.type !== "literal")
+            .every((part) => Number(part.value) === 0)
+        );
+      }
+
+      return (
+        dateObj.getUTCHours() === 0 &&
+        dateObj.getUTCMinutes() === 0 &&
+        dateObj.getUTCSeconds() === 0
+      );
     }
 
     /**
      * Apply user-defined modifications to specific cells or columns
      */
-    applyModifications(data, headings) {
+    applyModifications(data, headings, startIndex = 0) {
       if (!this.config.modifyConfig) return data;
 
-      return data.map((row, rowIndex) =>
-        row.map((cell, colIndex) => {
+      return data.map((row, i) => {
+        const rowIndex = startIndex + i;
+        return row.map((cell, colIndex) => {
           const heading = headings[colIndex];
           const ruleByHeading = this.config.modifyConfig[heading];
           const ruleByIndex =
@@ -97,30 +743,254 @@
             );
           }
           return modified;
-        }),
-      );
+        });
+      });
+    }
+
+    /**
+     * Map `columns` definitions onto headings and the heading-keyed configs
+     * (modifyConfig, widthConfig, hideColumns, filterConfig, sortConfig,
+     * aggregateConfig, formatConfig, pinnedColumns).
+     * Entries already set in those configs take precedence.
+     */
+    applyColumnDefinitions() {
+      const { columns } = this.config;
+      if (!Array.isArray(columns) || !columns.length) return;
+
+      const modifyConfig = {};
+      const widthConfig = {};
+      const filterConfig = {};
+      const aggregateConfig = {};
+      const formatConfig = {};
+      const hidden = [];
+      const unsortable = [];
+      const pinned = { left: [], right: [] };
+      this.columnDefs = new Map();
+      this.columnKeys = new Map();
+
+      this.config.headings = columns.map((column, i) => {
+        const heading = String(column.label ?? column.key ?? `Column ${i + 1}`);
+        this.columnDefs.set(heading, column);
+        if (column.key !== undefined) {
+          this.columnKeys.set(String(column.key), heading);
+        }
+
+        if (typeof column.format === "function") {
+          modifyConfig[heading] = column.format;
+        } else if (column.format && typeof column.format === "object") {
+          formatConfig[heading] = column.format;
+        }
+        if (column.width) widthConfig[heading] = column.width;
+        if (column.aggregate) aggregateConfig[heading] = column.aggregate;
+        if (column.hidden) hidden.push(heading);
+        if (column.pinned === "left" || column.pinned === "right") {
+          pinned[column.pinned].push(heading);
+        }
+        if (column.sortable === false) unsortable.push(heading);
+        if (column.filter !== undefined) {
+          filterConfig[heading] = column.filter;
+        } else if (
+          ["text", "number", "date", "boolean", "enum"].includes(column.type)
+        ) {
+          filterConfig[heading] = column.type;
+        }
+        return heading;
+      });
+
+      const { hideColumns, sortConfig } = this.config;
+      this.config.modifyConfig = {
+        ...modifyConfig,
+        ...this.config.modifyConfig,
+      };
+      this.config.widthConfig = { ...widthConfig, ...this.config.widthConfig };
+      this.config.filterConfig = {
+        ...filterConfig,
+        ...this.config.filterConfig,
+      };
+      this.config.aggregateConfig = {
+        ...aggregateConfig,
+        ...this.config.aggregateConfig,
+      };
+      this.config.formatConfig = {
+        ...formatConfig,
+        ...this.config.formatConfig,
+      };
+      this.config.hideColumns = [
+        ...hidden,
+        ...(Array.isArray(hideColumns) ? hideColumns : [hideColumns]),
+      ];
+      this.config.sortConfig = {
+        ...sortConfig,
+        exclude: [...unsortable, ...(sortConfig.exclude || [])],
+      };
+      const pinnedColumns = this.config.pinnedColumns || {};
+      this.config.pinnedColumns = {
+        left: [...pinned.left, ...[].concat(pinnedColumns.left || [])],
+        right: [...pinned.right, ...[].concat(pinnedColumns.right || [])],
+      };
+      this.config.data = this.normalizeRows(this.config.data);
+    }
+
+    /**
+     * Heading for a column key from the columns config (headings pass through)
+     */
+    resolveHeading(name) {
+      if (this.columnKeys && this.columnKeys.has(String(name))) {
+        return this.columnKeys.get(String(name));
+      }
+      return name;
+    }
+
+    /**
+     * Column definition for a processed (visible) column index, if any
+     */
+    getColumnDefinition(colIndex) {
+      return this.columnDefs
+        ? this.columnDefs.get(this.processedHeadings[colIndex]) || null
+        : null;
+    }
+
+    /**
+     * Turn object rows into row arrays through the column accessors and
+     * coerce values to the column type. Without `columns` rows pass through.
+     */
+    normalizeRows(rows) {
+      const { columns } = this.config;
+      if (!this.columnDefs || !Array.isArray(rows)) return rows;
+
+      return rows.map((row) => {
+        if (Array.isArray(row)) {
+          const values = row.map((value, i) =>
+            this.coerceValue(value, columns[i] && columns[i].type, columns[i]),
+          );
+          if (this.sourceRows.has(row)) {
+            this.sourceRows.set(values, this.sourceRows.get(row));
+          }
+          return values;
+        }
+
+        const values = columns.map((column) =>
+          this.coerceValue(
+            this.readColumnValue(row, column),
+            column.type,
+            column,
+          ),
+        );
+        this.sourceRows.set(values, row);
+        return values;
+      });
+    }
+
+    /**
+     * Read a column's value from an object row: accessor function,
+     * dotted path ("user.name") or key
+     */
+    readColumnValue(row, column) {
+      const accessor = column.accessor ?? column.key;
+      if (row === null || row === undefined) return undefined;
+
+      try {
+        if (typeof accessor === "function") return accessor(row);
+        if (accessor === undefined || accessor === null) return undefined;
+        if (accessor in row) return row[accessor];
+
+        return String(accessor)
+          .split(".")
+          .reduce(
+            (value, part) =>
+              value === null || value === undefined ? undefined : value[part],
+            row,
+          );
+      } catch (err) {
+        console.error(
+          `TableLibrary: accessor for ${column.label ?? column.key} failed:`,
+          err,
+        );
+        return undefined;
+      }
+    }
+
+    /**
+     * Convert API values (numeric strings, ISO dates, "true"/"false") to
+     * the declared column type so sorting, filtering and export stay typed.
+     * Plain values of a cell-type column become `{ type, ...column.cell, value }`.
+     */
+    coerceValue(value, type, column = null) {
+      switch (type) {
+        case "number":
+          if (typeof value === "string" && value.trim() !== "") {
+            const num = Number(value);
+            if (!isNaN(num)) return num;
+          }
+          return value;
+
+        case "date":
+          if (typeof value === "string" || typeof value === "number") {
+            const date = new Date(value);
+            if (value !== "" && !isNaN(date.getTime())) return date;
+          }
+          return value;
+
+        case "boolean":
+          if (value === "true") return true;
+          if (value === "false") return false;
+          return value;
+
+        default:
+          if (
+            this.cellTypes.has(type) &&
+            value !== null &&
+            value !== undefined &&
+            typeof value !== "object"
+          ) {
+            return { ...(column && column.cell), type, value };
+          }
+          return value;
+      }
     }
 
     /**
      * Hide specified columns from the table
      */
     hideColumns(headings, data) {
+      const hideIndexes = this.getHiddenColumnIndexes(headings);
+
+      return {
+        headings: headings.filter((_, i) => !hideIndexes.includes(i)),
+        data: data.map((row) => row.filter((_, i) => !hideIndexes.includes(i))),
+      };
+    }
+
+    /**
+     * Raw column indexes removed by hideColumns
+     */
+    getHiddenColumnIndexes(headings) {
       const hideCols = Array.isArray(this.config.hideColumns)
         ? this.config.hideColumns
         : [this.config.hideColumns];
 
-      const hideIndexes = hideCols
-        .map((col) => (typeof col === "number" ? col : headings.indexOf(col)))
+      return hideCols
+        .map((col) =>
+          typeof col === "number"
+            ? col
+            : headings.indexOf(this.resolveHeading(col)),
+        )
         .filter((i) => i >= 0);
+    }
 
-      return {
-        headings: headings.filter((_, i) => !hideIndexes.includes(i)),
-        data: data.map((row) => row.filter((_, i) => !hideIndexes.includes(i))),
-      };
+    /**
+     * Map a processed (visible) column index to its index in config.data rows
+     */
+    getRawColumnIndex(colIndex) {
+      const hidden = this.getHiddenColumnIndexes(this.config.headings);
+      const visible = this.config.headings
+        .map((_, i) => i)
+        .filter((i) => !hidden.includes(i));
+      return visible[colIndex];
     }
 
     generateHTML(headings, data) {
-      const { tableID, downloadConfig, widthConfig } = this.config;
+      const { tableID, downloadConfig } = this.config;
 
       const isTopDownload =
         downloadConfig.enable &&
@@ -139,13 +1009,27 @@
         ? this.generateDownloadButton("bottom")
         : "";
 
+      // The column chooser sits in the top bar, next to a top download button
+      const columnMenuHTML = this.config.columnConfig.chooser
+        ? this.generateColumnMenu()
+        : "";
+      const withTools = (downloadHTML) =>
+        columnMenuHTML
+          ? `<div class="table-library-tools">${columnMenuHTML}${downloadHTML}</div>`
+          : downloadHTML;
+
       // Row count badge HTML
       const totalRows = data.length;
-      const rowCountHTML = `<span class="table-library-row-count" id="${tableID}-row-count">Showing ${totalRows} of ${totalRows} rows</span>`;
+      const badgeHTML = `<span class="table-library-row-count" id="${tableID}-row-count">${this.getRowCountText(this.viewIndexes.length, totalRows)}</span>`;
+
+      // Bulk-action toolbar sits next to the row count badge
+      const rowCountHTML = this.getSelectionOptions()
+        ? `<div class="table-library-status">${badgeHTML}${this.generateBulkToolbar()}</div>`
+        : badgeHTML;
 
       // Build the top bar: row count + download button (if top position)
       let topBarHTML = "";
-      if (isTopDownload || !isBottomDownload) {
+      if (isTopDownload || !isBottomDownload || columnMenuHTML) {
         // Determine layout based on download button position
         let topBarJustify = "flex-start"; // default: row count on left
         let topBarContent = "";
@@ -153,20 +1037,25 @@
         if (isTopDownload) {
           if (downloadConfig.position === "top-right") {
             // Download on right → row count on left
-            topBarContent = `${rowCountHTML}${topDownloadButtonHTML}`;
+            topBarContent = `${rowCountHTML}${withTools(topDownloadButtonHTML)}`;
             topBarJustify = "space-between";
           } else if (downloadConfig.position === "top-left") {
             // Download on left → row count on right
-            topBarContent = `${topDownloadButtonHTML}${rowCountHTML}`;
+            topBarContent = `${withTools(topDownloadButtonHTML)}${rowCountHTML}`;
             topBarJustify = "space-between";
           } else {
             // Download center → row count on left
-            topBarContent = `${rowCountHTML}${topDownloadButtonHTML}`;
+            topBarContent = `${rowCountHTML}${withTools(topDownloadButtonHTML)}`;
             topBarJustify = "space-between";
           }
+        } else if (isBottomDownload) {
+          // Row count is in the bottom bar → only the column chooser here
+          topBarContent = withTools("");
+          topBarJustify = "flex-end";
         } else {
           // No top download button → row count on left
-          topBarContent = rowCountHTML;
+          topBarContent = `${rowCountHTML}${withTools("")}`;
+          if (columnMenuHTML) topBarJustify = "space-between";
         }
 
         topBarHTML = `<div class="table-library-top-bar" style="display:flex;align-items:center;justify-content:${topBarJustify};padding:10px 20px;gap:12px;flex-wrap:wrap;">${topBarContent}</div>`;
@@ -178,17 +1067,18 @@
         bottomBarHTML = `<div class="table-library-bottom-bar" style="display:flex;align-items:center;justify-content:space-between;padding:10px 20px;gap:12px;flex-wrap:wrap;">${rowCountHTML}${bottomDownloadButtonHTML}</div>`;
       }
 
-      // Build width style for th/td
-      const getWidthStyle = (heading) => {
-        if (widthConfig && widthConfig[heading]) {
-          return ` style="width:${widthConfig[heading]}px;min-width:${widthConfig[heading]}px;max-width:${widthConfig[heading]}px;"`;
-        }
-        return "";
-      };
+      const paginationHTML = this.getPaginationOptions()
+        ? this.generatePaginationControls()
+        : "";
 
       const getScrollerStyle = () => {
-        if (!this.config.height) return "";
-        const h = this.config.height;
+        // Virtual scrolling needs a bounded viewport to window rows against
+        const h =
+          this.config.height ||
+          (this.getVirtualScrollOptions()
+            ? this.getVirtualScrollOptions().height
+            : null);
+        if (!h) return "";
         const heightValue = typeof h === "number" ? `${h}px` : h;
         // Check if it's a fixed height or max height preference
         // If it's a small value or specific unit, we might want it as height instead of max-height
@@ -197,47 +1087,32 @@
       };
 
       let tableHTML = `
-        <div class="table-library-container">
+        <div class="table-library-container"${
+          this.config.importConfig.dropZone
+            ? ` data-drop-label="${escapeHTML(this.getMessage("dropFile"))}"`
+            : ""
+        }>
           ${topBarHTML}
           
+          <div class="table-library-live" role="status" aria-live="polite" aria-atomic="true"></div>
+
           <div class="table-library-scroller"${getScrollerStyle()}>
-            <table id="${tableID}">
+            <table id="${tableID}" role="grid"${
+              this.config.ariaLabel
+                ? ` aria-label="${escapeHTML(this.config.ariaLabel)}"`
+                : ""
+            }${this.getSelectionOptions() ? ' aria-multiselectable="true"' : ""}>
               <thead>
-                <tr>
-                  ${headings
-                    .map(
-                      (heading, i) => `
-                    <th${getWidthStyle(heading)}>
-                      <div>${heading}</div>
-                      <input type="text" placeholder="Filter ${heading}" />
-                    </th>
-                  `,
-                    )
-                    .join("")}
-                </tr>
+                <tr aria-rowindex="1">${this.renderHeaderCells()}</tr>
               </thead>
               <tbody>
-                ${data
-                  .map(
-                    (row, rowIndex) => `
-                  <tr data-row-index="${rowIndex}">
-                    ${row
-                      .map(
-                        (cell, colIndex) => `
-                      <td data-heading="${headings[colIndex]}"${getWidthStyle(headings[colIndex])}>
-                        ${this.renderCell(cell, rowIndex, colIndex)}
-                      </td>
-                    `,
-                      )
-                      .join("")}
-                  </tr>
-                `,
-                  )
-                  .join("")}
+                ${this.getVirtualScrollOptions() ? "" : this.renderEntries(this.getPageEntries())}
               </tbody>
+              ${this.hasAggregates() ? `<tfoot>${this.renderFooterRow()}</tfoot>` : ""}
             </table>
           </div>
 
+          ${paginationHTML}
           ${bottomBarHTML}
         </div>
       `;
@@ -246,493 +1121,7095 @@
     }
 
     /**
-     * Generate download button HTML based on user configuration
+     * Render the <th> cells of the header row in display order
      */
-    generateDownloadButton(position) {
-      const { downloadConfig } = this.config;
-      const {
-        buttonText = "Download Table Data",
-        buttonClass = "table-library-download-btn",
-        customHTML = null,
-      } = downloadConfig;
+    renderHeaderCells() {
+      const { columnConfig } = this.config;
+      const headings = this.processedHeadings;
 
-      // If user provides custom HTML, use it
-      if (customHTML) {
-        return `<div class="table-library-download-container table-library-download-${position}">${customHTML}</div>`;
-      }
+      const expandHTML = this.getExpandOptions()
+        ? '<th class="table-library-expand-col"></th>'
+        : "";
+      const selectHTML = this.getSelectionOptions()
+        ? `<th class="table-library-select-col"><input type="checkbox" class="table-library-select-all" tabindex="-1" title="${escapeHTML(this.getMessage("selectAll"))}" aria-label="${escapeHTML(this.getMessage("selectAll"))}" /></th>`
+        : "";
 
-      // Default download button
+      return (
+        expandHTML +
+        selectHTML +
+        this.getVisibleColumns()
+          .map(
+            (i) => `
+                    <th data-col-index="${i}"${
+                      this.isColumnSortable(i)
+                        ? ` class="table-library-sortable" aria-sort="${this.getAriaSort(i)}"`
+                        : ""
+                    }${this.getWidthStyle(headings[i])}>
+                      <div class="table-library-heading"${
+                        columnConfig.reorder
+                          ? ` draggable="true" title="${escapeHTML(this.getMessage("dragToReorder"))}"`
+                          : ""
+                      }>${escapeHTML(headings[i])}<span class="table-library-sort-indicator">${this.getSortIndicator(i)}</span></div>
+                      ${this.renderFilterControl(headings[i], i)}
+                      ${
+                        columnConfig.resize
+                          ? `<span class="table-library-resize-handle" title="${escapeHTML(this.getMessage("dragToResize"))}"></span>`
+                          : ""
+                      }
+                    </th>
+                  `,
+          )
+          .join("")
+      );
+    }
+
+    /**
+     * Column chooser button and menu
+     */
+    generateColumnMenu() {
       return `
-        <div class="table-library-download-container table-library-download-${position}">
-          <button class="${buttonClass}" id="${this.config.tableID}-download-${position}">
-            ${buttonText}
-          </button>
+        <div class="table-library-column-chooser">
+          <button type="button" class="table-library-column-btn" title="${escapeHTML(this.getMessage("columnsTitle"))}">${escapeHTML(this.getMessage("columns"))}</button>
+          <div class="table-library-column-menu" hidden>${this.renderColumnMenuItems()}</div>
         </div>
       `;
     }
 
     /**
-     * Render individual cell content based on data type
+     * One checkbox per column, in display order
      */
-    renderCell(cell, rowIndex, colIndex) {
-      if (cell === null || cell === undefined) {
-        return '<span class="table-library-null">-</span>';
-      }
+    renderColumnMenuItems() {
+      return this.columnOrder
+        .map(
+          (i) =>
+            `<label class="table-library-column-option"><input type="checkbox" class="table-library-column-toggle" data-col-index="${i}"${
+              this.hiddenColumns.has(i) ? "" : " checked"
+            } /> ${escapeHTML(this.processedHeadings[i])}</label>`,
+        )
+        .join("");
+    }
 
-      if (typeof cell === "object" && cell !== null) {
-        if (cell.type === "url") {
-          return `<a href="${
-            cell.value
-          }" target="_blank" class="table-library-url">${
-            cell.placeholder || "Open"
-          }</a>`;
-        }
+    /**
+     * Column indexes that are shown, in display order (columns pinned left
+     * come first and columns pinned right last)
+     */
+    getVisibleColumns() {
+      const visible = this.columnOrder.filter(
+        (i) => !this.hiddenColumns.has(i),
+      );
+      if (!this.pinned.size) return visible;
 
-        if (cell.type === "button") {
-          const hasCheckbox = cell.checkbox ? "has-checkbox" : "";
-          const checkedAttr = cell.checkboxValue ? "checked" : "";
+      const side = (i) => this.pinned.get(i);
+      return [
+        ...visible.filter((i) => side(i) === "left"),
+        ...visible.filter((i) => !side(i)),
+        ...visible.filter((i) => side(i) === "right"),
+      ];
+    }
 
-          return `
-            <div class="table-library-action-cell ${hasCheckbox}">
-              <button class="table-library-action-btn"
-                      data-fn="${cell.function}"
-                      data-row-index="${rowIndex}">
-                ${cell.placeholder || "Action"}
-              </button>
-              ${
-                cell.checkbox
-                  ? `
-                <label class="table-library-checkbox-label">
-                  <input type="checkbox" ${checkedAttr}
-                    class="table-library-action-checkbox"
-                    data-row-index="${rowIndex}"
-                    data-fn="${cell.function}" />
-                  <span>${cell.checkboxLabel || "Mark"}</span>
-                </label>
-              `
-                  : ""
+    /**
+     * Resolve { left, right } headings / column keys to column indexes
+     */
+    resolvePinnedColumns(pinnedColumns) {
+      const pinned = new Map();
+      if (!pinnedColumns) return pinned;
+
+      ["left", "right"].forEach((side) => {
+        [].concat(pinnedColumns[side] || []).forEach((column) => {
+          const index =
+            typeof column === "number"
+              ? column
+              : this.processedHeadings.indexOf(this.resolveHeading(column));
+          if (index >= 0 && index < this.processedHeadings.length) {
+            pinned.set(index, side);
+          }
+        });
+      });
+      return pinned;
+    }
+
+    /**
+     * Write the sticky offsets of pinned columns into the table's pin
+     * stylesheet. Offsets add up the widths of the pinned columns before
+     * each one: widthConfig / resized widths, or the rendered widths.
+     */
+    updatePinnedColumns() {
+      const table = this.getTableElement();
+      if (!table || !this.root) return;
+
+      let style = this.query("style.table-library-pin-style");
+      if (!this.pinned.size) {
+        if (style) style.remove();
+        return;
+      }
+      if (!style) {
+        style = document.createElement("style");
+        style.className = "table-library-pin-style";
+        this.root.prepend(style);
+      }
+
+      const scope = `table[id=${JSON.stringify(this.config.tableID)}]`;
+      const headerCell = (selector) => table.querySelector(`thead ${selector}`);
+      const measure = (th) => (th ? th.getBoundingClientRect().width : 0);
+      const rules = [];
+
+      // Each pinned column: [cell selectors, width]
+      const columns = this.getVisibleColumns();
+      const pinnedCells = (colIndex) => {
+        const heading = this.processedHeadings[colIndex];
+        const th = headerCell(`th[data-col-index="${colIndex}"]`);
+        return [
+          [
+            `th[data-col-index="${colIndex}"]`,
+            `td[data-col-index="${colIndex}"]`,
+            `td[data-aggregate-col="${colIndex}"]`,
+          ],
+          this.getColumnWidth(heading) || measure(th),
+        ];
+      };
+
+      const left = columns
+        .filter((i) => this.pinned.get(i) === "left")
+        .map(pinnedCells);
+      const right = columns
+        .filter((i) => this.pinned.get(i) === "right")
+        .map(pinnedCells);
+
+      // The expand and selection columns stay left of left-pinned columns
+      if (left.length) {
+        const leading = [
+          ["table-library-select-col", "table-library-select-cell"],
+          ["table-library-expand-col", "table-library-expand-cell"],
+        ];
+        leading.forEach(([thClass, tdClass]) => {
+          const th = headerCell(`th.${thClass}`);
+          if (th)
+            left.unshift([[`th.${thClass}`, `td.${tdClass}`], measure(th)]);
+        });
+      }
+
+      // The innermost pinned column casts a shadow over scrolled cells
+      const pin = (cells, side) => {
+        let offset = 0;
+        cells.forEach(([selectors, width], n) => {
+          const scoped = (prefix) =>
+            selectors.map((selector) => `${scope} ${prefix}${selector}`);
+          const shadow =
+            n === cells.length - 1
+              ? ` box-shadow: ${side === "left" ? "" : "-"}2px 0 4px -2px rgba(0, 0, 0, 0.25);`
+              : "";
+          rules.push(
+            `${scoped("").join(", ")} { position: sticky; ${side}: ${Math.round(offset)}px; z-index: 2;${shadow} }`,
+            `${scoped("tbody tr ").join(", ")} { background-color: inherit; }`,
+            `${scoped("thead ").join(", ")} { z-index: 12; }`,
+            `${scoped("tfoot ").join(", ")} { z-index: 6; }`,
+          );
+          offset += width;
+        });
+      };
+      pin(left, "left");
+      pin(right.reverse(), "right");
+
+      const css = rules.join("\n");
+      if (style.textContent !== css) style.textContent = css;
+    }
+
+    /**
+     * PUBLIC API: Pin columns to the left or right edge
+     * ({ left: [...], right: [...] } headings or column keys)
+     */
+    setPinnedColumns(pinnedColumns) {
+      this.pinned = this.resolvePinnedColumns(pinnedColumns);
+      this.renderLayout();
+      this.notifyColumnStateChange();
+    }
+
+    /**
+     * Width of a column in px: resized width or widthConfig
+     */
+    getColumnWidth(heading) {
+      return this.columnWidths[heading] ?? this.config.widthConfig[heading];
+    }
+
+    /**
+     * Build width style for th/td
+     */
+    getWidthStyle(heading, css = "") {
+      const width = this.getColumnWidth(heading);
+      if (width) {
+        css = `width:${width}px;min-width:${width}px;max-width:${width}px;${css}`;
+      }
+      return css ? ` style="${escapeHTML(css)}"` : "";
+    }
+
+    /**
+     * Resolve formatRules once per init: column names to indexes, styles
+     * to camelCase objects. Invalid rules are reported and left out.
+     */
+    getFormatRules() {
+      if (this.formatRules) return this.formatRules;
+
+      this.formatRules = [];
+      this.config.formatRules.forEach((rule, i) => {
+        const names =
+          rule.column === undefined || rule.column === null
+            ? null
+            : [].concat(rule.column);
+        const columns = names
+          ? names.map((name) =>
+              this.processedHeadings.indexOf(this.resolveHeading(name)),
+            )
+          : null;
+        const target = rule.target === "row" ? "row" : "cell";
+        const { when } = rule;
+
+        const colorScale = rule.colorScale
+          ? {
+              colors: ["#f8696b", "#ffeb84", "#63be7b"],
+              ...(rule.colorScale === true ? {} : rule.colorScale),
+            }
+          : null;
+        const scaleColors = colorScale
+          ? [].concat(colorScale.colors || [])
+          : [];
+        const invalidColor = scaleColors.find((color) => !parseColor(color));
+
+        let problem = null;
+        if (columns && columns.includes(-1)) {
+          problem = `unknown column ${JSON.stringify(rule.column)}`;
+        } else if (colorScale && !scaleColors.length) {
+          problem = "colorScale needs colors";
+        } else if (invalidColor !== undefined) {
+          problem = `colorScale color ${JSON.stringify(invalidColor)} is not a hex or rgb() color`;
+        } else if (when && typeof when === "object") {
+          const unknown = Object.keys(when).find(
+            (op) => !RULE_CONDITIONS.includes(op),
+          );
+          if (unknown) problem = `unknown condition "${unknown}"`;
+          else if (!columns && target === "row") {
+            problem = "row conditions need a column";
+          }
+        }
+        if (problem) {
+          console.error(`TableLibrary: formatRules[${i}] skipped: ${problem}`);
+          return;
+        }
+
+        this.formatRules.push({
+          columns: columns ? new Set(columns) : null,
+          target,
+          when: when || null,
+          classes: String(rule.className || "")
+            .split(/\s+/)
+            .filter(Boolean),
+          styles: this.parseRuleStyle(rule.style),
+          dataBar: rule.dataBar
+            ? {
+                color: "#b2dfdb",
+                ...(rule.dataBar === true ? {} : rule.dataBar),
               }
-            </div>
-          `;
+            : null,
+          colorScale: colorScale
+            ? { ...colorScale, rgb: scaleColors.map(parseColor) }
+            : null,
+          iconSet: rule.iconSet ? this.resolveIconSet(rule.iconSet) : null,
+          domains: new Map(), // colIndex -> { min, max } for the scales
+        });
+      });
+      return this.formatRules;
+    }
+
+    /**
+     * Rule style as an object with camelCase properties (from an object
+     * or a "color: red; font-weight: bold" string)
+     */
+    parseRuleStyle(style) {
+      const entries =
+        typeof style === "string"
+          ? style
+              .split(";")
+              .map((declaration) => declaration.split(":"))
+              .filter((parts) => parts.length > 1)
+              .map(([property, ...value]) => [
+                property.trim(),
+                value.join(":").trim(),
+              ])
+          : Object.entries(style || {});
+
+      return entries.reduce((styles, [property, value]) => {
+        styles[property.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase())] =
+          value;
+        return styles;
+      }, {});
+    }
+
+    /**
+     * Icon set of a rule: a built-in name or { icons, thresholds }.
+     * Thresholds are percentages of the column range unless
+     * `percent: false` makes them plain values.
+     */
+    resolveIconSet(iconSet) {
+      const options = typeof iconSet === "string" ? { name: iconSet } : iconSet;
+      const icons =
+        options.icons || ICON_SETS[options.name] || ICON_SETS.arrows;
+      const thresholds =
+        options.thresholds ||
+        icons
+          .slice(1)
+          .map((_, i) => Math.round(((i + 1) * 100) / icons.length));
+      return { icons, thresholds, percent: options.percent !== false };
+    }
+
+    /**
+     * Recompute the min / max of columns with data bars, colour scales or
+     * icon sets (over all rows). Returns true when any of them changed.
+     */
+    updateRuleDomains() {
+      let changed = false;
+
+      this.getFormatRules().forEach((rule) => {
+        if (!rule.dataBar && !rule.colorScale && !rule.iconSet) return;
+
+        const columns = rule.columns || this.processedHeadings.map((_, i) => i);
+        columns.forEach((colIndex) => {
+          let min = Infinity;
+          let max = -Infinity;
+          this.processedData.forEach((row) => {
+            const value = this.getFilterValue(row[colIndex]);
+            if (typeof value === "number" && isFinite(value)) {
+              if (value < min) min = value;
+              if (value > max) max = value;
+            }
+          });
+
+          const options = rule.dataBar || rule.colorScale || {};
+          const domain = {
+            min: options.min ?? min,
+            max: options.max ?? max,
+          };
+          const previous = rule.domains.get(colIndex);
+          if (
+            !previous ||
+            previous.min !== domain.min ||
+            previous.max !== domain.max
+          ) {
+            changed = true;
+          }
+          rule.domains.set(colIndex, domain);
+        });
+      });
+      return changed;
+    }
+
+    /**
+     * Check a rule's `when` against a value: a predicate
+     * (value, row, { rowIndex, column, table }) or conditions that must
+     * all hold. Rules without `when` always apply.
+     */
+    matchesRule(rule, value, rowIndex, colIndex) {
+      const { when } = rule;
+      if (!when) return true;
+
+      if (typeof when === "function") {
+        try {
+          return !!when(value, this.processedData[rowIndex], {
+            rowIndex,
+            column: colIndex === null ? null : this.processedHeadings[colIndex],
+            table: this,
+          });
+        } catch (err) {
+          console.error("Error in format rule:", err);
+          return false;
+        }
+      }
+
+      // Dates compare by time; operands may be Dates, date strings or
+      // functions returning them (e.g. () => Date.now() - 7 * 864e5)
+      const typed = this.getFilterValue(value);
+      const comparable = (v) => (v instanceof Date ? v.getTime() : v);
+      const operand = (v) => {
+        const resolved = typeof v === "function" ? v() : v;
+        return typed instanceof Date && !(resolved instanceof Date)
+          ? new Date(resolved).getTime()
+          : comparable(resolved);
+      };
+      const current = comparable(typed);
+      const empty = typed === null || typed === undefined || typed === "";
+
+      return Object.entries(when).every(([op, expected]) => {
+        switch (op) {
+          case "eq":
+            return current === operand(expected);
+          case "ne":
+            return current !== operand(expected);
+          case "gt":
+          case "after":
+            return !empty && current > operand(expected);
+          case "gte":
+            return !empty && current >= operand(expected);
+          case "lt":
+          case "before":
+            return !empty && current < operand(expected);
+          case "lte":
+            return !empty && current <= operand(expected);
+          case "between":
+            return (
+              !empty &&
+              current >= operand(expected[0]) &&
+              current <= operand(expected[1])
+            );
+          case "in":
+            return expected.some((option) => operand(option) === current);
+          case "contains":
+            return this.getCellTextContent(value)
+              .toLowerCase()
+              .includes(String(expected).toLowerCase());
+          case "empty":
+            return empty === !!expected;
+          default:
+            return false;
+        }
+      });
+    }
+
+    /**
+     * Classes and styles of a row from its `target: "row"` rules
+     */
+    getRowFormat(rowIndex) {
+      const format = { classes: [], styles: {} };
+      const row = this.processedData[rowIndex];
+
+      this.getFormatRules().forEach((rule) => {
+        if (rule.target !== "row") return;
+        const colIndex = rule.columns ? [...rule.columns][0] : null;
+        const value = colIndex === null ? null : row[colIndex];
+        if (!this.matchesRule(rule, value, rowIndex, colIndex)) return;
+
+        format.classes.push(...rule.classes);
+        Object.assign(format.styles, rule.styles);
+      });
+      return format;
+    }
+
+    /**
+     * Classes, styles and icon of a cell from its rules (later rules win
+     * on conflicting styles). Data bars, colour scales and icon sets only
+     * apply to numbers.
+     */
+    getCellFormat(rowIndex, colIndex) {
+      const format = { classes: [], styles: {}, icon: "" };
+      const cell = this.processedData[rowIndex][colIndex];
+      const value = this.getFilterValue(cell);
+
+      this.getFormatRules().forEach((rule) => {
+        if (
+          rule.target !== "cell" ||
+          (rule.columns && !rule.columns.has(colIndex)) ||
+          !this.matchesRule(rule, cell, rowIndex, colIndex)
+        ) {
+          return;
+        }
+
+        format.classes.push(...rule.classes);
+        Object.assign(format.styles, rule.styles);
+
+        const domain = rule.domains.get(colIndex);
+        if (typeof value !== "number" || !isFinite(value) || !domain) return;
+
+        const span = domain.max - domain.min;
+        const ratio = span > 0 ? (value - domain.min) / span : 1;
+        const position = Math.max(0, Math.min(1, ratio));
+
+        if (rule.dataBar) {
+          const percent = Math.round(position * 100);
+          format.styles.backgroundImage = `linear-gradient(90deg, ${rule.dataBar.color} ${percent}%, transparent ${percent}%)`;
+        }
+        if (rule.colorScale) {
+          format.styles.backgroundColor = this.getScaleColor(
+            rule.colorScale.rgb,
+            span > 0 ? position : 0.5,
+          );
+        }
+        if (rule.iconSet) {
+          const { icons, thresholds, percent } = rule.iconSet;
+          const measure = percent ? position * 100 : value;
+          const level = thresholds.filter((t) => measure >= t).length;
+          const tone =
+            level === 0 ? "low" : level === icons.length - 1 ? "high" : "mid";
+          format.icon = `<span class="table-library-rule-icon table-library-icon-${tone}" aria-hidden="true">${escapeHTML(icons[Math.min(level, icons.length - 1)])}</span>`;
+        }
+      });
+      return format;
+    }
+
+    /**
+     * Hex colour at a position (0–1) of a scale of [r, g, b] colours
+     */
+    getScaleColor(rgb, position) {
+      const toHex = (channels) =>
+        `#${channels
+          .map((n) => Math.round(n).toString(16).padStart(2, "0"))
+          .join("")}`;
+      if (rgb.length === 1) return toHex(rgb[0]);
+
+      const scaled = position * (rgb.length - 1);
+      const index = Math.min(Math.floor(scaled), rgb.length - 2);
+      const t = scaled - index;
+      return toHex(
+        rgb[index].map((from, i) => from + (rgb[index + 1][i] - from) * t),
+      );
+    }
+
+    /**
+     * CSS declarations for a camelCase style object
+     */
+    toStyleText(styles) {
+      return Object.entries(styles)
+        .map(
+          ([property, value]) =>
+            `${property.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)}:${value};`,
+        )
+        .join("");
+    }
+
+    /**
+     * Render <tr> markup for the given processedData indexes
+     */
+    renderRows(indexes) {
+      const headings = this.processedHeadings;
+      const rules = this.getFormatRules().length > 0;
+
+      return indexes
+        .map((rowIndex) => {
+          const row = this.displayData[rowIndex];
+          const selectable = !!this.getSelectionOptions();
+          const selected = selectable && this.isRowSelected(rowIndex);
+          const checked = this.checkedRowIndexes.has(rowIndex);
+
+          const rowFormat = rules
+            ? this.getRowFormat(rowIndex)
+            : { classes: [], styles: {} };
+          const rowStyle = this.toStyleText(rowFormat.styles);
+
+          const classes = [
+            checked ? "table-library-row-checked" : "",
+            selected ? "table-library-row-selected" : "",
+            ...rowFormat.classes,
+          ].filter(Boolean);
+          const rowAttrs =
+            (classes.length
+              ? ` class="${escapeHTML(classes.join(" "))}"`
+              : "") +
+            (rowStyle ? ` style="${escapeHTML(rowStyle)}"` : "") +
+            (selectable ? ` aria-selected="${selected}"` : "");
+
+          const selectCell = selectable
+            ? `<td class="table-library-select-cell"><input type="checkbox" class="table-library-row-select" tabindex="-1"${selected ? " checked" : ""} /></td>`
+            : "";
+
+          const expandable = !!this.getExpandOptions();
+          const expanded = expandable && this.isRowExpanded(rowIndex);
+          const expandCell = expandable
+            ? `<td class="table-library-expand-cell"><button type="button" class="table-library-expand-btn" tabindex="-1" aria-expanded="${expanded}" aria-label="${escapeHTML(this.getMessage(expanded ? "hideDetails" : "showDetails"))}">${expanded ? "▾" : "▸"}</button></td>`
+            : "";
+
+          return `
+                  <tr data-row-index="${rowIndex}"${rowAttrs}>
+                    ${expandCell}
+                    ${selectCell}
+                    ${this.getVisibleColumns()
+                      .map((colIndex) => {
+                        const format = rules
+                          ? this.getCellFormat(rowIndex, colIndex)
+                          : { classes: [], styles: {}, icon: "" };
+                        return `
+                      <td data-heading="${escapeHTML(headings[colIndex])}" data-col-index="${colIndex}"${this.getCellClassAttr(rowIndex, colIndex, format.classes)}${this.getWidthStyle(headings[colIndex], this.toStyleText(format.styles))}>
+                        ${format.icon}${this.renderCell(row[colIndex], rowIndex, colIndex)}
+                      </td>
+                    `;
+                      })
+                      .join("")}
+                  </tr>
+                  ${expanded ? this.renderDetailRow(rowIndex) : ""}
+                `;
+        })
+        .join("");
+    }
+
+    /**
+     * Normalized expandable-row settings, or null when detail rows are off
+     */
+    getExpandOptions() {
+      const { expandableRows, renderDetail } = this.config;
+      if (!expandableRows && !renderDetail) return null;
+      if (expandableRows && expandableRows.enable === false) return null;
+
+      const options = typeof expandableRows === "object" ? expandableRows : {};
+      return {
+        renderDetail: options.renderDetail || renderDetail || null,
+      };
+    }
+
+    /**
+     * Check whether a row (processedData index) shows its detail row
+     */
+    isRowExpanded(rowIndex) {
+      return this.expandedKeys.has(this.rowKeys[rowIndex]);
+    }
+
+    /**
+     * Full-width detail row under a data row: renderDetail(row, rowIndex,
+     * source) markup, or a key/value view of the row
+     */
+    renderDetailRow(rowIndex) {
+      const row = this.processedData[rowIndex];
+      const source = this.sourceRows.get(this.config.data[rowIndex]) || null;
+      const { renderDetail } = this.getExpandOptions();
+
+      let content = null;
+      if (typeof renderDetail === "function") {
+        try {
+          content = renderDetail(row, rowIndex, source);
+        } catch (err) {
+          console.error("Error in renderDetail:", err);
         }
+      }
+      if (content === null || content === undefined) {
+        content = this.renderDetailView(rowIndex, source);
+      }
+
+      return `<tr class="table-library-detail-row" data-detail-for="${rowIndex}"><td colspan="${this.getColumnCount()}"><div class="table-library-detail">${content}</div></td></tr>`;
+    }
+
+    /**
+     * Default detail view: every column (including ones hidden in the
+     * column chooser) or, for object rows, every field of the source object
+     */
+    renderDetailView(rowIndex, source) {
+      const row = this.processedData[rowIndex];
+      const items = source
+        ? Object.entries(source).map(([key, value]) => [
+            key,
+            this.renderValue(value),
+          ])
+        : this.processedHeadings.map((heading, i) => [
+            heading,
+            this.renderCell(row[i], rowIndex, i),
+          ]);
+
+      return `<dl class="table-library-detail-list">${items
+        .map(([key, html]) => `<dt>${escapeHTML(key)}</dt><dd>${html}</dd>`)
+        .join("")}</dl>`;
+    }
 
-        return `<pre class="table-library-object">${JSON.stringify(
-          cell,
-          null,
-          2,
-        )}</pre>`;
+    /**
+     * A value inside a detail view or tree: nested objects and arrays as a
+     * tree, anything else as it would render in a cell
+     */
+    renderValue(value, seen = new Set()) {
+      return this.isNestedValue(value)
+        ? this.renderObjectTree(value, seen)
+        : this.renderCell(value, null, null);
+    }
+
+    /**
+     * Plain objects and arrays holding objects are shown as a tree
+     * (url / button / html cells and dates are not)
+     */
+    isNestedValue(value) {
+      if (!value || typeof value !== "object" || value instanceof Date) {
+        return false;
+      }
+      if (Array.isArray(value)) {
+        return value.some(
+          (item) => item && typeof item === "object" && !(item instanceof Date),
+        );
       }
+      return (
+        !["url", "button", "html"].includes(value.type) &&
+        !this.getCellType(value)
+      );
+    }
 
-      if (Array.isArray(cell)) {
-        if (cell.length === 0)
-          return '<span class="table-library-empty">[]</span>';
-        return `<span class="table-library-array" title="${cell.join(
-          ", ",
-        )}">[${cell.join(", ")}]</span>`;
+    /**
+     * Compact collapsible tree (<details>) for an object or array
+     */
+    renderObjectTree(value, seen = new Set()) {
+      if (seen.has(value)) {
+        return '<span class="table-library-null">[circular]</span>';
       }
 
-      if (cell instanceof Date && !isNaN(cell.getTime())) {
-        return `<span class="table-library-date">${this.formatDateOrTimestamp(
-          cell,
-        )}</span>`;
+      const isArray = Array.isArray(value);
+      const entries = isArray
+        ? value.map((item, i) => [i, item])
+        : Object.entries(value);
+      if (!entries.length) {
+        return `<span class="table-library-empty">${isArray ? "[]" : "{}"}</span>`;
       }
 
-      if (typeof cell === "boolean") {
-        return `<span class="table-library-boolean ${
-          cell ? "true" : "false"
-        }">${cell ? "Yes" : "No"}</span>`;
+      const summary = isArray
+        ? `[ ${this.getMessage("arrayItems", { count: entries.length })} ]`
+        : `{ ${entries
+            .slice(0, 3)
+            .map(([key]) => key)
+            .join(", ")}${entries.length > 3 ? ", …" : ""} }`;
+
+      seen.add(value);
+      const items = entries
+        .map(
+          ([key, item]) =>
+            `<li><span class="table-library-tree-key">${escapeHTML(key)}:</span> ${this.renderValue(item, seen)}</li>`,
+        )
+        .join("");
+      seen.delete(value);
+
+      const title = isArray
+        ? ""
+        : ` title="${escapeHTML(this.getMessage("objectKeys", { count: entries.length }))}"`;
+      return `<details class="table-library-tree"><summary${title}>${escapeHTML(summary)}</summary><ul>${items}</ul></details>`;
+    }
+
+    /**
+     * Open or close a row's detail row
+     */
+    toggleRowDetail(rowIndex, expanded = !this.isRowExpanded(rowIndex)) {
+      const key = this.rowKeys[rowIndex];
+      if (key === undefined) return;
+
+      if (expanded) {
+        this.expandedKeys.add(key);
+      } else {
+        this.expandedKeys.delete(key);
       }
 
-      if (typeof cell === "number") {
-        return `<span class="table-library-number">${cell}</span>`;
+      const tr = this.query(`tbody tr[data-row-index="${rowIndex}"]`);
+      if (!tr) return;
+      // Re-render the row together with its detail row
+      const detail = tr.nextElementSibling;
+      if (detail && detail.classList.contains("table-library-detail-row")) {
+        detail.remove();
       }
+      const template = document.createElement("tbody");
+      template.innerHTML = this.renderRows([rowIndex]);
+      tr.replaceWith(...template.children);
+      this.virtualRange = null;
+      this.updateAriaRows();
+      this.restoreCellFocus();
+    }
 
-      const text = String(cell);
-      return `<span class="table-library-text" title="${text}">${text}</span>`;
+    /**
+     * Normalized selection settings, or null when the selection column is off
+     */
+    getSelectionOptions() {
+      const { selection } = this.config;
+      if (!selection || selection.enable === false) return null;
+
+      const options = selection === true ? {} : selection;
+      return {
+        bulkActions: options.bulkActions || [],
+      };
+    }
+
+    /**
+     * Bulk-action toolbar shown while rows are selected
+     */
+    generateBulkToolbar() {
+      const { bulkActions } = this.getSelectionOptions();
+
+      return `
+        <div class="table-library-bulk-actions" hidden>
+          <span class="table-library-selected-count"></span>
+          ${bulkActions
+            .map(
+              (action, i) =>
+                `<button type="button" class="table-library-bulk-btn${
+                  action.className ? ` ${escapeHTML(action.className)}` : ""
+                }" data-bulk-index="${i}">${escapeHTML(action.label || this.getMessage("action"))}</button>`,
+            )
+            .join("")}
+          <button type="button" class="table-library-bulk-clear" title="${escapeHTML(this.getMessage("clearSelection"))}">✕</button>
+        </div>
+      `;
+    }
+
+    /**
+     * Normalized pagination settings, or null when pagination is off
+     */
+    getPaginationOptions() {
+      const { pagination, dataSource } = this.config;
+      // Server-side data is always fetched page by page
+      if (!dataSource && (!pagination || pagination.enable === false)) {
+        return null;
+      }
+
+      const options = pagination && pagination !== true ? pagination : {};
+      return {
+        pageSize: this.pageSize || options.pageSize || 25,
+        pageSizeOptions: options.pageSizeOptions || [10, 25, 50, 100],
+      };
+    }
+
+    /**
+     * Normalized virtual scroll settings, or null when virtual scroll is off
+     */
+    getVirtualScrollOptions() {
+      const { virtualScroll } = this.config;
+      if (!virtualScroll || virtualScroll.enable === false) return null;
+
+      const options = virtualScroll === true ? {} : virtualScroll;
+      return {
+        rowHeight: options.rowHeight || this.measuredRowHeight || 45,
+        overscan: options.overscan ?? 10,
+        height: options.height || "600px",
+      };
+    }
+
+    /**
+     * Normalized stream() settings: streamConfig with per-call options on top
+     */
+    getStreamOptions(options = {}) {
+      const merged = { ...this.config.streamConfig, ...options };
+      const duration = (value, fallback) =>
+        value === true ? fallback : value > 0 ? value : 0;
+
+      return {
+        maxRows: merged.maxRows > 0 ? Math.floor(merged.maxRows) : null,
+        pauseOnScroll: duration(merged.pauseOnScroll, 500),
+        highlight: duration(merged.highlight ?? true, 1500),
+        event: merged.event || "message",
+        map: typeof merged.map === "function" ? merged.map : null,
+      };
+    }
+
+    /**
+     * Get the number of pages for the current view
+     */
+    getPageCount() {
+      const pagination = this.getPaginationOptions();
+      if (!pagination) return 1;
+
+      // Group header and subtotal rows take up page space too
+      const count = this.config.dataSource
+        ? this.remote.total
+        : this.getBodyEntries().length;
+      return Math.max(1, Math.ceil(count / pagination.pageSize));
+    }
+
+    /**
+     * Get the body entries on the current page (all entries without pagination)
+     */
+    getPageEntries() {
+      const entries = this.getBodyEntries();
+      const pagination = this.getPaginationOptions();
+      // A dataSource only returns the rows of the current page
+      if (!pagination || this.config.dataSource) return entries;
+
+      const start = this.currentPage * pagination.pageSize;
+      return entries.slice(start, start + pagination.pageSize);
+    }
+
+    /**
+     * Get the processedData indexes on the current page (all rows without pagination)
+     */
+    getPageIndexes() {
+      return this.getPageEntries().filter((entry) => typeof entry === "number");
+    }
+
+    /**
+     * Generate page navigation controls
+     */
+    generatePaginationControls() {
+      const { tableID } = this.config;
+      const { pageSize, pageSizeOptions } = this.getPaginationOptions();
+
+      const sizes = pageSizeOptions.includes(pageSize)
+        ? pageSizeOptions
+        : [...pageSizeOptions, pageSize].sort((a, b) => a - b);
+
+      return `
+        <div class="table-library-pagination" id="${tableID}-pagination">
+          <button type="button" class="table-library-page-btn" data-page="first" title="${escapeHTML(this.getMessage("firstPage"))}">«</button>
+          <button type="button" class="table-library-page-btn" data-page="prev" title="${escapeHTML(this.getMessage("previousPage"))}">‹</button>
+          <span class="table-library-page-info">${this.getPageInfoText()}</span>
+          <button type="button" class="table-library-page-btn" data-page="next" title="${escapeHTML(this.getMessage("nextPage"))}">›</button>
+          <button type="button" class="table-library-page-btn" data-page="last" title="${escapeHTML(this.getMessage("lastPage"))}">»</button>
+          <select class="table-library-page-size" title="${escapeHTML(this.getMessage("rowsPerPage"))}">
+            ${sizes
+              .map(
+                (size) =>
+                  `<option value="${size}"${size === pageSize ? " selected" : ""}>${escapeHTML(this.getMessage("pageSizeOption", { size }))}</option>`,
+              )
+              .join("")}
+          </select>
+        </div>
+      `;
+    }
+
+    /**
+     * Page label shown between the navigation buttons
+     */
+    getPageInfoText() {
+      return this.getMessage("pageInfo", {
+        page: this.currentPage + 1,
+        pages: this.getPageCount(),
+      });
+    }
+
+    /**
+     * Text for the row count badge (includes the page range when paginated)
+     */
+    getRowCountText(visibleCount, totalRows) {
+      const pagination = this.getPaginationOptions();
+      const filtered =
+        visibleCount !== totalRows
+          ? ` ${this.getMessage("filteredFrom", { total: totalRows })}`
+          : "";
+      const page = pagination ? ` · ${this.getPageInfoText()}` : "";
+
+      // Page ranges count group rows, so grouped views show totals only
+      if (this.getGroupColumns().length) {
+        const groups = this.getGroups().length;
+        return `${this.getMessage("groupedRowCount", { visible: visibleCount, total: totalRows, groups })}${filtered}${page}`;
+      }
+
+      if (!pagination) {
+        return this.getMessage("rowCount", {
+          visible: visibleCount,
+          total: totalRows,
+        });
+      }
+
+      const start = visibleCount
+        ? this.currentPage * pagination.pageSize + 1
+        : 0;
+      const end = Math.min(visibleCount, start - 1 + pagination.pageSize);
+
+      return `${this.getMessage("rowRange", { start, end, visible: visibleCount, total: totalRows })}${filtered}${page}`;
+    }
+
+    /**
+     * Check whether sorting is enabled for a column
+     */
+    isColumnSortable(colIndex) {
+      const { sortConfig } = this.config;
+      if (sortConfig.enable === false) return false;
+
+      const exclude = sortConfig.exclude || [];
+      const heading = this.processedHeadings[colIndex];
+      return !exclude.includes(heading) && !exclude.includes(colIndex);
+    }
+
+    /**
+     * Build the ▲/▼ indicator for a sorted column (with priority for multi-sort)
+     */
+    getSortIndicator(colIndex) {
+      const position = this.sortState.findIndex((s) => s.index === colIndex);
+      if (position === -1) return "";
+
+      const arrow = this.sortState[position].direction === "asc" ? "▲" : "▼";
+      return this.sortState.length > 1 ? `${arrow}${position + 1}` : arrow;
+    }
+
+    /**
+     * Generate download button HTML based on user configuration
+     */
+    generateDownloadButton(position) {
+      const { downloadConfig } = this.config;
+      const {
+        buttonText = this.getMessage("download"),
+        buttonClass = "table-library-download-btn",
+        customHTML = null,
+      } = downloadConfig;
+
+      // Several formats -> the button opens a format menu
+      const formats = this.getExportFormats();
+      const menuHTML =
+        formats.length > 1
+          ? `<div class="table-library-download-menu" hidden>${formats
+              .map(
+                (format) =>
+                  `<button type="button" class="table-library-download-option" data-format="${format}">${escapeHTML(this.getMessage(`format${format[0].toUpperCase()}${format.slice(1)}`))}</button>`,
+              )
+              .join("")}</div>`
+          : "";
+
+      // If user provides custom HTML, use it
+      if (customHTML) {
+        return `<div class="table-library-download-container table-library-download-${position}">${customHTML}${menuHTML}</div>`;
+      }
+
+      // Default download button
+      return `
+        <div class="table-library-download-container table-library-download-${position}">
+          <button class="${buttonClass}" id="${this.config.tableID}-download-${position}">
+            ${escapeHTML(buttonText)}
+          </button>
+          ${menuHTML}
+        </div>
+      `;
+    }
+
+    /**
+     * Export formats offered by the download button (first one is the default)
+     */
+    getExportFormats() {
+      const { format, formats } = this.config.downloadConfig;
+      const list = [].concat(formats || format || "xlsx");
+      const supported = list
+        .map((f) => String(f).toLowerCase())
+        .filter((f) => EXPORT_FORMATS[f]);
+      return supported.length ? supported : ["xlsx"];
+    }
+
+    /**
+     * Render individual cell content based on data type
+     */
+    renderCell(cell, rowIndex, colIndex) {
+      if (cell === null || cell === undefined) {
+        return '<span class="table-library-null">-</span>';
+      }
+
+      if (typeof cell === "object" && cell !== null) {
+        const cellType = this.getCellType(cell);
+        if (cellType)
+          return this.renderTypedCell(cellType, cell, rowIndex, colIndex);
+
+        if (cell.type === "url") {
+          const text = cell.placeholder || this.getMessage("link");
+          // `icon` goes before the label; `iconOnly` keeps the label for
+          // screen readers and the tooltip
+          const icon = cell.icon
+            ? `<span class="table-library-link-icon" aria-hidden="true">${escapeHTML(cell.icon)}</span>`
+            : "";
+          const label =
+            cell.icon && cell.iconOnly
+              ? `${icon}<span class="table-library-visually-hidden">${escapeHTML(text)}</span>`
+              : `${icon}${escapeHTML(text)}`;
+          const title = cell.iconOnly ? ` title="${escapeHTML(text)}"` : "";
+          const href = this.sanitizeUrl(cell.value);
+          if (href === null) {
+            return `<span class="table-library-url table-library-url-blocked" title="${escapeHTML(this.getMessage("blockedLink"))}">${label}</span>`;
+          }
+          return `<a href="${escapeHTML(
+            href,
+          )}" target="_blank" rel="noopener noreferrer" class="table-library-url" tabindex="-1"${title}>${label}</a>`;
+        }
+
+        // Trusted markup is an explicit opt-in, optionally run through a sanitizer
+        if (cell.type === "html") {
+          return `<div class="table-library-html">${this.renderTrustedHTML(
+            cell.value,
+            rowIndex,
+            colIndex,
+          )}</div>`;
+        }
+
+        if (cell.type === "button") {
+          const hasCheckbox = cell.checkbox ? "has-checkbox" : "";
+          const checked =
+            this.checkboxState[`${rowIndex}:${colIndex}`] ?? cell.checkboxValue;
+          const checkedAttr = checked ? "checked" : "";
+
+          return `
+            <div class="table-library-action-cell ${hasCheckbox}">
+              <button class="table-library-action-btn" tabindex="-1"
+                      data-fn="${escapeHTML(cell.function)}"
+                      data-row-index="${rowIndex}">
+                ${escapeHTML(cell.placeholder || this.getMessage("action"))}
+              </button>
+              ${
+                cell.checkbox
+                  ? `
+                <label class="table-library-checkbox-label">
+                  <input type="checkbox" ${checkedAttr} tabindex="-1"
+                    class="table-library-action-checkbox"
+                    data-row-index="${rowIndex}"
+                    data-col-index="${colIndex}"
+                    data-fn="${escapeHTML(cell.function)}" />
+                  <span>${escapeHTML(cell.checkboxLabel || this.getMessage("mark"))}</span>
+                </label>
+              `
+                  : ""
+              }
+            </div>
+          `;
+        }
+
+        if (this.isNestedValue(cell)) {
+          return `<div class="table-library-object">${this.renderObjectTree(
+            cell,
+          )}</div>`;
+        }
+      }
+
+      if (Array.isArray(cell)) {
+        if (cell.length === 0)
+          return '<span class="table-library-empty">[]</span>';
+        const joined = escapeHTML(cell.join(", "));
+        return `<span class="table-library-array" title="${joined}">[${joined}]</span>`;
+      }
+
+      if (cell instanceof Date) {
+        if (isNaN(cell.getTime())) {
+          return '<span class="table-library-null">-</span>';
+        }
+        return `<span class="table-library-date">${escapeHTML(
+          this.formatDateOrTimestamp(cell, colIndex),
+        )}</span>`;
+      }
+
+      if (typeof cell === "boolean") {
+        return `<span class="table-library-boolean ${
+          cell ? "true" : "false"
+        }">${escapeHTML(this.getMessage(cell ? "yes" : "no"))}</span>`;
+      }
+
+      if (typeof cell === "number") {
+        return `<span class="table-library-number">${escapeHTML(
+          this.formatNumber(cell, colIndex),
+        )}</span>`;
+      }
+
+      const text = escapeHTML(cell);
+      return `<span class="table-library-text" title="${text}">${text}</span>`;
+    }
+
+    /**
+     * Check a URL against allowedUrlSchemes. Relative URLs are allowed;
+     * returns null for blocked schemes such as javascript: or data:
+     */
+    sanitizeUrl(url) {
+      if (url === null || url === undefined) return null;
+
+      // Browsers ignore control characters and whitespace inside the scheme
+      const value = String(url).trim();
+      const normalized = value.replace(/[\u0000-\u0020\u007f]/g, "");
+      const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+      if (!scheme) return value;
+
+      const allowed = this.config.allowedUrlSchemes.map((s) =>
+        s.toLowerCase().replace(/:$/, ""),
+      );
+      return allowed.includes(scheme[1].toLowerCase()) ? value : null;
+    }
+
+    /**
+     * Render an opt-in `{ type: "html" }` cell through the sanitizeHTML hook
+     */
+    renderTrustedHTML(html, rowIndex, colIndex) {
+      const markup = html === null || html === undefined ? "" : String(html);
+      const { sanitizeHTML } = this.config;
+      if (typeof sanitizeHTML !== "function") return markup;
+
+      try {
+        return sanitizeHTML(markup, { rowIndex, colIndex }) ?? "";
+      } catch (err) {
+        console.error("Error in sanitizeHTML:", err);
+        return escapeHTML(markup);
+      }
+    }
+
+    /**
+     * Registered cell type of a `{ type }` cell, if any
+     */
+    getCellType(cell) {
+      if (
+        !cell ||
+        typeof cell !== "object" ||
+        Array.isArray(cell) ||
+        cell instanceof Date ||
+        typeof cell.type !== "string"
+      ) {
+        return null;
+      }
+      return this.cellTypes.get(cell.type) || null;
+    }
+
+    /**
+     * Call one hook of a cell type; errors are logged and give undefined
+     */
+    callCellType(cellType, hook, cell, context = {}) {
+      try {
+        return cellType[hook](cell, { table: this, escapeHTML, ...context });
+      } catch (err) {
+        console.error(`Error in ${hook} of "${cell.type}" cell:`, err);
+        return undefined;
+      }
+    }
+
+    /**
+     * Markup of a typed cell (its text when rendering fails)
+     */
+    renderTypedCell(cellType, cell, rowIndex, colIndex) {
+      const html = this.callCellType(cellType, "render", cell, {
+        rowIndex,
+        colIndex,
+      });
+      if (html !== undefined && html !== null) return String(html);
+
+      const text = escapeHTML(this.getCellTextContent(cell, colIndex));
+      return `<span class="table-library-text" title="${text}">${text}</span>`;
+    }
+
+    /**
+     * Value filters, formatRules and aggregates see for a cell: a typed
+     * cell's filterValue (or sortValue, or text); other cells as they are
+     */
+    getFilterValue(cell) {
+      const cellType = this.getCellType(cell);
+      if (!cellType) return cell;
+
+      for (const hook of ["filterValue", "sortValue"]) {
+        if (typeof cellType[hook] === "function") {
+          const value = this.callCellType(cellType, hook, cell);
+          return value && typeof value === "object" && !(value instanceof Date)
+            ? this.getCellTextContent(cell)
+            : (value ?? null);
+        }
+      }
+      return this.getCellTextContent(cell);
+    }
+
+    /**
+     * Format a 0–1 share as a percentage in the table's locale
+     */
+    formatPercent(ratio) {
+      const formatter = this.getFormatter(
+        "percent",
+        () =>
+          new Intl.NumberFormat(this.config.locale, {
+            style: "percent",
+            maximumFractionDigits: 0,
+          }),
+      );
+      return formatter
+        ? formatter.format(ratio)
+        : `${Math.round(ratio * 100)}%`;
+    }
+
+    /**
+     * Get cell text content for CSV export (uses displayed value). With a
+     * column index, numbers and dates use that column's display format.
+     */
+    getCellTextContent(cell, colIndex = null) {
+      if (cell === null || cell === undefined) {
+        return "";
+      }
+
+      if (typeof cell === "object" && cell !== null) {
+        const cellType = this.getCellType(cell);
+        if (cellType) {
+          const text =
+            typeof cellType.text === "function"
+              ? this.callCellType(cellType, "text", cell, { colIndex })
+              : cell.value;
+          return text === null || text === undefined ? "" : String(text);
+        }
+
+        if (cell.type === "url") {
+          return cell.placeholder || this.getMessage("link");
+        }
+
+        if (cell.type === "button") {
+          return cell.placeholder || this.getMessage("action");
+        }
+
+        if (cell.type === "html") {
+          return this.stripHTML(cell.value);
+        }
+
+        if (Array.isArray(cell)) {
+          return cell.join("; ");
+        }
+
+        if (cell instanceof Date && !isNaN(cell.getTime())) {
+          return this.formatDateOrTimestamp(cell, colIndex);
+        }
+
+        try {
+          return JSON.stringify(cell);
+        } catch (err) {
+          return ""; // Circular objects have no JSON text
+        }
+      }
+
+      if (typeof cell === "boolean") {
+        return this.getMessage(cell ? "yes" : "no");
+      }
+
+      if (typeof cell === "number" && colIndex !== null) {
+        return this.formatNumber(cell, colIndex);
+      }
+
+      return String(cell);
+    }
+
+    /**
+     * Get the plain text of an HTML string (tags removed, entities decoded)
+     */
+    stripHTML(html) {
+      const entities = { amp: "&", lt: "<", gt: ">", quot: '"', nbsp: " " };
+      return String(html ?? "")
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, "")
+        .replace(/<[^>]*>/g, "")
+        .replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (match, entity) => {
+          if (entity[0] === "#") {
+            const code =
+              entity[1].toLowerCase() === "x"
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+          }
+          return entities[entity.toLowerCase()] ?? match;
+        })
+        .replace(/\s+/g, " ")
+        .trim();
+    }
+
+    /**
+     * Get a comparable value for a cell, ranked by type so mixed columns
+     * still sort predictably (empty cells always go last)
+     */
+    getSortValue(cell) {
+      if (cell === null || cell === undefined || cell === "") {
+        return { rank: 9, value: null };
+      }
+
+      // Typed cells sort by their sortValue (or filterValue, or text)
+      const cellType = this.getCellType(cell);
+      if (cellType) {
+        const value =
+          typeof cellType.sortValue === "function"
+            ? this.callCellType(cellType, "sortValue", cell)
+            : this.getFilterValue(cell);
+        return this.getSortValue(
+          value && typeof value === "object" && !(value instanceof Date)
+            ? this.getCellTextContent(cell)
+            : value,
+        );
+      }
+
+      if (typeof cell === "number") {
+        return isNaN(cell)
+          ? { rank: 9, value: null }
+          : { rank: 0, value: cell };
+      }
+
+      if (cell instanceof Date) {
+        const time = cell.getTime();
+        return isNaN(time)
+          ? { rank: 9, value: null }
+          : { rank: 1, value: time };
+      }
+
+      if (typeof cell === "boolean") {
+        return { rank: 2, value: cell ? 1 : 0 };
+      }
+
+      if (Array.isArray(cell)) {
+        return { rank: 3, value: cell.length, text: cell.join(", ") };
+      }
+
+      if (typeof cell === "object") {
+        if (cell.type === "url") {
+          return { rank: 4, value: cell.placeholder || cell.value || "" };
+        }
+
+        if (cell.type === "html") {
+          return { rank: 4, value: this.stripHTML(cell.value) };
+        }
+
+        if (cell.type === "button") {
+          return {
+            rank: 4,
+            value: cell.placeholder || this.getMessage("action"),
+            text: cell.checkboxValue ? 1 : 0,
+          };
+        }
+
+        return { rank: 5, value: JSON.stringify(cell) };
+      }
+
+      return { rank: 4, value: String(cell) };
+    }
+
+    /**
+     * Compare two cells by their real value type
+     */
+    compareCells(a, b) {
+      const left = this.getSortValue(a);
+      const right = this.getSortValue(b);
+
+      if (left.rank !== right.rank) return left.rank - right.rank;
+      if (left.value === null) return 0;
+
+      const compare = (x, y) => {
+        if (typeof x === "string" && typeof y === "string") {
+          return x.localeCompare(y, undefined, {
+            numeric: true,
+            sensitivity: "base",
+          });
+        }
+        return x < y ? -1 : x > y ? 1 : 0;
+      };
+
+      const result = compare(left.value, right.value);
+      if (result !== 0 || left.text === undefined) return result;
+      return compare(left.text, right.text);
+    }
+
+    /**
+     * Resolve user sort descriptors ({ column, direction }) to column indexes
+     */
+    resolveSortState(sort) {
+      const list = Array.isArray(sort) ? sort : sort ? [sort] : [];
+
+      return list
+        .map(({ column, direction = "asc" }) => ({
+          index:
+            typeof column === "number"
+              ? column
+              : this.processedHeadings.indexOf(this.resolveHeading(column)),
+          direction: direction === "desc" ? "desc" : "asc",
+        }))
+        .filter(
+          ({ index }) => index >= 0 && index < this.processedHeadings.length,
+        );
+    }
+
+    /**
+     * Get row indexes of processedData in the current sort order
+     */
+    getSortedIndexes() {
+      const indexes = this.processedData.map((_, i) => i);
+      // Rows from a dataSource arrive already sorted
+      if (!this.sortState.length || this.config.dataSource) return indexes;
+
+      const comparators = this.config.sortConfig.comparators || {};
+
+      return indexes.sort((a, b) => {
+        const rowA = this.displayData[a];
+        const rowB = this.displayData[b];
+
+        for (const { index, direction } of this.sortState) {
+          const custom = comparators[this.processedHeadings[index]];
+          const cellA = rowA[index];
+          const cellB = rowB[index];
+
+          let result = 0;
+          try {
+            result =
+              typeof custom === "function"
+                ? custom(cellA, cellB, rowA, rowB)
+                : this.compareCells(cellA, cellB);
+          } catch (err) {
+            console.error(
+              `Error sorting ${this.processedHeadings[index]}:`,
+              err,
+            );
+          }
+
+          // Empty cells stay at the bottom regardless of direction
+          if (typeof custom !== "function") {
+            const emptyA = this.getSortValue(cellA).value === null;
+            const emptyB = this.getSortValue(cellB).value === null;
+            if (emptyA !== emptyB) return emptyA ? 1 : -1;
+          }
+
+          if (result) return direction === "desc" ? -result : result;
+        }
+
+        return a - b;
+      });
+    }
+
+    /**
+     * Re-render the table body to match the current sort state
+     */
+    applySort() {
+      const table = this.getTableElement();
+      if (!table) return;
+
+      table.querySelectorAll("thead th").forEach((th) => {
+        const colIndex = parseInt(th.dataset.colIndex);
+        const indicator = th.querySelector(".table-library-sort-indicator");
+        if (indicator) indicator.textContent = this.getSortIndicator(colIndex);
+        if (th.hasAttribute("aria-sort")) {
+          th.setAttribute("aria-sort", this.getAriaSort(colIndex));
+        }
+      });
+
+      // Keep filteredData in the new visual order
+      this.refreshView();
+    }
+
+    /**
+     * aria-sort value of a column. Only the primary sort column is marked,
+     * as screen readers expect a single sorted header.
+     */
+    getAriaSort(colIndex) {
+      const primary = this.sortState && this.sortState[0];
+      if (!primary || primary.index !== colIndex) return "none";
+      return primary.direction === "asc" ? "ascending" : "descending";
+    }
+
+    /**
+     * Cycle a column through asc → desc → none.
+     * With `additive` (Shift+click) the column is added to the existing sort.
+     */
+    toggleSort(colIndex, additive = false) {
+      const current = this.sortState.find((s) => s.index === colIndex);
+      const next = !current
+        ? "asc"
+        : current.direction === "asc"
+          ? "desc"
+          : null;
+
+      let state = additive
+        ? this.sortState.filter((s) => s.index !== colIndex)
+        : [];
+
+      if (next) {
+        const entry = { index: colIndex, direction: next };
+        if (additive && current) {
+          // Keep the column's priority when cycling it
+          state.splice(this.sortState.indexOf(current), 0, entry);
+        } else {
+          state.push(entry);
+        }
+      }
+
+      this.sortState = state;
+      this.applySort();
+    }
+
+    /**
+     * Initialize the table - main entry point. With `hydrate`, markup
+     * already in the container (from renderToString) is kept.
+     */
+    init({ hydrate = false } = {}) {
+      this.prepareData();
+
+      const container =
+        typeof this.config.container === "string"
+          ? document.querySelector(this.config.container)
+          : this.config.container;
+
+      if (!container) {
+        console.error("TableLibrary: Container not found");
+        return;
+      }
+
+      // Filters typed before a re-render (e.g. updateData) are kept
+      const previousFilters = this.root ? this.getFilterState() : {};
+
+      // Drop listeners and pending timers from a previous render
+      this.removeListeners();
+      this.clearTimers();
+
+      const serverRoot = hydrate
+        ? container.querySelector(".table-library-container")
+        : null;
+      if (serverRoot) {
+        // Element ids in the markup carry the server's tableID
+        const table = serverRoot.querySelector("table[id]");
+        if (table) this.config.tableID = table.id;
+      } else {
+        if (hydrate) {
+          console.warn("TableLibrary: no server-rendered table to hydrate");
+        }
+        container.innerHTML = this.generateHTML(
+          this.processedHeadings,
+          this.processedData,
+        );
+      }
+      this.containerEl = container;
+      this.root =
+        serverRoot || container.querySelector(".table-library-container");
+      this.attachEventListeners();
+      this.initScroller();
+      this.updateSelectionUI();
+      this.updateAriaRows();
+      this.updatePinnedColumns();
+
+      if (Object.keys(previousFilters).length) {
+        this.setFilterState(previousFilters);
+        this.refreshView();
+      } else if (this.config.dataSource) {
+        this.fetchPage();
+      } else if (serverRoot && Object.keys(this.getFilterState()).length) {
+        // Filters typed into the server markup before hydration
+        this.refreshView();
+      } else if (this.getVirtualScrollOptions()) {
+        this.renderBody();
+      }
+    }
+
+    /**
+     * Build processedData, the view order and the other derived state
+     * from the config. Needs no DOM.
+     */
+    prepareData() {
+      let processed = this.hideColumns(this.config.headings, this.config.data);
+      let finalData = this.applyModifications(
+        processed.data,
+        processed.headings,
+      );
+
+      this.processedData = finalData;
+      this.processedHeadings = processed.headings;
+      this.formatters = new Map(); // Column indexes may have moved
+      this.formatRules = null;
+      this.displayData = [...finalData]; // Store the display data
+      this.rebuildKeyIndex();
+      this.searchText = null;
+      this.virtualRange = null;
+      this.cellRange = null;
+      this.filterTypes = this.processedHeadings.map((_, i) =>
+        this.resolveFilterType(i),
+      );
+      this.currentPage = 0;
+      this.initCheckboxState();
+
+      // Keep the column layout across updateData() unless the columns changed
+      if (
+        !this.columnOrder ||
+        this.columnOrder.length !== this.processedHeadings.length
+      ) {
+        this.columnOrder = this.processedHeadings.map((_, i) => i);
+        this.hiddenColumns = new Set();
+        this.pinned = this.resolvePinnedColumns(this.config.pinnedColumns);
+        if (this.config.columnState) {
+          this.applyColumnState(this.config.columnState);
+        }
+      }
+
+      if (this.sortState === null) {
+        this.sortState = this.resolveSortState(
+          this.config.sortConfig.initialSort,
+        );
+      }
+
+      // No filters are active after a rebuild, so the view is just the sort order
+      this.updateRuleDomains();
+      this.viewIndexes = this.getSortedIndexes();
+      this.filteredData = this.viewIndexes.map((i) => this.displayData[i]);
+    }
+
+    /**
+     * Seed checkbox state from the button cells' checkboxValue, so it
+     * survives re-rendering of paged/virtualized rows
+     */
+    initCheckboxState() {
+      this.checkboxState = {};
+      this.checkedRowIndexes = new Set();
+
+      this.processedData.forEach((_, rowIndex) =>
+        this.seedCheckboxState(rowIndex),
+      );
+    }
+
+    /**
+     * Seed checkbox state for one row, keeping any state the user already set
+     */
+    seedCheckboxState(rowIndex) {
+      this.processedData[rowIndex].forEach((cell, colIndex) => {
+        const key = `${rowIndex}:${colIndex}`;
+        if (
+          cell &&
+          cell.type === "button" &&
+          cell.checkbox &&
+          !(key in this.checkboxState)
+        ) {
+          this.checkboxState[key] = !!cell.checkboxValue;
+        }
+      });
+    }
+
+    /**
+     * Get the key of a raw data row from the rowKey config
+     * (heading name, column index or function). Falls back to the row index.
+     */
+    getRowKey(row, rowIndex) {
+      const { rowKey, headings } = this.config;
+      if (typeof rowKey === "function") return rowKey(row, rowIndex);
+      if (typeof rowKey === "number") return row[rowKey];
+      if (typeof rowKey === "string") {
+        return row[headings.indexOf(this.resolveHeading(rowKey))];
+      }
+      return rowIndex;
+    }
+
+    /**
+     * Rebuild the row key lookup after rows were added or removed
+     */
+    rebuildKeyIndex() {
+      this.rowKeys = this.config.data.map((row, i) => this.getRowKey(row, i));
+      this.keyIndex = new Map(this.rowKeys.map((key, i) => [key, i]));
+
+      // With a dataSource, selected rows may be on another page
+      if (this.config.dataSource) return;
+
+      // Forget selected and expanded rows that no longer exist
+      [this.selectedKeys, this.expandedKeys].forEach((keys) => {
+        keys.forEach((key) => {
+          if (!this.keyIndex.has(key)) keys.delete(key);
+        });
+      });
+    }
+
+    /**
+     * Run raw rows through hideColumns + modifyConfig like init() does
+     */
+    processRows(rows, startIndex) {
+      const processed = this.hideColumns(this.config.headings, rows);
+      return this.applyModifications(
+        processed.data,
+        processed.headings,
+        startIndex,
+      );
+    }
+
+    /**
+     * Apply a patch to a raw row: a full row array, an object keyed by
+     * heading (or column index), or a function returning the new row
+     */
+    applyRowPatch(row, patch) {
+      if (typeof patch === "function") return patch([...row]);
+      if (Array.isArray(patch)) return patch;
+
+      const next = [...row];
+      Object.keys(patch).forEach((column) => {
+        const colIndex = /^\d+$/.test(column)
+          ? parseInt(column)
+          : this.config.headings.indexOf(this.resolveHeading(column));
+        if (colIndex >= 0) next[colIndex] = patch[column];
+      });
+      return next;
+    }
+
+    /**
+     * Query inside this table instance only
+     */
+    query(selector) {
+      return this.root ? this.root.querySelector(selector) : null;
+    }
+
+    /**
+     * Query all matches inside this table instance only
+     */
+    queryAll(selector) {
+      return this.root ? this.root.querySelectorAll(selector) : [];
+    }
+
+    /**
+     * Get this instance's <table>, scroller and download button elements
+     */
+    getTableElement() {
+      return this.query("table");
+    }
+
+    getScroller() {
+      return this.query(".table-library-scroller");
+    }
+
+    getDownloadButton() {
+      const position = this.config.downloadConfig.position || "top-right";
+      return this.query(`[id="${this.config.tableID}-download-${position}"]`);
+    }
+
+    /**
+     * Add an event listener that destroy() (or the next init) removes
+     */
+    listen(target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      this.listeners.push([target, type, handler, options]);
+    }
+
+    removeListeners() {
+      this.listeners.forEach(([target, type, handler, options]) =>
+        target.removeEventListener(type, handler, options),
+      );
+      this.listeners = [];
+    }
+
+    /**
+     * setTimeout / requestAnimationFrame that are cancelled on destroy()
+     */
+    setTimer(fn, delay) {
+      const id = setTimeout(() => {
+        this.timers.delete(id);
+        fn();
+      }, delay);
+      this.timers.add(id);
+      return id;
+    }
+
+    clearTimer(id) {
+      clearTimeout(id);
+      this.timers.delete(id);
+    }
+
+    requestFrame(fn) {
+      const id = requestAnimationFrame(() => {
+        this.frames.delete(id);
+        fn();
+      });
+      this.frames.add(id);
+      return id;
+    }
+
+    clearTimers() {
+      this.timers.forEach((id) => clearTimeout(id));
+      this.frames.forEach((id) => cancelAnimationFrame(id));
+      this.timers.clear();
+      this.frames.clear();
+    }
+
+    /**
+     * Initialize scroller interactions (Shift+Wheel, Drag-to-Scroll)
+     */
+    initScroller() {
+      const scroller = this.getScroller();
+      if (!scroller) return;
+
+      // Shift + wheel -> horizontal scroll
+      this.listen(
+        scroller,
+        "wheel",
+        (e) => {
+          if (e.shiftKey) {
+            e.preventDefault();
+            scroller.scrollLeft += e.deltaY;
+          }
+        },
+        { passive: false },
+      );
+
+      // Virtual scroll -> re-window rows once per animation frame
+      if (this.getVirtualScrollOptions()) {
+        let frame = null;
+        this.listen(scroller, "scroll", () => {
+          if (frame) return;
+          frame = this.requestFrame(() => {
+            frame = null;
+            this.renderBody();
+          });
+        });
+      }
+
+      // Drag to scroll logic removed to allow text selection
+    }
+
+    /**
+     * Attach all event listeners for interactivity. Events are delegated
+     * to this instance's root, so re-rendered rows need no re-binding and
+     * other tables on the page are never touched.
+     */
+    attachEventListeners() {
+      const root = this.root;
+      if (!root) return;
+
+      // Debounce function for performance
+      const debounce = (fn, delay) => {
+        let timeout;
+        return (...args) => {
+          this.clearTimer(timeout);
+          timeout = this.setTimer(() => fn(...args), delay);
+        };
+      };
+
+      const filterTable = () => this.filterTable();
+      const debouncedFilter = debounce(filterTable, 300);
+
+      // Text filters are debounced while typing
+      this.listen(root, "input", (e) => {
+        const control = e.target.closest(".table-library-filter");
+        if (
+          control &&
+          control.tagName !== "SELECT" &&
+          control.type !== "date"
+        ) {
+          debouncedFilter();
+        }
+      });
+
+      this.listen(root, "change", (e) => {
+        // Selects and date pickers filter at once
+        const control = e.target.closest(".table-library-filter");
+        if (control) {
+          if (control.tagName === "SELECT" || control.type === "date") {
+            filterTable();
+          }
+          return;
+        }
+
+        const toggle = e.target.closest(".table-library-column-toggle");
+        if (toggle) {
+          this.setColumnVisible(
+            parseInt(toggle.dataset.colIndex),
+            toggle.checked,
+          );
+          return;
+        }
+
+        if (e.target.closest(".table-library-page-size")) {
+          this.setPageSize(parseInt(e.target.value));
+          return;
+        }
+
+        const cellSelect = e.target.closest(".table-library-cell-select");
+        if (cellSelect) {
+          this.handleCellSelect(cellSelect, e);
+          return;
+        }
+
+        const cb = e.target.closest(".table-library-action-checkbox");
+        if (cb) this.handleCheckboxInput(cb, e);
+      });
+
+      // Inline editing: double-click opens the editor
+      this.listen(root, "dblclick", (e) => {
+        const td = e.target.closest("tbody td[data-col-index]");
+        // An editor whose row was re-rendered meanwhile is gone
+        if (this.activeEditor && !this.activeEditor.td.isConnected) {
+          this.activeEditor = null;
+        }
+        if (td && !this.activeEditor) this.startEdit(td);
+      });
+
+      this.listen(root, "keydown", (e) => {
+        if (e.target.closest(".table-library-editor")) {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            this.commitEdit().then(() => this.restoreCellFocus());
+          } else if (e.key === "Escape") {
+            e.preventDefault();
+            this.cancelEdit();
+            this.restoreCellFocus();
+          }
+          return;
+        }
+
+        if (this.handleCellControlKey(e)) return;
+        if (this.handleGridKey(e)) return;
+
+        // Ctrl/Cmd+Z undo, Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z redo
+        if ((e.ctrlKey || e.metaKey) && !e.target.closest("input, select")) {
+          const key = e.key.toLowerCase();
+          if (key === "z" && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+          } else if (key === "y" || (key === "z" && e.shiftKey)) {
+            e.preventDefault();
+            this.redo();
+          }
+        }
+      });
+
+      // Clicked or focused cells become the grid's tab stop
+      this.listen(root, "mousedown", (e) => {
+        const cell = this.getGridCell(e.target);
+        if (cell) this.setActiveCell(cell);
+
+        // Press and drag across data cells to select a range
+        // (Shift+click extends it)
+        if (
+          !this.getClipboardOptions() ||
+          e.button !== 0 ||
+          !this.getRangePosition(cell) ||
+          e.target.closest("input, select, textarea, button, a, summary")
+        ) {
+          return;
+        }
+        this.setCellRange(cell, e.shiftKey);
+        this.rangeDragging = true;
+        if (e.shiftKey) {
+          // Keep Shift+click from selecting text instead
+          e.preventDefault();
+          cell.focus();
+        }
+      });
+
+      if (this.getClipboardOptions()) this.attachRangeListeners();
+
+      this.listen(root, "focusin", (e) => {
+        const cell = this.getGridCell(e.target);
+        if (cell && this.findGridCell(this.activeCell) !== cell) {
+          this.setActiveCell(cell);
+        }
+      });
+
+      this.listen(root, "focusout", (e) => {
+        const editor = e.target.closest(".table-library-editor");
+        if (editor && this.activeEditor && !editor.contains(e.relatedTarget)) {
+          this.commitEdit();
+        }
+      });
+
+      this.listen(root, "click", (e) => {
+        // Collapse / expand a group
+        const groupRow = e.target.closest("tr.table-library-group-row");
+        if (groupRow) {
+          this.toggleGroup(groupRow.dataset.groupKey);
+          return;
+        }
+
+        // Row selection (Shift+click selects a range)
+        if (e.target.closest(".table-library-select-all")) {
+          this.selectAll(e.target.checked);
+          return;
+        }
+
+        const expandBtn = e.target.closest(".table-library-expand-btn");
+        if (expandBtn) {
+          this.toggleRowDetail(
+            parseInt(expandBtn.closest("tr").dataset.rowIndex),
+          );
+          return;
+        }
+
+        const selectBox = e.target.closest(".table-library-row-select");
+        if (selectBox) {
+          const row = selectBox.closest("tr");
+          this.toggleRowSelection(
+            parseInt(row.dataset.rowIndex),
+            selectBox.checked,
+            e.shiftKey,
+          );
+          return;
+        }
+
+        if (e.target.closest(".table-library-retry")) {
+          this.fetchPage();
+          return;
+        }
+
+        if (e.target.closest(".table-library-bulk-clear")) {
+          this.clearSelection();
+          return;
+        }
+
+        const bulkBtn = e.target.closest(".table-library-bulk-btn");
+        if (bulkBtn) {
+          this.runBulkAction(parseInt(bulkBtn.dataset.bulkIndex), e);
+          return;
+        }
+
+        // Download button - use actual position from config
+        const downloadBtn = this.config.downloadConfig.enable
+          ? this.getDownloadButton()
+          : null;
+        const menu = this.query(".table-library-download-menu");
+        if (downloadBtn && downloadBtn.contains(e.target)) {
+          if (menu) {
+            menu.hidden = !menu.hidden;
+          } else {
+            this.downloadTableData();
+          }
+          return;
+        }
+
+        const option = e.target.closest(".table-library-download-option");
+        if (option) {
+          menu.hidden = true;
+          this.downloadTableData(option.dataset.format);
+          return;
+        }
+
+        if (e.target.closest(".table-library-column-btn")) {
+          const columnMenu = this.query(".table-library-column-menu");
+          columnMenu.hidden = !columnMenu.hidden;
+          return;
+        }
+
+        // Sort (Shift+click adds the column to a multi-column sort)
+        const th = e.target.closest("th.table-library-sortable");
+        if (th) {
+          // Ignore the click that ends a column resize
+          if (
+            !e.target.closest(".table-library-filter") &&
+            !e.target.closest(".table-library-resize-handle") &&
+            !this.suppressSortClick
+          ) {
+            this.toggleSort(parseInt(th.dataset.colIndex), e.shiftKey);
+          }
+          return;
+        }
+
+        // Pagination
+        const pageBtn = e.target.closest(".table-library-page-btn");
+        if (pageBtn) {
+          const targets = {
+            first: 0,
+            prev: this.currentPage - 1,
+            next: this.currentPage + 1,
+            last: this.getPageCount() - 1,
+          };
+          this.setPage(targets[pageBtn.dataset.page] + 1);
+          return;
+        }
+
+        if (e.target.closest("tbody")) this.handleBodyClick(e);
+      });
+
+      // Close the column chooser on outside clicks
+      if (this.query(".table-library-column-menu")) {
+        this.listen(document, "click", (e) => {
+          const chooser = this.query(".table-library-column-chooser");
+          const columnMenu = chooser.querySelector(
+            ".table-library-column-menu",
+          );
+          if (!columnMenu.hidden && !chooser.contains(e.target)) {
+            columnMenu.hidden = true;
+          }
+        });
+      }
+
+      if (this.config.columnConfig.resize) this.attachResizeListeners();
+      if (this.config.columnConfig.reorder) this.attachReorderListeners();
+      if (this.config.importConfig.dropZone) this.attachDropListeners();
+
+      // Measured widths of pinned columns change with the viewport
+      this.listen(window, "resize", () => {
+        if (this.pinned.size) this.updatePinnedColumns();
+      });
+
+      // Close the format menu on outside clicks
+      if (this.query(".table-library-download-menu")) {
+        this.listen(document, "click", (e) => {
+          const menu = this.query(".table-library-download-menu");
+          const container = menu?.closest(".table-library-download-container");
+          if (menu && !menu.hidden && !container.contains(e.target)) {
+            menu.hidden = true;
+          }
+        });
+      }
+    }
+
+    /**
+     * Body entries before the current page (0 without pagination)
+     */
+    getPageOffset() {
+      const pagination = this.getPaginationOptions();
+      return pagination ? this.currentPage * pagination.pageSize : 0;
+    }
+
+    /**
+     * Number the grid rows: aria-rowindex counts the header row and every
+     * body entry, including those on other pages or outside the virtual
+     * window, so screen readers report the real position
+     */
+    updateAriaRows() {
+      const table = this.getTableElement();
+      if (!table) return;
+
+      const entries = this.config.dataSource
+        ? this.remote.total
+        : this.getBodyEntries().length;
+      const footerRows = table.tFoot ? table.tFoot.rows.length : 0;
+      table.setAttribute("aria-rowcount", String(entries + 1 + footerRows));
+
+      let position = this.renderOffset + 2;
+      [...table.tBodies[0].rows].forEach((tr) => {
+        if (
+          tr.classList.contains("table-library-virtual-spacer") ||
+          tr.classList.contains("table-library-detail-row")
+        ) {
+          return;
+        }
+        tr.setAttribute("aria-rowindex", String(position++));
+      });
+      if (table.tFoot) {
+        [...table.tFoot.rows].forEach((tr, i) => {
+          tr.setAttribute("aria-rowindex", String(entries + 2 + i));
+        });
+      }
+
+      this.syncActiveCell();
+      this.paintCellRange();
+    }
+
+    /**
+     * The grid cell (td/th) of this table an element belongs to, if any
+     */
+    getGridCell(element) {
+      const cell = element.closest && element.closest("td, th");
+      const table = this.getTableElement();
+      if (!cell || !table || cell.closest("table") !== table) return null;
+      return cell.parentElement.hasAttribute("aria-rowindex") ? cell : null;
+    }
+
+    /**
+     * Rendered cell at an { row, col } position (col is clamped for rows
+     * with fewer cells, such as group rows)
+     */
+    findGridCell(position) {
+      const table = this.getTableElement();
+      if (!position || !table) return null;
+
+      const tr = table.querySelector(`tr[aria-rowindex="${position.row}"]`);
+      if (!tr || !tr.cells.length) return null;
+      return tr.cells[Math.min(position.col, tr.cells.length - 1)];
+    }
+
+    /**
+     * Keep exactly one cell in the tab order (roving tabindex): the active
+     * cell, or the first header cell when it isn't rendered
+     */
+    syncActiveCell() {
+      const table = this.getTableElement();
+      if (!table) return;
+
+      const target =
+        this.findGridCell(this.activeCell) ||
+        (table.tHead && table.tHead.rows[0].cells[0]);
+      table
+        .querySelectorAll('td[tabindex="0"], th[tabindex="0"]')
+        .forEach((cell) => {
+          if (cell !== target) cell.removeAttribute("tabindex");
+        });
+      if (target) target.tabIndex = 0;
+    }
+
+    /**
+     * Make a cell the grid's tab stop. `col` is the column to return to
+     * when moving through rows with fewer cells.
+     */
+    setActiveCell(cell, col = cell.cellIndex) {
+      this.activeCell = {
+        row: parseInt(cell.parentElement.getAttribute("aria-rowindex")),
+        col,
+      };
+      this.syncActiveCell();
+    }
+
+    /**
+     * Focus a cell and make it the tab stop
+     */
+    focusCell(cell, col = cell.cellIndex) {
+      this.setActiveCell(cell, col);
+      cell.focus();
+    }
+
+    /**
+     * Focus the active cell again after an action re-rendered it
+     */
+    restoreCellFocus() {
+      const table = this.getTableElement();
+      if (!table || table.contains(document.activeElement)) return;
+
+      const cell = this.findGridCell(this.activeCell);
+      if (cell) cell.focus();
+    }
+
+    /**
+     * Focus the rendered row closest to an aria-rowindex (rows on other
+     * pages aren't rendered; virtual rows are scrolled into the window)
+     */
+    focusRow(target, col) {
+      const table = this.getTableElement();
+      const count = parseInt(table.getAttribute("aria-rowcount")) || 1;
+      target = Math.max(1, Math.min(count, target));
+
+      const virtual = this.getVirtualScrollOptions();
+      const entry = target - 2;
+      if (
+        virtual &&
+        !table.querySelector(`tr[aria-rowindex="${target}"]`) &&
+        entry >= 0 &&
+        entry < this.getBodyEntries().length
+      ) {
+        const scroller = this.getScroller();
+        const headHeight = table.tHead ? table.tHead.offsetHeight : 0;
+        scroller.scrollTop = Math.max(
+          0,
+          headHeight +
+            entry * virtual.rowHeight -
+            (scroller.clientHeight || parseInt(virtual.height)) / 2,
+        );
+        this.renderBody();
+      }
+
+      let closest = null;
+      let distance = Infinity;
+      [...table.rows].forEach((tr) => {
+        const index = parseInt(tr.getAttribute("aria-rowindex"));
+        if (!index || !tr.cells.length) return;
+        if (Math.abs(index - target) < distance) {
+          closest = tr;
+          distance = Math.abs(index - target);
+        }
+      });
+      if (closest) {
+        this.focusCell(
+          closest.cells[Math.min(col, closest.cells.length - 1)],
+          col,
+        );
+      }
+    }
+
+    /**
+     * PageUp / PageDown: the previous or next page with pagination,
+     * otherwise a screenful of rows
+     */
+    focusPage(row, col, direction) {
+      const pagination = this.getPaginationOptions();
+      if (!pagination || row < 2) {
+        const scroller = this.getScroller();
+        const current = this.findGridCell({ row, col });
+        const rowHeight = current ? current.parentElement.offsetHeight : 0;
+        const step =
+          scroller && rowHeight
+            ? Math.max(1, Math.floor(scroller.clientHeight / rowHeight) - 1)
+            : 10;
+        this.focusRow(row + direction * step, col);
+        return;
+      }
+
+      const page = this.currentPage + direction;
+      if (page < 0 || page >= this.getPageCount()) {
+        // No page to go to: first / last row of this one
+        const offset = this.getPageOffset();
+        const rows = this.queryAll("tbody tr[aria-rowindex]").length;
+        this.focusRow(direction < 0 ? offset + 2 : offset + rows + 1, col);
+        return;
+      }
+
+      const rowInPage = row - 2 - this.getPageOffset();
+      this.setPage(page + 1);
+      const target = 2 + this.getPageOffset() + rowInPage;
+      // A dataSource page arrives later; it gets the tab stop meanwhile
+      if (this.config.dataSource) {
+        this.activeCell = { row: target, col };
+      } else {
+        this.focusRow(target, col);
+      }
+    }
+
+    /**
+     * Grid keyboard support on a focused cell: arrows, Home/End (with
+     * Ctrl for the first/last row), PageUp/PageDown, Enter to activate,
+     * Space to toggle and F2 to edit. Returns true when handled.
+     */
+    handleGridKey(e) {
+      const cell = e.target;
+      if (e.altKey || this.getGridCell(cell) !== cell) return false;
+
+      const tr = cell.parentElement;
+      const row = parseInt(tr.getAttribute("aria-rowindex"));
+      // Column to keep while passing through rows with fewer cells
+      const col =
+        this.activeCell && this.findGridCell(this.activeCell) === cell
+          ? this.activeCell.col
+          : cell.cellIndex;
+      const last = tr.cells.length - 1;
+      const ctrl = e.ctrlKey || e.metaKey;
+
+      switch (e.key) {
+        case "ArrowRight":
+          this.focusCell(tr.cells[Math.min(cell.cellIndex + 1, last)]);
+          break;
+        case "ArrowLeft":
+          this.focusCell(tr.cells[Math.max(cell.cellIndex - 1, 0)]);
+          break;
+        case "ArrowDown":
+          this.focusRow(row + 1, col);
+          break;
+        case "ArrowUp":
+          this.focusRow(row - 1, col);
+          break;
+        case "Home":
+          if (ctrl) this.focusRow(1, 0);
+          else this.focusCell(tr.cells[0]);
+          break;
+        case "End":
+          if (ctrl) this.focusRow(Infinity, Infinity);
+          else this.focusCell(tr.cells[last]);
+          break;
+        case "PageDown":
+          this.focusPage(row, col, 1);
+          break;
+        case "PageUp":
+          this.focusPage(row, col, -1);
+          break;
+        case "Enter":
+          this.activateCell(cell, e);
+          break;
+        case " ":
+          this.toggleCell(cell, e);
+          break;
+        case "F2":
+          if (cell.matches("tbody td[data-col-index]") && !this.activeEditor) {
+            this.startEdit(cell);
+          }
+          break;
+        default:
+          return false;
+      }
+
+      // Shift+arrows extend the cell range, plain arrows drop it
+      if (e.key.startsWith("Arrow") && this.getClipboardOptions()) {
+        if (e.shiftKey) {
+          if (!this.cellRange) this.setCellRange(cell);
+          this.setCellRange(this.findGridCell(this.activeCell), true);
+        } else {
+          this.clearCellRange();
+        }
+      }
+
+      e.preventDefault();
+      return true;
+    }
+
+    /**
+     * Keys inside a cell's own controls: arrows move between the buttons
+     * of a multi-button cell, Escape returns to the cell
+     */
+    handleCellControlKey(e) {
+      const control = e.target.closest(
+        ".table-library-button-group .table-library-action-btn, .table-library-cell-select",
+      );
+      const cell = control && this.getGridCell(control);
+      if (!cell) return false;
+
+      if (e.key === "Escape") {
+        this.focusCell(cell);
+      } else if (
+        control.tagName === "BUTTON" &&
+        (e.key === "ArrowRight" || e.key === "ArrowLeft")
+      ) {
+        const buttons = [
+          ...cell.querySelectorAll(".table-library-action-btn:not([disabled])"),
+        ];
+        const next =
+          buttons[buttons.indexOf(control) + (e.key === "ArrowRight" ? 1 : -1)];
+        if (next) next.focus();
+      } else {
+        return false;
+      }
+
+      e.preventDefault();
+      return true;
+    }
+
+    /**
+     * Enter on a cell: sort a header, press the cell's button or link,
+     * toggle a group, then onRowClick (or edit the cell without one)
+     */
+    activateCell(cell, e) {
+      if (cell.tagName === "TH") {
+        if (cell.classList.contains("table-library-sortable")) {
+          this.toggleSort(parseInt(cell.dataset.colIndex), e.shiftKey);
+        }
+        return;
+      }
+
+      // Several buttons or a dropdown: move focus into the cell
+      const inner = cell.querySelector(
+        ".table-library-button-group .table-library-action-btn:not([disabled]), .table-library-cell-select:not([disabled])",
+      );
+      if (inner) {
+        inner.focus();
+        return;
+      }
+
+      const control = cell.querySelector(
+        ".table-library-expand-btn, .table-library-action-btn, a.table-library-url, .table-library-retry",
+      );
+      if (control) {
+        control.click();
+        this.restoreCellFocus();
+        return;
+      }
+
+      const tr = cell.parentElement;
+      if (tr.classList.contains("table-library-group-row")) {
+        this.toggleGroup(tr.dataset.groupKey);
+        this.restoreCellFocus();
+        return;
+      }
+      if (tr.dataset.rowIndex === undefined) return;
+
+      const rowIndex = parseInt(tr.dataset.rowIndex);
+      if (typeof this.config.onRowClick === "function") {
+        this.config.onRowClick(this.processedData[rowIndex], rowIndex);
+      } else if (cell.dataset.colIndex !== undefined && !this.activeEditor) {
+        this.startEdit(cell);
+      }
+    }
+
+    /**
+     * Space on a cell: toggle its checkbox, or the row's selection
+     * (Shift+Space extends the selection range)
+     */
+    toggleCell(cell, e) {
+      const tr = cell.parentElement;
+      const rowIndex =
+        tr.dataset.rowIndex === undefined
+          ? null
+          : parseInt(tr.dataset.rowIndex);
+      const box = cell.querySelector('input[type="checkbox"]');
+
+      if (
+        rowIndex !== null &&
+        this.getSelectionOptions() &&
+        (!box || box.classList.contains("table-library-row-select"))
+      ) {
+        this.toggleRowSelection(
+          rowIndex,
+          !this.isRowSelected(rowIndex),
+          e.shiftKey,
+        );
+      } else if (box) {
+        box.click();
+      }
+      this.restoreCellFocus();
+    }
+
+    /**
+     * Normalized clipboard settings, or null when cell ranges are off
+     */
+    getClipboardOptions() {
+      const { clipboard } = this.config;
+      if (!clipboard || clipboard.enable === false) return null;
+
+      const options = clipboard === true ? {} : clipboard;
+      return {
+        headers: options.headers || false,
+        paste: options.paste !== false,
+      };
+    }
+
+    /**
+     * Range position of a body data cell ({ row: aria-rowindex, col:
+     * visible column position }), or null for any other cell
+     */
+    getRangePosition(cell) {
+      if (!cell || !cell.matches("tbody td[data-col-index]")) return null;
+
+      const row = parseInt(cell.parentElement.getAttribute("aria-rowindex"));
+      const col = this.getVisibleColumns().indexOf(
+        parseInt(cell.dataset.colIndex),
+      );
+      return row && col >= 0 ? { row, col } : null;
+    }
+
+    /**
+     * Start a cell range at a data cell, or extend the current one to it
+     */
+    setCellRange(cell, extend = false) {
+      const position = this.getRangePosition(cell);
+      if (!position) return;
+
+      this.cellRange = {
+        anchor: extend && this.cellRange ? this.cellRange.anchor : position,
+        focus: position,
+      };
+      this.paintCellRange();
+    }
+
+    /**
+     * Drop the cell range
+     */
+    clearCellRange() {
+      if (!this.cellRange) return;
+      this.cellRange = null;
+      this.paintCellRange();
+    }
+
+    /**
+     * { top, bottom, left, right } of the cell range, or of the active
+     * cell when no range is selected
+     */
+    getRangeBounds() {
+      let { anchor, focus } = this.cellRange || {};
+      if (!anchor) {
+        anchor = focus = this.getRangePosition(
+          this.findGridCell(this.activeCell),
+        );
+        if (!anchor) return null;
+      }
+
+      return {
+        top: Math.min(anchor.row, focus.row),
+        bottom: Math.max(anchor.row, focus.row),
+        left: Math.min(anchor.col, focus.col),
+        right: Math.max(anchor.col, focus.col),
+      };
+    }
+
+    /**
+     * Data rows between two aria-rowindexes as [{ row, rowIndex }]
+     * (group and subtotal rows are skipped; rows on other pages count)
+     */
+    getRangeRows(top, bottom) {
+      // A dataSource's entries are just the current page
+      const offset = 2 + (this.config.dataSource ? this.getPageOffset() : 0);
+      const rows = [];
+      this.getBodyEntries()
+        .slice(Math.max(0, top - offset), bottom - offset + 1)
+        .forEach((entry, i) => {
+          if (typeof entry === "number") {
+            rows.push({ row: Math.max(top, offset) + i, rowIndex: entry });
+          }
+        });
+      return rows;
+    }
+
+    /**
+     * Highlight the rendered cells of a range larger than one cell
+     * (a single cell is shown by its focus ring)
+     */
+    paintCellRange() {
+      const table = this.getTableElement();
+      if (!table) return;
+
+      table.querySelectorAll(".table-library-cell-in-range").forEach((td) => {
+        td.classList.remove("table-library-cell-in-range");
+      });
+
+      const bounds = this.cellRange && this.getRangeBounds();
+      if (
+        !bounds ||
+        (bounds.top === bounds.bottom && bounds.left === bounds.right)
+      ) {
+        return;
+      }
+
+      const columns = this.getVisibleColumns().slice(
+        bounds.left,
+        bounds.right + 1,
+      );
+      table.querySelectorAll("tbody tr[data-row-index]").forEach((tr) => {
+        const row = parseInt(tr.getAttribute("aria-rowindex"));
+        if (row < bounds.top || row > bounds.bottom) return;
+
+        columns.forEach((colIndex) => {
+          const td = tr.querySelector(`td[data-col-index="${colIndex}"]`);
+          if (td) td.classList.add("table-library-cell-in-range");
+        });
+      });
+    }
+
+    /**
+     * The cell range as TSV and as an HTML table, with the values as
+     * displayed (getCellTextContent), or null when no cell is active
+     */
+    getClipboardData() {
+      const bounds = this.getRangeBounds();
+      if (!bounds) return null;
+
+      const columns = this.getVisibleColumns().slice(
+        bounds.left,
+        bounds.right + 1,
+      );
+      const rows = this.getRangeRows(bounds.top, bounds.bottom).map(
+        ({ rowIndex }) =>
+          columns.map((colIndex) =>
+            this.getCellTextContent(
+              this.displayData[rowIndex][colIndex],
+              colIndex,
+            ),
+          ),
+      );
+      const headings = columns.map((colIndex) =>
+        String(this.processedHeadings[colIndex]),
+      );
+      const withHeaders = (this.getClipboardOptions() || {}).headers;
+      const cells = (values, tag) =>
+        values.map((value) => `<${tag}>${escapeHTML(value)}</${tag}>`).join("");
+
+      return {
+        text: [...(withHeaders ? [headings] : []), ...rows]
+          .map((values) => this.toDelimitedLine(values, "\t"))
+          .join("\r\n"),
+        html: `<table>${
+          withHeaders ? `<thead><tr>${cells(headings, "th")}</tr></thead>` : ""
+        }<tbody>${rows
+          .map((values) => `<tr>${cells(values, "td")}</tr>`)
+          .join("")}</tbody></table>`,
+        count: rows.length * columns.length,
+      };
+    }
+
+    /**
+     * Parse pasted text for a column's editor type. Returns { value } or
+     * { error }, like readEditorValue.
+     */
+    parsePastedValue(text, { editor, options }) {
+      const raw = text.trim();
+
+      switch (editor) {
+        case "number": {
+          if (raw === "") return { value: null };
+          const value = this.parseNumber(raw);
+          return isNaN(value)
+            ? { error: this.getMessage("enterNumber") }
+            : { value };
+        }
+
+        case "date": {
+          if (raw === "") return { value: null };
+          const value = /^\d{4}-\d{2}-\d{2}$/.test(raw)
+            ? new Date(`${raw}T00:00:00Z`)
+            : this.normalizeLocalDate(new Date(raw));
+          return isNaN(value.getTime())
+            ? { error: this.getMessage("enterDate") }
+            : { value };
+        }
+
+        case "boolean": {
+          const lower = raw.toLowerCase();
+          const yes = this.getMessage("yes").toLowerCase();
+          const no = this.getMessage("no").toLowerCase();
+          if (["true", "1", "yes", yes].includes(lower)) return { value: true };
+          if (["false", "0", "no", "", no].includes(lower)) {
+            return { value: false };
+          }
+          return { error: this.getMessage("invalidValue") };
+        }
+
+        case "select": {
+          // Copied cells hold an option's label, typed ones its value
+          const match = options.find((option) =>
+            typeof option === "object"
+              ? String(option.value) === raw || String(option.label) === raw
+              : String(option) === raw,
+          );
+          if (match === undefined) {
+            return { error: this.getMessage("invalidValue") };
+          }
+          return { value: typeof match === "object" ? match.value : match };
+        }
+
+        default:
+          return { value: text };
+      }
+    }
+
+    /**
+     * Parse a number written in the table's locale ("1,23,456.5",
+     * "1.234,5", "₹ 1,200"); NaN when it isn't one
+     */
+    parseNumber(text) {
+      const formatter = this.getFormatter(
+        "parse",
+        () => new Intl.NumberFormat(this.config.locale),
+      );
+      const parts = formatter ? formatter.formatToParts(12345.6) : [];
+      const part = (type, fallback) =>
+        (parts.find((p) => p.type === type) || {}).value || fallback;
+
+      const normalized = String(text)
+        .split(part("group", ","))
+        .join("")
+        .split(part("decimal", "."))
+        .join(".")
+        .replace(/[^\d.eE+-]/g, "");
+      return /\d/.test(normalized) ? Number(normalized) : NaN;
+    }
+
+    /**
+     * Dates parsed without a time zone land on local midnight; date-only
+     * values are kept as UTC midnight like the rest of the data
+     */
+    normalizeLocalDate(date) {
+      if (
+        isNaN(date.getTime()) ||
+        date.getHours() ||
+        date.getMinutes() ||
+        date.getSeconds() ||
+        date.getMilliseconds()
+      ) {
+        return date;
+      }
+      return new Date(
+        Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()),
+      );
+    }
+
+    /**
+     * Read a message out through the live region
+     */
+    announce(message) {
+      const live = this.query(".table-library-live");
+      if (live) live.textContent = message;
+    }
+
+    /**
+     * Cell ranges: extend by dragging, copy (Ctrl+C) as TSV and HTML and
+     * paste (Ctrl+V) a TSV block into editable cells
+     */
+    attachRangeListeners() {
+      const root = this.root;
+
+      this.listen(root, "mouseover", (e) => {
+        if (!this.rangeDragging) return;
+        if (e.buttons !== 1) {
+          this.rangeDragging = false;
+          return;
+        }
+
+        const cell = this.getGridCell(e.target);
+        if (!this.getRangePosition(cell)) return;
+        this.setCellRange(cell, true);
+        // Dragging selects cells, not their text
+        if (window.getSelection) window.getSelection().removeAllRanges();
+        root.classList.add("table-library-range-selecting");
+      });
+
+      this.listen(document, "mouseup", () => {
+        this.rangeDragging = false;
+        root.classList.remove("table-library-range-selecting");
+      });
+
+      this.listen(root, "copy", (e) => {
+        // Selected text inside a cell is copied as usual
+        const selection = window.getSelection ? window.getSelection() : null;
+        if (
+          !e.clipboardData ||
+          !this.getGridCell(e.target) ||
+          (selection && !selection.isCollapsed)
+        ) {
+          return;
+        }
+
+        const data = this.getClipboardData();
+        if (!data) return;
+        e.preventDefault();
+        e.clipboardData.setData("text/plain", data.text);
+        e.clipboardData.setData("text/html", data.html);
+        this.announce(this.getMessage("cellsCopied", { count: data.count }));
+      });
+
+      this.listen(root, "paste", (e) => {
+        if (
+          !this.getClipboardOptions().paste ||
+          !e.clipboardData ||
+          this.activeEditor ||
+          !this.getRangePosition(this.getGridCell(e.target))
+        ) {
+          return;
+        }
+
+        e.preventDefault();
+        this.pasteText(e.clipboardData.getData("text/plain"));
+      });
+    }
+
+    /**
+     * Load files dropped onto the table (importConfig.dropZone)
+     */
+    attachDropListeners() {
+      const root = this.root;
+      const hasFiles = (e) =>
+        e.dataTransfer && [...e.dataTransfer.types].includes("Files");
+
+      this.listen(root, "dragover", (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "copy";
+        root.classList.add("table-library-drop-active");
+      });
+
+      this.listen(root, "dragleave", (e) => {
+        if (!root.contains(e.relatedTarget)) {
+          root.classList.remove("table-library-drop-active");
+        }
+      });
+
+      this.listen(root, "drop", (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        root.classList.remove("table-library-drop-active");
+
+        const [file] = e.dataTransfer.files;
+        if (file) {
+          this.importFile(file).catch((err) => {
+            console.error("TableLibrary: import failed", err);
+            this.announce(
+              this.getMessage("importFailed", {
+                message: err && err.message ? err.message : "",
+              }),
+            );
+          });
+        }
+      });
+    }
+
+    /**
+     * Drag a header's right border to resize the column
+     */
+    attachResizeListeners() {
+      this.listen(this.root, "pointerdown", (e) => {
+        const handle = e.target.closest(".table-library-resize-handle");
+        if (!handle) return;
+
+        e.preventDefault();
+        const th = handle.closest("th");
+        this.resizing = {
+          colIndex: parseInt(th.dataset.colIndex),
+          startX: e.clientX,
+          startWidth: th.offsetWidth,
+          moved: false,
+        };
+        this.root.classList.add("table-library-resizing");
+      });
+
+      this.listen(document, "pointermove", (e) => {
+        if (!this.resizing) return;
+        const { colIndex, startX, startWidth } = this.resizing;
+        this.resizing.moved = true;
+        this.setColumnWidth(colIndex, startWidth + e.clientX - startX);
+      });
+
+      this.listen(document, "pointerup", () => {
+        if (!this.resizing) return;
+        const { moved } = this.resizing;
+        this.resizing = null;
+        this.root.classList.remove("table-library-resizing");
+
+        if (moved) {
+          this.suppressSortClick = true;
+          this.setTimer(() => {
+            this.suppressSortClick = false;
+          }, 0);
+          this.notifyColumnStateChange();
+        }
+      });
+    }
+
+    /**
+     * Drag a heading onto another header to move the column there
+     */
+    attachReorderListeners() {
+      const clearMarkers = () => {
+        this.queryAll(
+          ".table-library-drop-before, .table-library-drop-after",
+        ).forEach((th) =>
+          th.classList.remove(
+            "table-library-drop-before",
+            "table-library-drop-after",
+          ),
+        );
+      };
+
+      // Drop on the right half of a header → insert after it
+      const dropTarget = (e) => {
+        const th = e.target.closest("thead th[data-col-index]");
+        if (!th) return null;
+        const rect = th.getBoundingClientRect();
+        return {
+          th,
+          colIndex: parseInt(th.dataset.colIndex),
+          after: e.clientX > rect.left + rect.width / 2,
+        };
+      };
+
+      this.listen(this.root, "dragstart", (e) => {
+        const heading = e.target.closest(".table-library-heading[draggable]");
+        if (!heading) return;
+
+        this.dragColumn = parseInt(heading.closest("th").dataset.colIndex);
+        if (e.dataTransfer) {
+          e.dataTransfer.effectAllowed = "move";
+          e.dataTransfer.setData("text/plain", heading.textContent.trim());
+        }
+      });
+
+      this.listen(this.root, "dragover", (e) => {
+        if (this.dragColumn === null) return;
+        const target = dropTarget(e);
+        if (!target) return;
+
+        e.preventDefault();
+        clearMarkers();
+        target.th.classList.add(
+          target.after
+            ? "table-library-drop-after"
+            : "table-library-drop-before",
+        );
+      });
+
+      this.listen(this.root, "drop", (e) => {
+        if (this.dragColumn === null) return;
+        const target = dropTarget(e);
+        if (target) {
+          e.preventDefault();
+          this.moveColumn(this.dragColumn, target.colIndex, target.after);
+        }
+        this.dragColumn = null;
+        clearMarkers();
+      });
+
+      this.listen(this.root, "dragend", () => {
+        this.dragColumn = null;
+        clearMarkers();
+      });
+    }
+
+    /**
+     * Resize a column within its min/max width (columns config or columnConfig)
+     */
+    setColumnWidth(colIndex, width) {
+      const { columnConfig } = this.config;
+      const column = this.getColumnDefinition(colIndex) || {};
+      const min = column.minWidth ?? columnConfig.minWidth ?? 40;
+      const max = column.maxWidth ?? columnConfig.maxWidth ?? Infinity;
+      const next = Math.round(Math.min(max, Math.max(min, width)));
+      const heading = this.processedHeadings[colIndex];
+
+      this.columnWidths[heading] = next;
+      this.queryAll(
+        `thead th[data-col-index="${colIndex}"], tbody td[data-col-index="${colIndex}"]`,
+      ).forEach((cell) => {
+        cell.style.width = `${next}px`;
+        cell.style.minWidth = `${next}px`;
+        cell.style.maxWidth = `${next}px`;
+      });
+      this.updatePinnedColumns();
+    }
+
+    /**
+     * Move a column before (or after) another one
+     */
+    moveColumn(colIndex, targetIndex, after = false) {
+      if (colIndex === targetIndex) return;
+
+      const order = this.columnOrder.filter((i) => i !== colIndex);
+      order.splice(order.indexOf(targetIndex) + (after ? 1 : 0), 0, colIndex);
+      this.columnOrder = order;
+
+      this.renderLayout();
+      this.notifyColumnStateChange();
+    }
+
+    /**
+     * Show or hide a column (the last visible column can't be hidden)
+     */
+    setColumnVisible(colIndex, visible) {
+      if (!visible && this.getVisibleColumns().length <= 1) {
+        this.updateColumnMenu();
+        return;
+      }
+
+      if (visible) {
+        this.hiddenColumns.delete(colIndex);
+      } else {
+        this.hiddenColumns.add(colIndex);
+      }
+
+      this.renderLayout();
+      this.notifyColumnStateChange();
+    }
+
+    /**
+     * Apply [{ column, visible, width, pinned }] without re-rendering. Listed columns
+     * take each other's positions in the given order; others stay in place.
+     */
+    applyColumnState(state) {
+      const entries = (Array.isArray(state) ? state : [])
+        .map((entry) => ({
+          ...entry,
+          index:
+            typeof entry.column === "number"
+              ? entry.column
+              : this.processedHeadings.indexOf(
+                  this.resolveHeading(entry.column),
+                ),
+        }))
+        .filter(
+          ({ index }) => index >= 0 && index < this.processedHeadings.length,
+        );
+
+      const listed = new Set(entries.map(({ index }) => index));
+      let next = 0;
+      this.columnOrder = this.columnOrder.map((i) =>
+        listed.has(i) ? entries[next++].index : i,
+      );
+
+      entries.forEach(({ index, visible, width, pinned }) => {
+        if (visible === false) this.hiddenColumns.add(index);
+        if (visible === true) this.hiddenColumns.delete(index);
+        if (pinned === "left" || pinned === "right") {
+          this.pinned.set(index, pinned);
+        } else if (pinned === null || pinned === false) {
+          this.pinned.delete(index);
+        }
+        if (width > 0) {
+          this.columnWidths[this.processedHeadings[index]] = width;
+        }
+      });
+
+      // Never hide every column
+      if (!this.getVisibleColumns().length) {
+        this.hiddenColumns.delete(this.columnOrder[0]);
+      }
+    }
+
+    /**
+     * Re-render the header, body and column menu after a layout change,
+     * keeping the values typed into the filters
+     */
+    renderLayout() {
+      // A hidden column's filter no longer applies
+      if (this.renderHeader()) {
+        this.refreshView();
+        return;
+      }
+
+      this.virtualRange = null;
+      this.renderBody();
+      this.updateSelectionUI();
+      this.updateFooter();
+    }
+
+    /**
+     * Re-render the header row and column menu, keeping filter values.
+     * Returns true when a column with an active filter is no longer shown.
+     */
+    renderHeader() {
+      const thead = this.query("thead");
+      if (!thead) return false;
+
+      const filterKey = (control) =>
+        `${control.dataset.colIndex}:${control.dataset.filterRole || "value"}`;
+      const values = {};
+      thead.querySelectorAll(".table-library-filter").forEach((control) => {
+        values[filterKey(control)] = control.value;
+      });
+
+      thead.innerHTML = `<tr aria-rowindex="1">${this.renderHeaderCells()}</tr>`;
+
+      const restored = new Set();
+      thead.querySelectorAll(".table-library-filter").forEach((control) => {
+        const key = filterKey(control);
+        if (key in values) {
+          control.value = values[key];
+          restored.add(key);
+        }
+      });
+      this.updateColumnMenu();
+      this.updatePinnedColumns();
+
+      return Object.keys(values).some(
+        (key) => values[key] !== "" && !restored.has(key),
+      );
+    }
+
+    /**
+     * Sync the column chooser checkboxes with the column state
+     */
+    updateColumnMenu() {
+      const menu = this.query(".table-library-column-menu");
+      if (menu) menu.innerHTML = this.renderColumnMenuItems();
+    }
+
+    /**
+     * Call the onColumnStateChange hook
+     */
+    notifyColumnStateChange() {
+      this.scheduleSaveState();
+      const { onColumnStateChange } = this.config;
+      if (typeof onColumnStateChange !== "function") return;
+
+      try {
+        onColumnStateChange({ columns: this.getColumnState(), table: this });
+      } catch (err) {
+        console.error("Error in onColumnStateChange:", err);
+      }
+    }
+
+    /**
+     * Header filter values by heading: "text" or { from, to } for date ranges
+     */
+    getFilterState() {
+      const state = {};
+      this.queryAll("thead .table-library-filter").forEach((control) => {
+        const value = control.value.trim();
+        if (!value) return;
+
+        const heading =
+          this.processedHeadings[parseInt(control.dataset.colIndex)];
+        const role = control.dataset.filterRole;
+        state[heading] = role ? { ...state[heading], [role]: value } : value;
+      });
+      return state;
+    }
+
+    /**
+     * Fill the header filters from getFilterState() output (others are cleared)
+     */
+    setFilterState(filters) {
+      this.queryAll("thead .table-library-filter").forEach((control) => {
+        const saved =
+          filters[this.processedHeadings[parseInt(control.dataset.colIndex)]];
+        const role = control.dataset.filterRole;
+        const value = role ? saved && saved[role] : saved;
+        control.value =
+          typeof value === "string" || typeof value === "number"
+            ? String(value)
+            : "";
+      });
+    }
+
+    /**
+     * Save the view state shortly after it changes (stateKey / urlState)
+     */
+    scheduleSaveState() {
+      if (!this.config.stateKey && !this.config.urlState) return;
+      if (this.restoringState) return;
+
+      this.clearTimer(this.saveTimer);
+      this.saveTimer = this.setTimer(() => this.saveState(), 250);
+    }
+
+    /**
+     * Saved state from localStorage, or null when missing or from
+     * another stateVersion
+     */
+    readStoredState() {
+      const { stateKey, stateVersion } = this.config;
+      if (!stateKey) return null;
+
+      try {
+        const raw = localStorage.getItem(stateKey);
+        if (!raw) return null;
+
+        const state = JSON.parse(raw);
+        if (!state || state.version !== stateVersion) {
+          localStorage.removeItem(stateKey);
+          return null;
+        }
+        return state;
+      } catch (err) {
+        console.warn("TableLibrary: could not read saved state", err);
+        return null;
+      }
+    }
+
+    /**
+     * Prefix for the query parameters written by urlState
+     */
+    getUrlStatePrefix() {
+      const { urlState } = this.config;
+      return urlState && urlState.prefix ? String(urlState.prefix) : "";
+    }
+
+    /**
+     * Filters and sort from the URL query (?sort=Name:desc&filter.Name=abc),
+     * or null when the URL has none
+     */
+    readUrlState() {
+      if (!this.config.urlState) return null;
+
+      const prefix = this.getUrlStatePrefix();
+      const params = new URLSearchParams(window.location.search);
+
+      const sort = params.getAll(`${prefix}sort`).map((value) => {
+        const split = value.lastIndexOf(":");
+        return split > 0
+          ? { column: value.slice(0, split), direction: value.slice(split + 1) }
+          : { column: value };
+      });
+
+      const filters = {};
+      params.forEach((value, key) => {
+        if (!key.startsWith(`${prefix}filter.`)) return;
+
+        const heading = key.slice(`${prefix}filter.`.length);
+        const colIndex = this.processedHeadings.indexOf(heading);
+        if (this.filterTypes[colIndex]?.type === "date") {
+          // Date ranges are written as from..to
+          const [from = "", to = ""] = value.split("..");
+          filters[heading] = { from, to };
+        } else {
+          filters[heading] = value;
+        }
+      });
+
+      // Only the parts the URL mentions override the saved state
+      const state = {};
+      if (sort.length) state.sort = sort;
+      if (Object.keys(filters).length) state.filters = filters;
+      return Object.keys(state).length ? state : null;
+    }
+
+    /**
+     * Write filters and sort into the URL query without adding a history entry
+     */
+    writeUrlState({ sort, filters }) {
+      const prefix = this.getUrlStatePrefix();
+      const params = new URLSearchParams(window.location.search);
+
+      [...params.keys()]
+        .filter(
+          (key) =>
+            key === `${prefix}sort` || key.startsWith(`${prefix}filter.`),
+        )
+        .forEach((key) => params.delete(key));
+
+      sort.forEach(({ column, direction }) => {
+        params.append(`${prefix}sort`, `${column}:${direction}`);
+      });
+      Object.keys(filters).forEach((heading) => {
+        const value = filters[heading];
+        params.set(
+          `${prefix}filter.${heading}`,
+          typeof value === "string"
+            ? value
+            : `${value.from || ""}..${value.to || ""}`,
+        );
+      });
+
+      const query = params.toString();
+      const { pathname, hash } = window.location;
+      window.history.replaceState(
+        window.history.state,
+        "",
+        `${pathname}${query ? `?${query}` : ""}${hash}`,
+      );
+    }
+
+    /**
+     * Handle clicks inside the table body (action buttons and row clicks)
+     */
+    handleBodyClick(e) {
+      const btn = e.target.closest(".table-library-action-btn");
+      if (btn) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.handleActionClick(btn, e);
+        return;
+      }
+
+      const row = e.target.closest("tr");
+      if (!row || row.dataset.rowIndex === undefined) return;
+
+      if (
+        e.target.closest(".table-library-action-checkbox") ||
+        e.target.closest("input") ||
+        e.target.closest("a") ||
+        e.target.closest("summary")
+      ) {
+        return;
+      }
+
+      const rowIndex = parseInt(row.dataset.rowIndex);
+      const rowData = this.processedData[rowIndex];
+
+      // Trigger onRowClick if defined
+      if (
+        this.config.onRowClick &&
+        typeof this.config.onRowClick === "function"
+      ) {
+        this.config.onRowClick(rowData, rowIndex);
+      }
+    }
+
+    /**
+     * Check whether a row (processedData index) is selected
+     */
+    isRowSelected(rowIndex) {
+      return this.selectedKeys.has(this.rowKeys[rowIndex]);
+    }
+
+    /**
+     * Select or deselect a row. With `range` (Shift+click) every filtered
+     * row between the previous click and this one gets the same state.
+     */
+    toggleRowSelection(rowIndex, selected, range = false) {
+      let indexes = [rowIndex];
+
+      if (range && this.selectionAnchor !== null) {
+        const from = this.viewIndexes.indexOf(this.selectionAnchor);
+        const to = this.viewIndexes.indexOf(rowIndex);
+        if (from !== -1 && to !== -1) {
+          indexes = this.viewIndexes.slice(
+            Math.min(from, to),
+            Math.max(from, to) + 1,
+          );
+        }
+      }
+
+      indexes.forEach((index) => {
+        const key = this.rowKeys[index];
+        if (selected) {
+          this.selectedKeys.add(key);
+        } else {
+          this.selectedKeys.delete(key);
+        }
+      });
+
+      this.selectionAnchor = rowIndex;
+      this.updateSelectionUI();
+      this.notifySelectionChange();
+    }
+
+    /**
+     * Select or deselect every filtered row
+     */
+    selectAll(selected = true) {
+      this.viewIndexes.forEach((index) => {
+        const key = this.rowKeys[index];
+        if (selected) {
+          this.selectedKeys.add(key);
+        } else {
+          this.selectedKeys.delete(key);
+        }
+      });
+
+      this.selectionAnchor = null;
+      this.updateSelectionUI();
+      this.notifySelectionChange();
+    }
+
+    /**
+     * Sync rendered checkboxes, the header checkbox and the bulk toolbar
+     * with the selection state
+     */
+    updateSelectionUI() {
+      if (!this.getSelectionOptions()) return;
+
+      this.queryAll("tbody tr[data-row-index]").forEach((tr) => {
+        const selected = this.isRowSelected(parseInt(tr.dataset.rowIndex));
+        tr.classList.toggle("table-library-row-selected", selected);
+        tr.setAttribute("aria-selected", String(selected));
+        const box = tr.querySelector(".table-library-row-select");
+        if (box) box.checked = selected;
+      });
+
+      const selectedInView = this.viewIndexes.filter((index) =>
+        this.isRowSelected(index),
+      ).length;
+      const selectAll = this.query(".table-library-select-all");
+      if (selectAll) {
+        selectAll.checked =
+          selectedInView > 0 && selectedInView === this.viewIndexes.length;
+        selectAll.indeterminate =
+          selectedInView > 0 && selectedInView < this.viewIndexes.length;
+      }
+
+      const toolbar = this.query(".table-library-bulk-actions");
+      if (toolbar) {
+        const count = this.selectedKeys.size;
+        toolbar.hidden = count === 0;
+        toolbar.querySelector(".table-library-selected-count").textContent =
+          this.getMessage("selectedCount", { count });
+      }
+    }
+
+    /**
+     * Call the onSelectionChange hook
+     */
+    notifySelectionChange() {
+      this.scheduleSaveState();
+      const { onSelectionChange } = this.config;
+      if (typeof onSelectionChange !== "function") return;
+
+      try {
+        onSelectionChange({
+          keys: [...this.selectedKeys],
+          rows: this.getSelectedRows(),
+          table: this,
+        });
+      } catch (err) {
+        console.error("Error in onSelectionChange:", err);
+      }
+    }
+
+    /**
+     * Run a bulk action from the toolbar with the selected rows
+     */
+    runBulkAction(actionIndex, event) {
+      const action = this.getSelectionOptions().bulkActions[actionIndex];
+      if (!action) return;
+
+      const handler =
+        typeof action.action === "function"
+          ? action.action
+          : this.actions[action.action];
+      if (typeof handler !== "function") {
+        console.warn(
+          `TableLibrary: bulk action "${action.label}" has no handler`,
+        );
+        return;
+      }
+
+      try {
+        const result = handler({
+          rows: this.getSelectedRows(),
+          keys: [...this.selectedKeys],
+          event,
+          table: this,
+        });
+        if (result && typeof result.catch === "function") {
+          result.catch((err) =>
+            console.error(`Error in bulk action "${action.label}":`, err),
+          );
+        }
+      } catch (err) {
+        console.error(`Error in bulk action "${action.label}":`, err);
+      }
+    }
+
+    /**
+     * Handle an action checkbox being toggled by the user
+     */
+    handleCheckboxInput(cb, event) {
+      const rowIndex = parseInt(cb.dataset.rowIndex);
+      const fnName = cb.dataset.fn;
+      const rowData = this.processedData[rowIndex];
+
+      this.checkboxState[`${rowIndex}:${cb.dataset.colIndex}`] = cb.checked;
+      this.handleCheckboxChange(rowData, rowIndex, cb.checked);
+      this.notifyCheckboxChange(fnName, rowIndex, cb.checked, event);
+
+      // Legacy: implicit global `${fnName}Checkbox` handler
+      if (fnName && this.config.legacyGlobalActions) {
+        this.callUserFunction(
+          fnName + "Checkbox",
+          rowData,
+          rowIndex,
+          cb.checked,
+        );
+      }
+    }
+
+    /**
+     * Save the option picked in a select cell like an edit, then run the
+     * cell's action. A rejected save puts the old option back.
+     */
+    async handleCellSelect(select, event) {
+      const td = select.closest("td[data-col-index]");
+      const rowIndex = parseInt(td.parentElement.dataset.rowIndex);
+      const colIndex = parseInt(td.dataset.colIndex);
+      const cell = this.processedData[rowIndex][colIndex];
+      const rowKey = this.rowKeys[rowIndex];
+
+      const option = getSelectOptions(cell).find(
+        (candidate) => String(candidate.value) === select.value,
+      );
+      const value = option ? option.value : select.value;
+      if (!(await this.setCellValue(rowIndex, colIndex, { ...cell, value }))) {
+        select.value = String(cell.value ?? "");
+        select.title = this.lastEditError || "";
+        return;
+      }
+
+      if (cell.function) {
+        this.runAction(cell.function, this.keyIndex.get(rowKey), event);
+      }
+    }
+
+    /**
+     * Handle a click on an action button cell
+     */
+    handleActionClick(btn, event) {
+      const fnName = btn.dataset.fn;
+      const rowIndex = parseInt(btn.dataset.rowIndex);
+      const rowData = this.processedData[rowIndex];
+
+      // Visual feedback
+      btn.style.transform = "scale(0.95)";
+      this.setTimer(() => {
+        btn.style.transform = "";
+      }, 150);
+
+      this.runAction(fnName, rowIndex, event);
+
+      // Auto-check the checkbox when button is clicked
+      const checkbox = btn
+        .closest(".table-library-action-cell")
+        ?.querySelector(".table-library-action-checkbox");
+      if (checkbox) {
+        const wasChecked = checkbox.checked;
+        checkbox.checked = true;
+        this.checkboxState[`${rowIndex}:${checkbox.dataset.colIndex}`] = true;
+        this.handleCheckboxChange(rowData, rowIndex, true);
+        if (!wasChecked)
+          this.notifyCheckboxChange(fnName, rowIndex, true, event);
+      }
+    }
+
+    /**
+     * Build the argument passed to action handlers and hooks
+     */
+    getActionContext(rowIndex, event) {
+      return {
+        row: this.processedData[rowIndex],
+        rowIndex,
+        rowKey: this.rowKeys[rowIndex],
+        event,
+        table: this,
+      };
+    }
+
+    /**
+     * Run a registered action. Global (window) functions are only
+     * looked up when legacyGlobalActions is enabled.
+     */
+    runAction(fnName, rowIndex, event) {
+      const handler = this.actions[fnName];
+
+      if (typeof handler === "function") {
+        try {
+          const result = handler(this.getActionContext(rowIndex, event));
+          if (result && typeof result.catch === "function") {
+            result.catch((err) =>
+              console.error(`Error in action "${fnName}":`, err),
+            );
+          }
+        } catch (err) {
+          console.error(`Error in action "${fnName}":`, err);
+        }
+        return true;
+      }
+
+      if (this.config.legacyGlobalActions) {
+        return this.callUserFunction(
+          fnName,
+          this.processedData[rowIndex],
+          rowIndex,
+        );
+      }
+
+      console.warn(`TableLibrary: action "${fnName}" is not registered`);
+      return false;
+    }
+
+    /**
+     * Call the onCheckboxChange hook for an action checkbox
+     */
+    notifyCheckboxChange(fnName, rowIndex, checked, event) {
+      const { onCheckboxChange } = this.config;
+      if (typeof onCheckboxChange !== "function") return;
+
+      try {
+        onCheckboxChange({
+          ...this.getActionContext(rowIndex, event),
+          action: fnName,
+          checked,
+        });
+      } catch (err) {
+        console.error("Error in onCheckboxChange:", err);
+      }
+    }
+
+    /**
+     * Editing settings for a column from editConfig (null = read-only).
+     * The editor defaults to the column's filter type.
+     */
+    getEditOptions(colIndex) {
+      const heading = this.processedHeadings[colIndex];
+      let declared = this.config.editConfig[heading];
+      if (declared === undefined) declared = this.config.editConfig[colIndex];
+      if (!declared) return null;
+
+      const options = declared === true ? {} : declared;
+      const filterType = (this.filterTypes[colIndex] || {}).type;
+      const editors = {
+        number: "number",
+        date: "date",
+        boolean: "boolean",
+        enum: "select",
+      };
+
+      let editor = options.editor || editors[filterType] || "text";
+      if (options.options && !options.editor) editor = "select";
+
+      return {
+        editor,
+        options:
+          editor === "select"
+            ? options.options ||
+              (this.filterTypes[colIndex] || {}).options ||
+              this.getEnumOptions(colIndex)
+            : null,
+        validate: options.validate || null,
+      };
+    }
+
+    /**
+     * Check whether a cell can be edited (structured cells never can)
+     */
+    isCellEditable(rowIndex, colIndex) {
+      if (!this.getEditOptions(colIndex)) return false;
+      const cell = this.processedData[rowIndex]?.[colIndex];
+      return !(
+        cell &&
+        typeof cell === "object" &&
+        !(cell instanceof Date) &&
+        !Array.isArray(cell)
+      );
+    }
+
+    /**
+     * Class attribute for a body cell (editable / dirty markers, plus
+     * classes from formatRules)
+     */
+    getCellClassAttr(rowIndex, colIndex, extra = []) {
+      const classes = [...extra];
+      if (this.isCellEditable(rowIndex, colIndex)) {
+        classes.push("table-library-editable");
+      }
+      if (this.getCellChange(this.rowKeys[rowIndex], colIndex)) {
+        classes.push("table-library-cell-dirty");
+      }
+      return classes.length ? ` class="${escapeHTML(classes.join(" "))}"` : "";
+    }
+
+    /**
+     * Replace a cell's content with an editor for its type
+     */
+    startEdit(td) {
+      const row = td.closest("tr");
+      const rowIndex = parseInt(row.dataset.rowIndex);
+      const colIndex = parseInt(td.dataset.colIndex);
+      if (!this.isCellEditable(rowIndex, colIndex)) return;
+
+      const options = this.getEditOptions(colIndex);
+      const value = this.processedData[rowIndex][colIndex];
+
+      this.activeEditor = { td, rowIndex, colIndex, options };
+      td.classList.add("table-library-editing");
+      td.innerHTML = this.renderEditor(options, value);
+
+      const editor = td.querySelector(".table-library-editor");
+      editor.focus();
+      if (editor.select && editor.type === "text") editor.select();
+
+      // Toggles commit as soon as they change
+      if (options.editor === "boolean") {
+        editor.addEventListener("change", () => this.commitEdit());
+      }
+    }
+
+    /**
+     * Editor markup for a value
+     */
+    renderEditor({ editor, options }, value) {
+      const attrs = 'class="table-library-editor"';
+
+      switch (editor) {
+        case "number":
+          return `<input type="number" step="any" ${attrs} value="${
+            typeof value === "number" && !isNaN(value) ? value : ""
+          }" />`;
+
+        case "date": {
+          const valid = value instanceof Date && !isNaN(value.getTime());
+          if (valid && !this.isDateOnly(value)) {
+            const local = new Date(
+              value.getTime() - value.getTimezoneOffset() * 60000,
+            );
+            return `<input type="datetime-local" ${attrs} value="${local
+              .toISOString()
+              .slice(0, 16)}" />`;
+          }
+          return `<input type="date" ${attrs} value="${
+            valid ? value.toISOString().slice(0, 10) : ""
+          }" />`;
+        }
+
+        case "boolean":
+          return `<input type="checkbox" ${attrs}${value ? " checked" : ""} />`;
+
+        case "select": {
+          const current = this.getCellTextContent(value);
+          return `<select ${attrs}>${options
+            .map((option) => {
+              const optionValue =
+                typeof option === "object" ? option.value : option;
+              const label = typeof option === "object" ? option.label : option;
+              const selected =
+                String(optionValue) === current ? " selected" : "";
+              return `<option value="${escapeHTML(optionValue)}"${selected}>${escapeHTML(label)}</option>`;
+            })
+            .join("")}</select>`;
+        }
+
+        default:
+          return `<input type="text" ${attrs} value="${escapeHTML(
+            this.getCellTextContent(value),
+          )}" />`;
+      }
+    }
+
+    /**
+     * Read and parse the editor value. Returns { value } or { error }.
+     */
+    readEditorValue(editorEl, { editor, options }) {
+      const raw =
+        editorEl.type === "checkbox" ? editorEl.checked : editorEl.value;
+
+      switch (editor) {
+        case "number": {
+          if (raw === "") return { value: null };
+          const value = Number(raw);
+          return isNaN(value)
+            ? { error: this.getMessage("enterNumber") }
+            : { value };
+        }
+
+        case "date": {
+          if (raw === "") return { value: null };
+          // Plain dates are stored as UTC midnight, like the rendered data
+          const value =
+            editorEl.type === "date"
+              ? new Date(`${raw}T00:00:00Z`)
+              : new Date(raw);
+          return isNaN(value.getTime())
+            ? { error: this.getMessage("enterDate") }
+            : { value };
+        }
+
+        case "boolean":
+          return { value: !!raw };
+
+        case "select": {
+          // Keep the option's own type (e.g. numbers) when it has one
+          const match = options.find(
+            (option) =>
+              String(typeof option === "object" ? option.value : option) ===
+              raw,
+          );
+          if (match === undefined) return { value: raw };
+          return { value: typeof match === "object" ? match.value : match };
+        }
+
+        default:
+          return { value: raw };
+      }
+    }
+
+    /**
+     * Validate and save the active editor
+     */
+    async commitEdit() {
+      const active = this.activeEditor;
+      if (!active || active.pending) return;
+
+      const editorEl = active.td.querySelector(".table-library-editor");
+      const parsed = this.readEditorValue(editorEl, active.options);
+      const row = this.processedData[active.rowIndex];
+      const error =
+        parsed.error ||
+        this.validateCell(active.options, parsed.value, row, active.colIndex);
+
+      if (error) {
+        this.showEditError(active.td, error);
+        return;
+      }
+
+      // Nothing changed: close without saving or recording history
+      const before = row[active.colIndex];
+      if (
+        typeof before === typeof parsed.value &&
+        this.compareCells(before, parsed.value) === 0
+      ) {
+        this.cancelEdit();
+        return;
+      }
+
+      active.pending = true;
+      active.td.classList.add("table-library-cell-saving");
+      const saved = await this.setCellValue(
+        active.rowIndex,
+        active.colIndex,
+        parsed.value,
+      );
+
+      if (this.activeEditor !== active) return;
+      if (saved) {
+        this.activeEditor = null;
+      } else {
+        active.pending = false;
+        active.td.classList.remove("table-library-cell-saving");
+        this.showEditError(
+          active.td,
+          this.lastEditError || this.getMessage("editSaveFailed"),
+        );
+      }
+    }
+
+    /**
+     * Close the active editor without saving
+     */
+    cancelEdit() {
+      const active = this.activeEditor;
+      if (!active) return;
+
+      this.activeEditor = null;
+      this.patchBody(new Set([active.rowIndex]));
+    }
+
+    /**
+     * Run the column validator: true / undefined = valid, false or a
+     * string = invalid (the string is shown as the message)
+     */
+    validateCell(options, value, row, colIndex) {
+      if (typeof options.validate !== "function") return null;
+
+      try {
+        const result = options.validate(value, row, colIndex);
+        if (result === false) return this.getMessage("invalidValue");
+        if (typeof result === "string") return result;
+        return null;
+      } catch (err) {
+        return err.message || this.getMessage("invalidValue");
+      }
+    }
+
+    /**
+     * Show a validation / save error under the editor
+     */
+    showEditError(td, message) {
+      const editorEl = td.querySelector(".table-library-editor");
+      if (editorEl) {
+        editorEl.classList.add("table-library-editor-invalid");
+        editorEl.title = message;
+      }
+
+      let note = td.querySelector(".table-library-edit-error");
+      if (!note) {
+        note = document.createElement("div");
+        note.className = "table-library-edit-error";
+        td.appendChild(note);
+      }
+      note.textContent = message;
+    }
+
+    /**
+     * Save a cell value through onCellEdit (which may be async and may
+     * reject), then update the data, dirty state and undo history
+     */
+    async setCellValue(rowIndex, colIndex, value, { record = true } = {}) {
+      const row = this.processedData[rowIndex];
+      const rowKey = this.rowKeys[rowIndex];
+      const before = row[colIndex];
+      this.lastEditError = null;
+
+      const { onCellEdit } = this.config;
+      if (typeof onCellEdit === "function") {
+        try {
+          const result = await onCellEdit(before, value, row, {
+            rowIndex,
+            rowKey,
+            column: this.processedHeadings[colIndex],
+            table: this,
+          });
+          if (result === false) {
+            this.lastEditError = this.getMessage("editRejected");
+            return false;
+          }
+        } catch (err) {
+          this.lastEditError =
+            (err && err.message) || this.getMessage("editSaveFailed");
+          return false;
+        }
+      }
+
+      // The row may have moved or been removed while saving
+      const currentIndex = this.keyIndex.get(rowKey);
+      if (currentIndex === undefined) return false;
+
+      this.applyCellValue(currentIndex, colIndex, before, value);
+      if (record) {
+        this.undoStack.push({ rowKey, colIndex, before, after: value });
+        this.redoStack = [];
+      }
+      return true;
+    }
+
+    /**
+     * Write a value into processedData/displayData and config.data, track
+     * it as a change and re-render the row
+     */
+    applyCellValue(rowIndex, colIndex, before, value) {
+      const rowKey = this.rowKeys[rowIndex];
+      this.processedData[rowIndex][colIndex] = value;
+
+      const rawIndex = this.getRawColumnIndex(colIndex);
+      if (rawIndex !== undefined) {
+        this.getWritableRow(rowIndex)[rawIndex] = value;
+      }
+
+      // Dirty tracking keeps the value from before the first edit
+      if (!this.changes.has(rowKey)) this.changes.set(rowKey, new Map());
+      const rowChanges = this.changes.get(rowKey);
+      const original = rowChanges.has(colIndex)
+        ? rowChanges.get(colIndex).original
+        : before;
+
+      if (this.compareCells(original, value) === 0) {
+        rowChanges.delete(colIndex);
+        if (!rowChanges.size) this.changes.delete(rowKey);
+      } else {
+        rowChanges.set(colIndex, { original, value });
+      }
+
+      this.searchText = null;
+      this.refreshView({ changedRows: new Set([rowIndex]) });
+    }
+
+    /**
+     * config.data as an array the table may change in place. Arrays the
+     * caller passed in or got from getData() are copied on the first write.
+     */
+    getWritableData() {
+      if (this.config.data !== this.ownedData) {
+        this.config.data = [...this.config.data];
+        this.ownedData = this.config.data;
+      }
+      return this.config.data;
+    }
+
+    /**
+     * Raw row that may be changed in place (copied on the first write,
+     * keeping the object it was read from for detail rows and exportValue)
+     */
+    getWritableRow(rowIndex) {
+      const data = this.getWritableData();
+      const row = data[rowIndex];
+      if (this.ownedRows.has(row)) return row;
+
+      const copy = [...row];
+      if (this.sourceRows.has(row)) {
+        this.sourceRows.set(copy, this.sourceRows.get(row));
+      }
+      this.ownedRows.add(copy);
+      data[rowIndex] = copy;
+      return copy;
+    }
+
+    /**
+     * Get the tracked change for a cell, if any
+     */
+    getCellChange(rowKey, colIndex) {
+      const rowChanges = this.changes.get(rowKey);
+      return rowChanges ? rowChanges.get(colIndex) : undefined;
+    }
+
+    /**
+     * Forget all edits and history
+     */
+    resetChanges() {
+      this.changes = new Map();
+      this.undoStack = [];
+      this.redoStack = [];
+      this.activeEditor = null;
+    }
+
+    /**
+     * Resolve a column's filter type from filterConfig, or infer it from
+     * the displayed values (number / date / boolean, otherwise text)
+     */
+    resolveFilterType(colIndex) {
+      const heading = this.processedHeadings[colIndex];
+      let declared = this.config.filterConfig[heading];
+      if (declared === undefined) declared = this.config.filterConfig[colIndex];
+
+      if (declared === false || declared === "none") return { type: "none" };
+      if (typeof declared === "string") declared = { type: declared };
+      if (declared && declared.type) {
+        return declared.type === "enum"
+          ? {
+              ...declared,
+              options: declared.options || this.getEnumOptions(colIndex),
+            }
+          : declared;
+      }
+
+      const values = this.displayData
+        .map((row) => this.getFilterValue(row[colIndex]))
+        .filter((cell) => cell !== null && cell !== undefined && cell !== "");
+
+      let type = "text";
+      if (values.length) {
+        if (values.every((cell) => typeof cell === "number")) type = "number";
+        else if (values.every((cell) => cell instanceof Date)) type = "date";
+        else if (values.every((cell) => typeof cell === "boolean"))
+          type = "boolean";
+      }
+
+      return { ...declared, type };
+    }
+
+    /**
+     * Distinct displayed values of a column, for enum filters
+     */
+    getEnumOptions(colIndex) {
+      const values = new Set();
+      this.displayData.forEach((row) => {
+        const text = this.getCellTextContent(row[colIndex], colIndex);
+        if (text !== "") values.add(text);
+      });
+      return [...values].sort((a, b) =>
+        a.localeCompare(b, undefined, { numeric: true }),
+      );
+    }
+
+    /**
+     * Render the header filter control for a column's filter type
+     */
+    renderFilterControl(rawHeading, colIndex) {
+      const filter = this.filterTypes[colIndex] || { type: "text" };
+      const label = this.getMessage("filterPlaceholder", {
+        heading: rawHeading,
+      });
+      const placeholder = escapeHTML(filter.placeholder || label);
+      const title = escapeHTML(label);
+      const all = escapeHTML(this.getMessage("filterAll"));
+      const attrs = `class="table-library-filter" data-col-index="${colIndex}"`;
+      const labelled = `${attrs} aria-label="${title}"`;
+
+      switch (filter.type) {
+        case "none":
+          return "";
+
+        case "boolean":
+          return `
+            <select ${labelled} title="${title}">
+              <option value="">${all}</option>
+              <option value="true">${escapeHTML(this.getMessage("yes"))}</option>
+              <option value="false">${escapeHTML(this.getMessage("no"))}</option>
+            </select>`;
+
+        case "enum":
+          return `
+            <select ${labelled} title="${title}">
+              <option value="">${all}</option>
+              ${filter.options
+                .map((option) => {
+                  const value =
+                    typeof option === "object" ? option.value : option;
+                  const label =
+                    typeof option === "object" ? option.label : option;
+                  return `<option value="${escapeHTML(value)}">${escapeHTML(label)}</option>`;
+                })
+                .join("")}
+            </select>`;
+
+        case "date": {
+          const from = escapeHTML(
+            this.getMessage("filterFrom", { heading: rawHeading }),
+          );
+          const to = escapeHTML(
+            this.getMessage("filterTo", { heading: rawHeading }),
+          );
+          return `
+            <div class="table-library-filter-range">
+              <input type="date" ${attrs} data-filter-role="from" title="${from}" aria-label="${from}" />
+              <input type="date" ${attrs} data-filter-role="to" title="${to}" aria-label="${to}" />
+            </div>`;
+        }
+
+        case "number":
+          return `<input type="text" ${labelled} placeholder="${placeholder}" title="${escapeHTML(this.getMessage("numberFilterHelp"))}" />`;
+
+        default:
+          return `<input type="text" ${labelled} placeholder="${placeholder}" title="${escapeHTML(this.getMessage("textFilterHelp"))}" />`;
+      }
+    }
+
+    /**
+     * Parse a number filter: "> 100", "<= 5", "!= 0", "= 3", "10..20" or "10 - 20"
+     */
+    parseNumberFilter(raw) {
+      const num = "(-?\\d*\\.?\\d+)";
+      const range = raw.match(
+        new RegExp(`^${num}\\s*(?:\\.\\.|to|-)\\s*${num}$`, "i"),
+      );
+      if (range) {
+        const min = parseFloat(range[1]);
+        const max = parseFloat(range[2]);
+        return {
+          type: "number",
+          op: "between",
+          min: Math.min(min, max),
+          max: Math.max(min, max),
+        };
+      }
+
+      const comparison = raw.match(new RegExp(`^(>=|<=|!=|>|<|=)?\\s*${num}$`));
+      if (comparison) {
+        return {
+          type: "number",
+          op: comparison[1] || "=",
+          value: parseFloat(comparison[2]),
+        };
+      }
+
+      // Not a number expression: fall back to matching the displayed text
+      return { type: "text", op: "contains", value: raw.toLowerCase() };
+    }
+
+    /**
+     * Parse a text filter: "=exact", "^prefix", "/regex/flags" or plain contains
+     */
+    parseTextFilter(raw, operator = "contains") {
+      const regex = raw.match(/^\/(.+)\/([gimsuy]*)$/);
+      if (regex || operator === "regex") {
+        try {
+          const pattern = regex
+            ? new RegExp(regex[1], regex[2].replace("g", ""))
+            : new RegExp(raw, "i");
+          return { type: "text", op: "regex", value: pattern };
+        } catch (err) {
+          // Incomplete pattern while typing: treat it as plain text
+        }
+      }
+
+      if (raw.startsWith("=")) {
+        return {
+          type: "text",
+          op: "equals",
+          value: raw.slice(1).trim().toLowerCase(),
+        };
+      }
+      if (raw.startsWith("^")) {
+        return {
+          type: "text",
+          op: "startsWith",
+          value: raw.slice(1).toLowerCase(),
+        };
+      }
+
+      const op =
+        operator === "equals" || operator === "startsWith"
+          ? operator
+          : "contains";
+      return { type: "text", op, value: raw.toLowerCase() };
+    }
+
+    /**
+     * Read the header filter controls into parsed filters (null = no filter)
+     */
+    getFilterValues() {
+      const controls = this.queryAll("thead .table-library-filter");
+
+      const raw = {};
+      controls.forEach((control) => {
+        const colIndex = parseInt(control.dataset.colIndex);
+        const role = control.dataset.filterRole || "value";
+        raw[colIndex] = { ...raw[colIndex], [role]: control.value.trim() };
+      });
+
+      return this.processedHeadings.map((_, colIndex) => {
+        const values = raw[colIndex];
+        const filter = this.filterTypes[colIndex] || { type: "text" };
+        if (!values) return null;
+
+        switch (filter.type) {
+          case "boolean":
+            return values.value
+              ? { type: "boolean", value: values.value === "true" }
+              : null;
+
+          case "enum":
+            return values.value ? { type: "enum", value: values.value } : null;
+
+          case "date": {
+            if (!values.from && !values.to) return null;
+            // Date inputs are calendar days; "to" includes the whole day
+            const timeZone = this.getFilterTimeZone(colIndex);
+            const from = values.from
+              ? this.getDayStart(values.from, timeZone)
+              : -Infinity;
+            const to = values.to
+              ? this.getDayStart(values.to, timeZone, 1) - 1
+              : Infinity;
+            return { type: "date", from, to };
+          }
+
+          case "number":
+            return values.value ? this.parseNumberFilter(values.value) : null;
+
+          default:
+            return values.value
+              ? this.parseTextFilter(values.value, filter.operator)
+              : null;
+        }
+      });
+    }
+
+    /**
+     * Check a single display value against a parsed filter
+     */
+    matchesFilter(cell, filter, text) {
+      cell = this.getFilterValue(cell);
+      switch (filter.type) {
+        case "boolean":
+          return cell === filter.value;
+
+        case "enum":
+          return text === filter.value;
+
+        case "date": {
+          if (!(cell instanceof Date)) return false;
+          const time = cell.getTime();
+          return time >= filter.from && time <= filter.to;
+        }
+
+        case "number": {
+          if (typeof cell !== "number" || isNaN(cell)) return false;
+          switch (filter.op) {
+            case "between":
+              return cell >= filter.min && cell <= filter.max;
+            case ">":
+              return cell > filter.value;
+            case ">=":
+              return cell >= filter.value;
+            case "<":
+              return cell < filter.value;
+            case "<=":
+              return cell <= filter.value;
+            case "!=":
+              return cell !== filter.value;
+            default:
+              return cell === filter.value;
+          }
+        }
+
+        default: {
+          const value = text.toLowerCase();
+          if (filter.op === "regex") return filter.value.test(text);
+          if (filter.op === "equals") return value === filter.value;
+          if (filter.op === "startsWith") return value.startsWith(filter.value);
+          return value.includes(filter.value);
+        }
+      }
+    }
+
+    /**
+     * Time zone the calendar days of a date filter are read in, matching
+     * how the column is shown: "UTC" when its dates are UTC-midnight plain
+     * dates, else the column's or config's timeZone (null = browser zone)
+     */
+    getFilterTimeZone(colIndex) {
+      if (this.getDateOnlyMode(colIndex) === "utc") {
+        const dates = this.displayData
+          .map((row) => this.getFilterValue(row[colIndex]))
+          .filter((value) => value instanceof Date && !isNaN(value));
+        if (
+          dates.length &&
+          dates.every((date) => this.isDateOnly(date, colIndex))
+        ) {
+          return "UTC";
+        }
+      }
+      return (
+        (this.getFormatOptions(colIndex) || {}).timeZone ||
+        this.config.timeZone ||
+        null
+      );
+    }
+
+    /**
+     * Midnight (ms) starting the "YYYY-MM-DD" day, `offsetDays` later,
+     * in `timeZone` (null = browser zone)
+     */
+    getDayStart(day, timeZone, offsetDays = 0) {
+      const [year, month, date] = day.split("-").map(Number);
+      if (!timeZone) {
+        return new Date(year, month - 1, date + offsetDays).getTime();
+      }
+
+      const utcMidnight = Date.UTC(year, month - 1, date + offsetDays);
+      if (timeZone === "UTC") return utcMidnight;
+
+      const formatter = this.getFormatter(
+        `zone:${timeZone}`,
+        () =>
+          new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric",
+          }),
+      );
+      if (!formatter) {
+        return new Date(year, month - 1, date + offsetDays).getTime();
+      }
+
+      // Offset of the zone at a moment: its wall-clock time read as UTC
+      const offsetAt = (time) => {
+        const parts = {};
+        formatter.formatToParts(time).forEach(({ type, value }) => {
+          parts[type] = Number(value);
+        });
+        return (
+          Date.UTC(
+            parts.year,
+            parts.month - 1,
+            parts.day,
+            parts.hour,
+            parts.minute,
+            parts.second,
+          ) -
+          Math.floor(time / 1000) * 1000
+        );
+      };
+      // A second pass corrects for a DST change between the two moments
+      const guess = utcMidnight - offsetAt(utcMidnight);
+      return utcMidnight - offsetAt(guess);
+    }
+
+    /**
+     * Check a row's display values against the column filters
+     */
+    rowMatchesFilters(rowIndex, filters) {
+      if (!this.searchText) {
+        // Built lazily once per data load instead of on every keystroke
+        this.searchText = this.displayData.map((row) =>
+          row.map((cell, colIndex) => this.getCellTextContent(cell, colIndex)),
+        );
+      }
+
+      const row = this.displayData[rowIndex];
+      const text = this.searchText[rowIndex];
+      return filters.every(
+        (filter, i) =>
+          !filter || this.matchesFilter(row[i], filter, text[i] || ""),
+      );
+    }
+
+    /**
+     * Filter rows by the header inputs and go back to the first page
+     */
+    filterTable() {
+      this.announceResults = true;
+      this.refreshView({ resetPage: true });
+    }
+
+    /**
+     * Recompute filtered + sorted rows over the full dataset and re-render
+     * the visible part of the body
+     */
+    refreshView({ resetPage = false, changedRows = null } = {}) {
+      this.scheduleSaveState();
+
+      // Filter, sort and page changes are sent to the dataSource
+      if (this.config.dataSource && !changedRows) {
+        if (resetPage) this.currentPage = 0;
+        this.fetchPage();
+        return;
+      }
+
+      const filters = this.config.dataSource ? [] : this.getFilterValues();
+      const hasFilters = filters.some(Boolean);
+
+      this.viewIndexes = this.getSortedIndexes().filter(
+        (index) => !hasFilters || this.rowMatchesFilters(index, filters),
+      );
+
+      // Update filtered data based on matching rows (using display data)
+      this.filteredData = this.viewIndexes.map(
+        (index) => this.displayData[index],
+      );
+
+      if (resetPage) this.currentPage = 0;
+      this.currentPage = Math.min(this.currentPage, this.getPageCount() - 1);
+
+      // Filtered or re-sorted rows would no longer be the selected cells
+      if (!changedRows) this.cellRange = null;
+
+      // A changed column minimum / maximum rescales every row's data bar
+      const domainsChanged = this.updateRuleDomains();
+
+      this.virtualRange = null;
+      if (changedRows && !domainsChanged) {
+        this.patchBody(changedRows);
+      } else {
+        this.renderBody();
+      }
+
+      // Update row count badge
+      this.updateRowCount(this.viewIndexes.length);
+      this.updateSelectionUI();
+      this.updateFooter();
+    }
+
+    /**
+     * Bring the rendered rows in line with the current view, reusing
+     * existing <tr> elements and re-rendering only the changed rows
+     */
+    patchBody(changedRows) {
+      const tbody = this.query("tbody");
+      if (!tbody) return;
+
+      // Virtualized bodies only hold a small window, and grouped bodies and
+      // open detail rows interleave other rows, so just re-render them
+      if (
+        this.getVirtualScrollOptions() ||
+        this.getGroupColumns().length ||
+        this.expandedKeys.size
+      ) {
+        this.renderBody();
+        return;
+      }
+
+      const existing = new Map();
+      tbody.querySelectorAll("tr[data-row-index]").forEach((tr) => {
+        existing.set(parseInt(tr.dataset.rowIndex), tr);
+      });
+
+      const template = document.createElement("tbody");
+      const rows = this.getPageIndexes().map((rowIndex) => {
+        const tr = existing.get(rowIndex);
+        if (tr && !changedRows.has(rowIndex)) {
+          existing.delete(rowIndex);
+          return tr;
+        }
+        template.innerHTML = this.renderRows([rowIndex]);
+        return template.firstElementChild;
+      });
+
+      existing.forEach((tr) => tr.remove());
+      rows.forEach((tr, i) => {
+        const current = tbody.children[i];
+        if (current !== tr) tbody.insertBefore(tr, current || null);
+      });
+      this.updateAriaRows();
+    }
+
+    /**
+     * Move edits and undo history keyed by row index to the new indexes.
+     * Edits of removed rows are dropped.
+     */
+    reindexEdits(mapping) {
+      const changes = new Map();
+      this.changes.forEach((rowChanges, rowIndex) => {
+        if (mapping[rowIndex] >= 0) changes.set(mapping[rowIndex], rowChanges);
+      });
+      this.changes = changes;
+
+      const remap = (entry) => {
+        if (entry.cells) {
+          const cells = entry.cells.map(remap).filter(Boolean);
+          return cells.length ? { cells } : null;
+        }
+        const rowIndex = mapping[entry.rowKey];
+        return rowIndex >= 0 ? { ...entry, rowKey: rowIndex } : null;
+      };
+      this.undoStack = this.undoStack.map(remap).filter(Boolean);
+      this.redoStack = this.redoStack.map(remap).filter(Boolean);
+    }
+
+    /**
+     * Shift index-based state and rendered rows after rows were removed.
+     * `mapping` maps old processedData indexes to new ones (-1 = removed).
+     */
+    reindexRows(mapping) {
+      const checkboxState = {};
+      Object.keys(this.checkboxState).forEach((key) => {
+        const [rowIndex, colIndex] = key.split(":").map(Number);
+        if (mapping[rowIndex] >= 0) {
+          checkboxState[`${mapping[rowIndex]}:${colIndex}`] =
+            this.checkboxState[key];
+        }
+      });
+      this.checkboxState = checkboxState;
+
+      this.checkedRowIndexes = new Set(
+        [...this.checkedRowIndexes]
+          .map((rowIndex) => mapping[rowIndex])
+          .filter((rowIndex) => rowIndex >= 0),
+      );
+
+      // Without a rowKey, rows are keyed by index and their keys shift too
+      if (!this.config.rowKey) {
+        const remap = (keys) =>
+          new Set(
+            [...keys]
+              .map((rowIndex) => mapping[rowIndex])
+              .filter((rowIndex) => rowIndex >= 0),
+          );
+        this.selectedKeys = remap(this.selectedKeys);
+        this.expandedKeys = remap(this.expandedKeys);
+        this.reindexEdits(mapping);
+      }
+      this.selectionAnchor = null;
+
+      this.queryAll("tbody tr[data-row-index]").forEach((tr) => {
+        const next = mapping[parseInt(tr.dataset.rowIndex)];
+        if (!(next >= 0)) {
+          tr.remove();
+          return;
+        }
+        [tr, ...tr.querySelectorAll("[data-row-index]")].forEach((el) => {
+          el.dataset.rowIndex = next;
+        });
+      });
+    }
+
+    /**
+     * processedData column indexes of the groupBy heading(s)
+     */
+    getGroupColumns() {
+      if (!this.groupBy) return [];
+      const list = Array.isArray(this.groupBy) ? this.groupBy : [this.groupBy];
+
+      return list
+        .map((column) =>
+          typeof column === "number"
+            ? column
+            : this.processedHeadings.indexOf(this.resolveHeading(column)),
+        )
+        .filter((i) => i >= 0 && i < this.processedHeadings.length);
+    }
+
+    /**
+     * Group the given row indexes by the groupBy columns:
+     * [{ key, level, colIndex, value, indexes, children }]
+     */
+    buildGroups(indexes) {
+      const columns = this.getGroupColumns();
+      if (!columns.length) return [];
+
+      // Groups follow the sort direction of their column (ascending otherwise)
+      const directions = columns.map((colIndex) => {
+        const sort = this.sortState.find((s) => s.index === colIndex);
+        return sort && sort.direction === "desc" ? -1 : 1;
+      });
+      const sorted = [...indexes].sort((a, b) => {
+        for (let i = 0; i < columns.length; i++) {
+          const result = this.compareCells(
+            this.displayData[a][columns[i]],
+            this.displayData[b][columns[i]],
+          );
+          if (result) return result * directions[i];
+        }
+        return 0;
+      });
+
+      const group = (rows, level, path) => {
+        const colIndex = columns[level];
+        const groups = new Map();
+        rows.forEach((rowIndex) => {
+          const value = this.displayData[rowIndex][colIndex];
+          const text = this.getCellTextContent(value, colIndex);
+          if (!groups.has(text)) {
+            groups.set(text, {
+              key: JSON.stringify([...path, text]),
+              level,
+              colIndex,
+              value,
+              indexes: [],
+              children: null,
+            });
+          }
+          groups.get(text).indexes.push(rowIndex);
+        });
+
+        return [...groups.values()].map((g) => {
+          if (level + 1 < columns.length) {
+            g.children = group(g.indexes, level + 1, JSON.parse(g.key));
+          }
+          return g;
+        });
+      };
+
+      return group(sorted, 0, []);
+    }
+
+    /**
+     * Groups of the current view (cached with the body entries)
+     */
+    getGroups() {
+      this.getBodyEntries();
+      return this.groups || [];
+    }
+
+    /**
+     * What the body shows for the current view: row indexes, plus group
+     * header and subtotal entries ({ type, group }) when grouping
+     */
+    getBodyEntries() {
+      if (this.bodyEntries && this.bodyEntriesFor === this.viewIndexes) {
+        return this.bodyEntries;
+      }
+
+      this.bodyEntriesFor = this.viewIndexes;
+      if (!this.getGroupColumns().length) {
+        this.groups = null;
+        this.bodyEntries = this.viewIndexes;
+        return this.bodyEntries;
+      }
+
+      const entries = [];
+      const subtotals = this.hasAggregates();
+      const add = (groups) => {
+        groups.forEach((group) => {
+          entries.push({ type: "group", group });
+          if (this.collapsedGroups.has(group.key)) return;
+
+          if (group.children) {
+            add(group.children);
+          } else {
+            entries.push(...group.indexes);
+          }
+          if (subtotals) entries.push({ type: "subtotal", group });
+        });
+      };
+
+      this.groups = this.buildGroups(this.viewIndexes);
+      add(this.groups);
+      this.bodyEntries = entries;
+      return entries;
+    }
+
+    /**
+     * Render body entries: data rows, group headers and subtotal rows
+     */
+    renderEntries(entries) {
+      if (!this.getGroupColumns().length) return this.renderRows(entries);
+
+      return entries
+        .map((entry) => {
+          if (typeof entry === "number") return this.renderRows([entry]);
+          return entry.type === "group"
+            ? this.renderGroupRow(entry.group)
+            : this.renderAggregateRow(
+                entry.group.indexes,
+                "table-library-subtotal-row",
+              );
+        })
+        .join("");
+    }
+
+    /**
+     * Collapsible group header row with the group value and row count
+     */
+    renderGroupRow(group) {
+      const collapsed = this.collapsedGroups.has(group.key);
+      const heading = this.processedHeadings[group.colIndex];
+      const value = this.getCellTextContent(group.value, group.colIndex);
+
+      return `<tr class="table-library-group-row${collapsed ? " table-library-group-collapsed" : ""}" data-group-key="${escapeHTML(group.key)}" data-level="${group.level}" aria-expanded="${!collapsed}"><td colspan="${this.getColumnCount()}" style="padding-left:${14 + group.level * 20}px;"><span class="table-library-group-toggle">${collapsed ? "▸" : "▾"}</span> <span class="table-library-group-label">${escapeHTML(heading)}: <strong>${escapeHTML(value || this.getMessage("emptyGroup"))}</strong></span> <span class="table-library-group-count">${group.indexes.length}</span></td></tr>`;
+    }
+
+    /**
+     * Row of aggregateConfig results over the given rows (subtotals/footer)
+     */
+    renderAggregateRow(indexes, className) {
+      const cells = this.getVisibleColumns().map((colIndex) => {
+        const spec = this.getAggregateSpec(colIndex);
+        if (!spec) return `<td></td>`;
+
+        const value = this.computeAggregate(spec, colIndex, indexes);
+        const label =
+          typeof spec === "string"
+            ? `<span class="table-library-aggregate-label">${escapeHTML(
+                this.getMessage(
+                  `aggregate${spec[0].toUpperCase()}${spec.slice(1)}`,
+                ),
+              )}</span> `
+            : "";
+        // Counts are plain numbers, not values in the column's format
+        const text = this.getCellTextContent(
+          value,
+          spec === "count" || spec === "distinct" ? null : colIndex,
+        );
+        return `<td data-aggregate-col="${colIndex}"${this.getWidthStyle(this.processedHeadings[colIndex])}>${label}${escapeHTML(text)}</td>`;
+      });
+
+      const leadCells =
+        (this.getExpandOptions()
+          ? '<td class="table-library-expand-cell"></td>'
+          : "") +
+        (this.getSelectionOptions()
+          ? '<td class="table-library-select-cell"></td>'
+          : "");
+      return `<tr class="${className}">${leadCells}${cells.join("")}</tr>`;
+    }
+
+    /**
+     * Footer row with aggregates over all filtered rows
+     */
+    renderFooterRow() {
+      return this.renderAggregateRow(
+        this.viewIndexes,
+        "table-library-footer-row",
+      );
+    }
+
+    /**
+     * Re-render the aggregate footer for the current view
+     */
+    updateFooter() {
+      const tfoot = this.query("tfoot");
+      if (!tfoot) return;
+      tfoot.innerHTML = this.renderFooterRow();
+      this.updateAriaRows();
+    }
+
+    /**
+     * Check whether any column has an aggregate
+     */
+    hasAggregates() {
+      return Object.keys(this.config.aggregateConfig).length > 0;
+    }
+
+    /**
+     * Aggregate for a column: "sum", "avg", "min", "max", "count",
+     * "distinct" or a function (values, rows) => result
+     */
+    getAggregateSpec(colIndex) {
+      const { aggregateConfig } = this.config;
+      return (
+        aggregateConfig[this.processedHeadings[colIndex]] ||
+        aggregateConfig[colIndex] ||
+        null
+      );
+    }
+
+    /**
+     * Compute an aggregate over a column of the given rows (empty cells skipped)
+     */
+    computeAggregate(spec, colIndex, indexes) {
+      const values = indexes
+        .map((rowIndex) => this.displayData[rowIndex][colIndex])
+        .filter((cell) => cell !== null && cell !== undefined && cell !== "");
+      const numbers = values
+        .map((cell) => this.getFilterValue(cell))
+        .filter((value) => typeof value === "number" && !isNaN(value));
+
+      if (typeof spec === "function") {
+        try {
+          return spec(
+            values,
+            indexes.map((rowIndex) => this.displayData[rowIndex]),
+          );
+        } catch (err) {
+          console.error(
+            `Error aggregating ${this.processedHeadings[colIndex]}:`,
+            err,
+          );
+          return null;
+        }
+      }
+
+      const sum = numbers.reduce((total, n) => total + n, 0);
+      switch (spec) {
+        case "sum":
+          return Math.round(sum * 100) / 100;
+        case "avg":
+          return numbers.length
+            ? Math.round((sum / numbers.length) * 100) / 100
+            : null;
+        case "min":
+        case "max": {
+          if (!values.length) return null;
+          const sign = spec === "min" ? 1 : -1;
+          return values.reduce((best, cell) =>
+            this.compareCells(cell, best) * sign < 0 ? cell : best,
+          );
+        }
+        case "count":
+          return values.length;
+        case "distinct":
+          return new Set(values.map((cell) => this.getCellTextContent(cell)))
+            .size;
+        default:
+          console.warn(`TableLibrary: unknown aggregate "${spec}"`);
+          return null;
+      }
+    }
+
+    /**
+     * Collapse or expand a group by key
+     */
+    toggleGroup(key) {
+      if (this.collapsedGroups.has(key)) {
+        this.collapsedGroups.delete(key);
+      } else {
+        this.collapsedGroups.add(key);
+      }
+      this.refreshGroups();
+    }
+
+    /**
+     * Re-render after the grouping or collapsed groups changed
+     */
+    refreshGroups() {
+      this.bodyEntries = null;
+      this.currentPage = Math.min(this.currentPage, this.getPageCount() - 1);
+      this.virtualRange = null;
+      this.renderBody();
+      this.updateRowCount(this.viewIndexes.length);
+      this.updateSelectionUI();
+    }
+
+    /**
+     * Number of rendered columns (including the selection column)
+     */
+    getColumnCount() {
+      return (
+        this.getVisibleColumns().length +
+        (this.getSelectionOptions() ? 1 : 0) +
+        (this.getExpandOptions() ? 1 : 0)
+      );
+    }
+
+    /**
+     * Active header filters in a serializable form for the dataSource:
+     * [{ column, index, type, op, value, min, max, from, to }]
+     */
+    getRemoteFilters() {
+      return this.getFilterValues()
+        .map((filter, index) => {
+          if (!filter) return null;
+
+          const remote = {
+            column: this.processedHeadings[index],
+            index,
+            ...filter,
+          };
+          if (filter.value instanceof RegExp) {
+            remote.value = filter.value.source;
+            remote.flags = filter.value.flags;
+          }
+          if (filter.type === "date") {
+            remote.from = isFinite(filter.from) ? new Date(filter.from) : null;
+            remote.to = isFinite(filter.to) ? new Date(filter.to) : null;
+          }
+          return remote;
+        })
+        .filter(Boolean);
+    }
+
+    /**
+     * Normalize a dataSource result ({ rows, total } or a plain row array)
+     */
+    readSourceResult(result) {
+      const rows = Array.isArray(result) ? result : result?.rows || [];
+      const total = Number.isFinite(result?.total) ? result.total : null;
+      return { rows, total };
+    }
+
+    /**
+     * Request the current page from the dataSource, cancelling the
+     * previous request so quick filter changes don't race each other
+     */
+    async fetchPage() {
+      const { dataSource } = this.config;
+      if (!dataSource) return;
+
+      if (this.remote.controller) this.remote.controller.abort();
+      const controller =
+        typeof AbortController === "function" ? new AbortController() : null;
+      const requestId = ++this.remote.requestId;
+      this.remote.controller = controller;
+      this.setRemoteStatus("loading");
+
+      try {
+        const result = await dataSource({
+          page: this.currentPage + 1,
+          pageSize: this.getPaginationOptions().pageSize,
+          sort: this.getSort(),
+          filters: this.getRemoteFilters(),
+          signal: controller ? controller.signal : undefined,
+        });
+
+        // A newer request (or destroy()) superseded this one
+        if (requestId !== this.remote.requestId) return;
+        this.remote.controller = null;
+
+        const { rows, total } = this.readSourceResult(result);
+        this.remote.total = total ?? rows.length;
+
+        // The page is past the end (e.g. rows were deleted on the server).
+        // An empty page the total still covers is shown as it is.
+        if (
+          !rows.length &&
+          this.currentPage > 0 &&
+          this.currentPage >= this.getPageCount()
+        ) {
+          this.setPage(this.getPageCount());
+          return;
+        }
+
+        this.setRemoteStatus("idle");
+        this.loadPageRows(rows);
+      } catch (err) {
+        if (requestId !== this.remote.requestId) return;
+        this.remote.controller = null;
+        console.error("TableLibrary: dataSource request failed", err);
+        this.setRemoteStatus("error", err);
+      }
+    }
+
+    /**
+     * Replace the rendered rows with a page of raw rows from the dataSource
+     */
+    loadPageRows(rows) {
+      rows = this.normalizeRows(rows);
+      this.config.data = rows;
+      this.processedData = this.processRows(rows, 0);
+      this.displayData = [...this.processedData];
+      this.rebuildKeyIndex();
+      this.searchText = null;
+      this.initCheckboxState();
+      this.activeEditor = null;
+
+      this.viewIndexes = this.processedData.map((_, i) => i);
+      this.filteredData = [...this.displayData];
+
+      this.virtualRange = null;
+      this.renderBody();
+      this.updateRowCount(this.viewIndexes.length);
+      this.updateSelectionUI();
+      this.updateFooter();
+    }
+
+    /**
+     * Show the loading / error state of the dataSource in the table body
+     */
+    setRemoteStatus(status, error = null) {
+      this.remote.status = status;
+      if (!this.root) return;
+
+      this.root.classList.toggle("table-library-loading", status === "loading");
+
+      const tbody = this.query("tbody");
+      if (!tbody) return;
+
+      const statusRow = (content, className) =>
+        `<tr class="table-library-status-row ${className}"><td colspan="${this.getColumnCount()}">${content}</td></tr>`;
+
+      if (status === "error") {
+        const message = error && error.message ? error.message : error;
+        tbody.innerHTML = statusRow(
+          `${escapeHTML(this.getMessage("loadError", { message: message || "" }))} <button type="button" class="table-library-retry">${escapeHTML(this.getMessage("retry"))}</button>`,
+          "table-library-error-row",
+        );
+      } else if (
+        status === "loading" &&
+        !tbody.querySelector("tr[data-row-index]")
+      ) {
+        // Keep the previous page visible (dimmed) while the next one loads
+        tbody.innerHTML = statusRow(
+          escapeHTML(this.getMessage("loading")),
+          "table-library-loading-row",
+        );
+      }
+      this.updateAriaRows();
+    }
+
+    /**
+     * Page through the dataSource and collect every row, with or without
+     * the header filters (used by exports). Stops at the last page, at a
+     * page with no new rows (a source that ignores `page`) or after
+     * downloadConfig.maxPages; destroy() aborts it.
+     */
+    async fetchAllRows(withFilters = true, onProgress = null) {
+      const { dataSource, downloadConfig } = this.config;
+      const pageSize = downloadConfig.pageSize || 1000;
+      const maxPages = downloadConfig.maxPages || 1000;
+      const controller =
+        typeof AbortController === "function" ? new AbortController() : null;
+      const signal = controller ? controller.signal : undefined;
+      const query = {
+        pageSize,
+        sort: this.getSort(),
+        filters: withFilters ? this.getRemoteFilters() : [],
+        signal,
+      };
+
+      if (this.remote.exportController) this.remote.exportController.abort();
+      this.remote.exportController = controller;
+
+      const rows = [];
+      const seenKeys = new Set();
+      let previousPage = null;
+      try {
+        for (let page = 1; page <= maxPages; page++) {
+          const result = this.readSourceResult(
+            await dataSource({ ...query, page }),
+          );
+          if (signal && signal.aborted) {
+            throw signal.reason || new Error("Export was aborted");
+          }
+
+          // Rows are new by key, or (without a rowKey) unless the whole
+          // page repeats the previous one
+          const pageRows = this.normalizeRows(result.rows);
+          if (this.config.rowKey) {
+            const keys = pageRows.map((row, i) =>
+              this.getRowKey(row, rows.length + i),
+            );
+            if (keys.length && keys.every((key) => seenKeys.has(key))) break;
+            keys.forEach((key) => seenKeys.add(key));
+          } else {
+            const signature = this.getPageSignature(result.rows);
+            if (signature !== null && signature === previousPage) break;
+            previousPage = signature;
+          }
+
+          this.processRows(pageRows, rows.length).forEach((row, i) => {
+            rows.push(this.getExportRow(row, pageRows[i]));
+          });
+          if (onProgress) onProgress(rows.length, result.total);
+
+          if (
+            result.rows.length < pageSize ||
+            (result.total !== null && rows.length >= result.total)
+          ) {
+            return rows;
+          }
+          if (page === maxPages) {
+            console.warn(
+              `TableLibrary: export stopped after ${maxPages} pages (downloadConfig.maxPages)`,
+            );
+          }
+        }
+        return rows;
+      } finally {
+        if (this.remote.exportController === controller) {
+          this.remote.exportController = null;
+        }
+      }
+    }
+
+    /**
+     * Comparable form of a page of raw rows (null when it can't be serialized)
+     */
+    getPageSignature(rows) {
+      try {
+        return JSON.stringify(rows);
+      } catch (err) {
+        return null;
+      }
+    }
+
+    /**
+     * Render the rows of the current page, or only the rows inside the
+     * scroller viewport when virtual scrolling is enabled
+     */
+    renderBody() {
+      const table = this.getTableElement();
+      const tbody = table?.querySelector("tbody");
+      if (!tbody) return;
+
+      const indexes = this.getPageEntries();
+      const virtual = this.getVirtualScrollOptions();
+
+      if (!virtual) {
+        tbody.innerHTML = this.renderEntries(indexes);
+        this.renderOffset = this.getPageOffset();
+        this.updateAriaRows();
+        this.updatePinnedColumns();
+        return;
+      }
+
+      const scroller = table.closest(".table-library-scroller");
+      const { rowHeight, overscan } = virtual;
+      const headHeight = table.tHead ? table.tHead.offsetHeight : 0;
+      const viewport = scroller.clientHeight || parseInt(virtual.height) || 600;
+      const offset = Math.max(0, scroller.scrollTop - headHeight);
+
+      let start = Math.max(0, Math.floor(offset / rowHeight) - overscan);
+      start -= start % 2; // Keep zebra striping stable while scrolling
+      const end = Math.min(
+        indexes.length,
+        start + Math.ceil(viewport / rowHeight) + overscan * 2,
+      );
+
+      const range = `${start}:${end}:${indexes.length}`;
+      if (this.virtualRange === range) return;
+      this.virtualRange = range;
+
+      const spacer = (height) =>
+        height > 0
+          ? `<tr class="table-library-virtual-spacer" aria-hidden="true"><td colspan="${this.getColumnCount()}" style="height:${height}px;padding:0;border:none;"></td></tr>`
+          : "";
+
+      tbody.innerHTML =
+        spacer(start * rowHeight) +
+        this.renderEntries(indexes.slice(start, end)) +
+        spacer((indexes.length - end) * rowHeight);
+      this.renderOffset = start;
+      this.updateAriaRows();
+      this.updatePinnedColumns();
+
+      // Learn the real row height from the first render
+      if (!this.measuredRowHeight && !this.config.virtualScroll.rowHeight) {
+        const firstRow = tbody.querySelector("tr[data-row-index]");
+        if (firstRow && firstRow.offsetHeight) {
+          this.measuredRowHeight = firstRow.offsetHeight;
+          this.virtualRange = null;
+          this.renderBody();
+        }
+      }
+    }
+
+    /**
+     * Download table data in the given format (defaults to the configured one)
+     * Shows loading indicator on button while the export is prepared
+     */
+    async downloadTableData(format, options = {}) {
+      const { downloadConfig } = this.config;
+      const exportFormat = String(
+        format || this.getExportFormats()[0],
+      ).toLowerCase();
+      const {
+        includeHeaders = downloadConfig.includeHeaders ?? true,
+        scope = downloadConfig.scope || "filtered",
+      } = options;
+      const filename = this.getExportFilename(
+        exportFormat,
+        options.filename || downloadConfig.filename,
+      );
+
+      if (!EXPORT_FORMATS[exportFormat]) {
+        console.error(`TableLibrary: unsupported export format "${format}"`);
+        return;
+      }
+
+      // Get the download button to show loading state
+      const btn = this.getDownloadButton();
+
+      // Store original button text and show loading
+      let originalText = "";
+      if (btn) {
+        originalText = btn.innerHTML;
+        btn.textContent = this.getMessage("exportLoading");
+        btn.disabled = true;
+      }
+
+      // Show how many rows were fetched while paging through a dataSource
+      const onProgress = (count, total) => {
+        if (btn) {
+          btn.textContent = this.getMessage("exportProgress", { count, total });
+        }
+      };
+
+      try {
+        if (exportFormat === "xlsx") {
+          await this.downloadAsExcel(
+            filename,
+            includeHeaders,
+            await this.getExcelSheets(scope, onProgress),
+          );
+        } else {
+          const rows = await this.collectExportRows(scope, onProgress);
+          this.downloadFile(
+            this.buildExport(exportFormat, rows, includeHeaders),
+            filename,
+            EXPORT_FORMATS[exportFormat].mime,
+          );
+        }
+      } catch (err) {
+        // destroy() aborts exports that are still paging
+        if (!err || err.name !== "AbortError") {
+          console.error("TableLibrary: export failed", err);
+        }
+      } finally {
+        // Restore button state
+        if (btn) {
+          btn.innerHTML = originalText;
+          btn.disabled = false;
+        }
+      }
+    }
+
+    /**
+     * Use the configured filename with the extension of the export format
+     */
+    getExportFilename(format, filename = "table-data.xlsx") {
+      const { extension } = EXPORT_FORMATS[format] || EXPORT_FORMATS.xlsx;
+      const base = String(filename).replace(/\.(xlsx|xls|csv|tsv|json)$/i, "");
+      return `${base}.${extension}`;
+    }
+
+    /**
+     * Rows to export for a scope: "all" (every row, in sort order),
+     * "filtered" (filteredData), "selected" (selection column) or
+     * "checked" (rows with a checked action checkbox)
+     */
+    getExportRows(scope = "filtered") {
+      return this.getExportIndexes(scope).map((i) =>
+        this.getExportRow(this.displayData[i], this.config.data[i]),
+      );
+    }
+
+    /**
+     * processedData indexes to export for a scope (see getExportRows)
+     */
+    getExportIndexes(scope = "filtered") {
+      let indexes = this.viewIndexes;
+
+      if (scope === "all") {
+        indexes = this.getSortedIndexes();
+      } else if (scope === "selected") {
+        indexes = this.getSortedIndexes().filter((i) => this.isRowSelected(i));
+      } else if (scope === "checked") {
+        const checked = new Set(this.getCheckedRows().map((r) => r.index));
+        indexes = this.getSortedIndexes().filter((i) => checked.has(i));
+      }
+
+      return indexes;
+    }
+
+    /**
+     * Export rows with group header and subtotal rows, plus the outline
+     * level of every row (used for XLSX row grouping)
+     */
+    getGroupedExportRows(scope = "filtered") {
+      const rows = [];
+      const levels = [];
+      const indexes = []; // processedData index per row (null for group rows)
+      const columns = this.getVisibleColumns();
+      const subtotals = this.hasAggregates();
+
+      const add = (groups) => {
+        groups.forEach((group) => {
+          const heading = this.processedHeadings[group.colIndex];
+          const label = `${heading}: ${this.getCellTextContent(group.value, group.colIndex) || this.getMessage("emptyGroup")} (${group.indexes.length})`;
+          rows.push(columns.map((_, i) => (i === 0 ? label : null)));
+          levels.push(group.level);
+          indexes.push(null);
+
+          if (group.children) {
+            add(group.children);
+          } else {
+            group.indexes.forEach((i) => {
+              rows.push(
+                this.getExportRow(this.displayData[i], this.config.data[i]),
+              );
+              levels.push(group.level + 1);
+              indexes.push(i);
+            });
+          }
+
+          if (subtotals) {
+            rows.push(
+              columns.map((colIndex) => {
+                const spec = this.getAggregateSpec(colIndex);
+                return spec
+                  ? this.computeAggregate(spec, colIndex, group.indexes)
+                  : null;
+              }),
+            );
+            levels.push(group.level + 1);
+            indexes.push(null);
+          }
+        });
+      };
+
+      add(this.buildGroups(this.getExportIndexes(scope)));
+      return { rows, levels, indexes };
+    }
+
+    /**
+     * Headings of the exported columns, in display order
+     */
+    getExportHeadings() {
+      return this.getVisibleColumns().map((i) => this.processedHeadings[i]);
+    }
+
+    /**
+     * Apply column `exportValue(value, row)` hooks to a displayed row.
+     * The hook gets the unformatted value and the source row (object or array).
+     */
+    getExportRow(row, rawRow) {
+      // Only visible columns are exported, in display order
+      return this.getVisibleColumns().map((colIndex) => {
+        const cell = row[colIndex];
+        const column = this.getColumnDefinition(colIndex);
+        if (!column || typeof column.exportValue !== "function") return cell;
+
+        const value = rawRow ? rawRow[this.getRawColumnIndex(colIndex)] : cell;
+        try {
+          return column.exportValue(
+            value,
+            this.sourceRows.get(rawRow) || rawRow || row,
+          );
+        } catch (err) {
+          console.error(
+            `Error exporting ${this.processedHeadings[colIndex]}:`,
+            err,
+          );
+          return cell;
+        }
+      });
+    }
+
+    /**
+     * Rows to export for a scope. With a dataSource, "all" and "filtered"
+     * page through the source; other scopes use the loaded page.
+     */
+    async collectExportRows(scope = "filtered", onProgress = null) {
+      if (this.config.dataSource && (scope === "all" || scope === "filtered")) {
+        return this.fetchAllRows(scope === "filtered", onProgress);
+      }
+      return this.getExportRows(scope);
+    }
+
+    /**
+     * Build CSV / TSV / JSON export content
+     */
+    buildExport(format, rows, includeHeaders = true) {
+      const headers = this.getExportHeadings();
+
+      if (format === "json") {
+        // Duplicate headings get a numeric suffix so no column is lost
+        const seen = {};
+        const keys = headers.map((heading) => {
+          seen[heading] = (seen[heading] || 0) + 1;
+          return seen[heading] > 1 ? `${heading} (${seen[heading]})` : heading;
+        });
+
+        const records = rows.map((row) =>
+          keys.reduce((record, key, i) => {
+            record[key] = this.getExportValue(row[i]);
+            return record;
+          }, {}),
+        );
+        return JSON.stringify(records, null, 2);
+      }
+
+      const delimiter = format === "tsv" ? "\t" : ",";
+      const lines = [];
+      if (includeHeaders) lines.push(this.toDelimitedLine(headers, delimiter));
+      rows.forEach((row) => {
+        lines.push(
+          this.toDelimitedLine(
+            row.map((cell) => this.getCellTextContent(cell)),
+            delimiter,
+          ),
+        );
+      });
+
+      // BOM lets Excel detect UTF-8 (on by default for CSV)
+      const { bom = format === "csv" } = this.config.downloadConfig;
+      return (bom ? "\uFEFF" : "") + lines.join("\r\n");
+    }
+
+    /**
+     * Join values into one CSV/TSV line, quoting where needed (RFC 4180)
+     */
+    toDelimitedLine(values, delimiter) {
+      return values
+        .map((value) => {
+          const text =
+            value === null || value === undefined ? "" : String(value);
+          if (
+            text.includes(delimiter) ||
+            /["\r\n]/.test(text) ||
+            text !== text.trim()
+          ) {
+            return `"${text.replace(/"/g, '""')}"`;
+          }
+          return text;
+        })
+        .join(delimiter);
+    }
+
+    /**
+     * Typed value for JSON export (numbers/booleans kept, dates as ISO)
+     */
+    getExportValue(cell) {
+      if (cell === null || cell === undefined) return null;
+      if (this.getCellType(cell)) {
+        const value = this.getFilterValue(cell);
+        return typeof value === "number" || typeof value === "boolean"
+          ? value
+          : this.getCellTextContent(cell);
+      }
+      if (typeof cell === "number" || typeof cell === "boolean") return cell;
+      if (cell instanceof Date) {
+        return isNaN(cell.getTime()) ? null : cell.toISOString();
+      }
+      if (Array.isArray(cell)) return cell.map((v) => this.getExportValue(v));
+      if (typeof cell === "object" && cell.type === "url") {
+        return cell.value ?? null;
+      }
+      return this.getCellTextContent(cell);
+    }
+
+    /**
+     * Save a string as a file through a temporary object URL
+     */
+    downloadFile(content, filename, mime) {
+      const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.style.display = "none";
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Sheets for the XLSX export: downloadConfig.sheets
+     * ([{ name, scope }]) or a single sheet for the requested scope
+     */
+    async getExcelSheets(scope = "filtered", onProgress = null) {
+      const { sheets } = this.config.downloadConfig;
+      const list =
+        Array.isArray(sheets) && sheets.length
+          ? sheets
+          : [{ name: this.getMessage("sheetName"), scope }];
+
+      // One sheet at a time, so a dataSource isn't paged through in parallel
+      const result = [];
+      for (const sheet of list) {
+        const sheetScope = sheet.scope || scope;
+        // Grouped views keep their groups as outline levels (loaded rows only)
+        if (this.getGroupColumns().length && !this.config.dataSource) {
+          result.push({
+            name: sheet.name,
+            ...this.getGroupedExportRows(sheetScope),
+          });
+        } else if (this.config.dataSource) {
+          result.push({
+            name: sheet.name,
+            rows: await this.collectExportRows(sheetScope, onProgress),
+          });
+        } else {
+          const indexes = this.getExportIndexes(sheetScope);
+          result.push({
+            name: sheet.name,
+            rows: this.getExportRows(sheetScope),
+            indexes,
+          });
+        }
+      }
+      return result;
+    }
+
+    /**
+     * Download sheets ([{ name, rows }], the filtered export rows by default)
+     * as Excel (XLSX) using SheetJS, keeping numbers, dates and booleans typed
+     */
+    async downloadAsExcel(
+      filename,
+      includeHeaders = true,
+      sheets = [{ name: "Sheet1", rows: this.getExportRows() }],
+    ) {
+      let XLSX = this.getSheetJS();
+      if (!XLSX) {
+        try {
+          XLSX = await this.loadSheetJS();
+        } catch (err) {
+          console.error(err);
+        }
+      }
+
+      if (!XLSX) {
+        console.error("Failed to load SheetJS library");
+        return;
+      }
+
+      const wb = XLSX.utils.book_new();
+      const usedNames = new Set();
+
+      sheets.forEach((sheet, i) => {
+        const ws = this.buildWorksheet(
+          XLSX,
+          sheet.rows,
+          includeHeaders,
+          sheet.levels,
+          sheet.indexes,
+        );
+        const name = this.getSheetName(
+          sheet.name || `Sheet${i + 1}`,
+          usedNames,
+        );
+        XLSX.utils.book_append_sheet(wb, ws, name);
+      });
+
+      // Trigger download
+      XLSX.writeFile(wb, filename, { cellDates: true });
+    }
+
+    /**
+     * Build one worksheet with typed cells, number/date formats, hyperlinks,
+     * column widths and a frozen bold header row
+     */
+    buildWorksheet(
+      XLSX,
+      rows,
+      includeHeaders = true,
+      levels = null,
+      indexes = null,
+    ) {
+      const headers = this.getExportHeadings();
+      const excelConfig = this.config.downloadConfig.excel || {};
+      const numberFormats = excelConfig.numberFormats || {};
+      const dateFormat = excelConfig.dateFormat || "dd-mmm-yyyy";
+      const dateTimeFormat =
+        excelConfig.dateTimeFormat || "dd-mmm-yyyy hh:mm AM/PM";
+
+      const exportData = [];
+      if (includeHeaders) exportData.push(headers);
+      rows.forEach((row) => {
+        exportData.push(row.map((cell) => this.getExcelValue(cell)));
+      });
+
+      // Create sheet
+      const ws = XLSX.utils.aoa_to_sheet(exportData, { cellDates: true });
+      const offset = includeHeaders ? 1 : 0;
+
+      rows.forEach((row, r) => {
+        row.forEach((cell, c) => {
+          const ref = XLSX.utils.encode_cell({ r: r + offset, c });
+          const target = ws[ref];
+          if (!target) return;
+
+          if (cell instanceof Date && !isNaN(cell.getTime())) {
+            target.z = this.isDateOnly(cell) ? dateFormat : dateTimeFormat;
+          } else if (typeof cell === "number" && numberFormats[headers[c]]) {
+            target.z = numberFormats[headers[c]];
+          } else if (cell && cell.type === "url") {
+            const href = this.sanitizeUrl(cell.value);
+            if (href) target.l = { Target: href, Tooltip: href };
+          }
+        });
+      });
+
+      // formatRules colours and font weights (loaded rows only)
+      if (excelConfig.formatRules && indexes && this.getFormatRules().length) {
+        const columns = this.getVisibleColumns();
+        indexes.forEach((rowIndex, r) => {
+          if (rowIndex === null || rowIndex === undefined) return;
+
+          const rowStyles = this.getRowFormat(rowIndex).styles;
+          columns.forEach((colIndex, c) => {
+            const style = this.getExcelStyle({
+              ...rowStyles,
+              ...this.getCellFormat(rowIndex, colIndex).styles,
+            });
+            if (!style) return;
+
+            const ref = XLSX.utils.encode_cell({ r: r + offset, c });
+            // Empty cells get a stub so their fill is kept
+            if (!ws[ref]) ws[ref] = { t: "z" };
+            ws[ref].s = style;
+          });
+        });
+      }
+
+      if (includeHeaders) {
+        headers.forEach((_, c) => {
+          const target = ws[XLSX.utils.encode_cell({ r: 0, c })];
+          // Cell styles need a style-capable SheetJS build (e.g. xlsx-js-style)
+          if (target) target.s = { font: { bold: true } };
+        });
+        ws["!freeze"] = { xSplit: 0, ySplit: 1 };
+        ws["!views"] = [{ state: "frozen", xSplit: 0, ySplit: 1 }];
+      }
+
+      ws["!cols"] = headers.map((heading, c) => ({
+        wch: this.getExcelColumnWidth(heading, c, exportData),
+      }));
+
+      // Row outline levels for grouped exports; group headers sit above
+      if (levels) {
+        ws["!rows"] = [
+          ...(includeHeaders ? [{}] : []),
+          ...levels.map((level) => (level ? { level } : {})),
+        ];
+        ws["!outline"] = { above: true };
+      }
+
+      return ws;
+    }
+
+    /**
+     * SheetJS cell style (fill, font colour, bold, italic) for rule
+     * styles; other CSS (data bars, borders, classes) has no XLSX form
+     */
+    getExcelStyle(styles) {
+      const toRgb = (color) => {
+        const hex = /^#([\da-f]{3}|[\da-f]{6})$/i.exec(
+          String(color || "").trim(),
+        );
+        if (!hex) return null;
+        const value =
+          hex[1].length === 3
+            ? hex[1]
+                .split("")
+                .map((ch) => ch + ch)
+                .join("")
+            : hex[1];
+        return value.toUpperCase();
+      };
+
+      const fill = toRgb(styles.backgroundColor || styles.background);
+      const color = toRgb(styles.color);
+      const bold =
+        styles.fontWeight === "bold" || parseInt(styles.fontWeight) >= 600;
+      const italic = styles.fontStyle === "italic";
+      if (!fill && !color && !bold && !italic) return null;
+
+      const style = {};
+      if (fill) style.fill = { patternType: "solid", fgColor: { rgb: fill } };
+      if (color || bold || italic) {
+        style.font = {
+          ...(color ? { color: { rgb: color } } : {}),
+          ...(bold ? { bold: true } : {}),
+          ...(italic ? { italic: true } : {}),
+        };
+      }
+      return style;
+    }
+
+    /**
+     * Native XLSX value for a cell (numbers, dates and booleans stay typed)
+     */
+    getExcelValue(cell) {
+      if (cell === null || cell === undefined) return null;
+      if (this.getCellType(cell)) {
+        const value = this.getFilterValue(cell);
+        return typeof value === "number" || typeof value === "boolean"
+          ? value
+          : this.getCellTextContent(cell);
+      }
+      if (typeof cell === "number") return isNaN(cell) ? null : cell;
+      if (typeof cell === "boolean") return cell;
+      if (cell instanceof Date) return isNaN(cell.getTime()) ? null : cell;
+      return this.getCellTextContent(cell);
+    }
+
+    /**
+     * Column width in characters: widthConfig (px) or fitted to the content
+     */
+    getExcelColumnWidth(heading, colIndex, exportData) {
+      const width = this.getColumnWidth(heading);
+      if (width) return Math.max(4, Math.round(width / 7));
+
+      const longest = exportData.reduce((max, row) => {
+        const value = row[colIndex];
+        const text =
+          value instanceof Date
+            ? this.formatDateOrTimestamp(value)
+            : value === null || value === undefined
+              ? ""
+              : String(value);
+        return Math.max(max, text.length);
+      }, String(heading).length);
+
+      return Math.min(60, Math.max(8, longest + 2));
+    }
+
+    /**
+     * Make a valid, unique worksheet name (max 31 chars, no []:*?/\)
+     */
+    getSheetName(name, usedNames) {
+      const base =
+        String(name)
+          .replace(/[[\]:*?/\\]/g, " ")
+          .trim()
+          .slice(0, 31) || "Sheet";
+
+      let unique = base;
+      for (let n = 2; usedNames.has(unique.toLowerCase()); n++) {
+        unique = `${base.slice(0, 31 - String(n).length - 1)}-${n}`;
+      }
+      usedNames.add(unique.toLowerCase());
+      return unique;
+    }
+
+    /**
+     * Get SheetJS from downloadConfig.sheetJS or the global XLSX, if loaded
+     */
+    getSheetJS() {
+      const { sheetJS } = this.config.downloadConfig;
+      if (sheetJS) return sheetJS.utils ? sheetJS : sheetJS.default || null;
+      return typeof global.XLSX !== "undefined" ? global.XLSX : null;
+    }
+
+    /**
+     * Dynamically load SheetJS library (downloadConfig.sheetJSUrl or the CDN)
+     */
+    loadSheetJS() {
+      return new Promise((resolve, reject) => {
+        const loaded = this.getSheetJS();
+        if (loaded) {
+          resolve(loaded);
+          return;
+        }
+
+        const script = document.createElement("script");
+        script.src = this.config.downloadConfig.sheetJSUrl || SHEETJS_CDN_URL;
+        script.onload = () => resolve(this.getSheetJS());
+        script.onerror = () =>
+          reject(new Error(`Failed to load SheetJS from ${script.src}`));
+        document.head.appendChild(script);
+      });
+    }
+
+    /**
+     * Import format of a file: "xlsx" for workbooks, "tsv" or "csv"
+     */
+    getImportFormat(file, format) {
+      if (format) return String(format).toLowerCase();
+
+      const name = String(file.name || "").toLowerCase();
+      const extension = name.includes(".") ? name.split(".").pop() : "";
+      const type = file.type || "";
+      if (
+        ["xlsx", "xlsm", "xlsb", "xls", "ods"].includes(extension) ||
+        /spreadsheetml|ms-excel|opendocument\.spreadsheet/.test(type)
+      ) {
+        return "xlsx";
+      }
+      if (
+        ["tsv", "tab"].includes(extension) ||
+        type === "text/tab-separated-values"
+      ) {
+        return "tsv";
+      }
+      return "csv";
+    }
+
+    /**
+     * Split CSV/TSV text into rows of strings (RFC 4180 quoting)
+     */
+    parseDelimited(text, delimiter) {
+      const rows = [];
+      let row = [];
+      let field = "";
+      let quoted = false;
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+          if (char !== '"') {
+            field += char;
+          } else if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            quoted = false;
+          }
+        } else if (char === '"' && field === "") {
+          quoted = true;
+        } else if (char === delimiter) {
+          row.push(field);
+          field = "";
+        } else if (char === "\n" || char === "\r") {
+          if (char === "\r" && text[i + 1] === "\n") i++;
+          row.push(field);
+          rows.push(row);
+          row = [];
+          field = "";
+        } else {
+          field += char;
+        }
+      }
+
+      // The last line has no line break after it
+      if (field !== "" || row.length) {
+        row.push(field);
+        rows.push(row);
+      }
+      return rows;
+    }
+
+    /**
+     * Guess the delimiter of CSV text from its first line
+     * (semicolons are common where the decimal separator is a comma)
+     */
+    detectDelimiter(text) {
+      const line = text.slice(0, text.search(/\r?\n|$/));
+      const counts = ["\t", ",", ";"].map((delimiter) => ({
+        delimiter,
+        count: line.split(delimiter).length - 1,
+      }));
+      const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+      return best.count ? best.delimiter : ",";
+    }
+
+    /**
+     * Type an imported CSV/TSV value: plain numbers, true/false and ISO
+     * dates are converted; everything else (e.g. "007") stays text, and so
+     * do integers too long for a Number (e.g. 20-digit IDs)
+     */
+    parseImportedValue(text) {
+      const value = text.trim();
+      if (value === "") return null;
+      if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value)) {
+        const number = Number(value);
+        if (/^-?\d+$/.test(value) && !Number.isSafeInteger(number)) {
+          return text;
+        }
+        return number;
+      }
+      if (/^(true|false)$/i.test(value)) return value.toLowerCase() === "true";
+      if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(`${value}T00:00:00Z`);
+      }
+      if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+        const date = new Date(value);
+        if (!isNaN(date.getTime())) return date;
+      }
+      return text;
+    }
+
+    /**
+     * Rows of a workbook sheet (first sheet unless `sheet` names one or
+     * gives its index), read with SheetJS
+     */
+    async readWorkbookRows(file, sheet) {
+      const XLSX = await this.loadSheetJS();
+      if (!XLSX) throw new Error("SheetJS is not available");
+
+      const workbook = XLSX.read(await file.arrayBuffer(), {
+        type: "array",
+        cellDates: true,
+      });
+      const name =
+        typeof sheet === "number"
+          ? workbook.SheetNames[sheet]
+          : sheet || workbook.SheetNames[0];
+      const worksheet = workbook.Sheets[name];
+      if (!worksheet) throw new Error(`Sheet "${sheet}" not found`);
+
+      return XLSX.utils
+        .sheet_to_json(worksheet, {
+          header: 1,
+          raw: true,
+          defval: null,
+          blankrows: false,
+        })
+        .map((row) =>
+          row.map((value) =>
+            value instanceof Date ? this.normalizeLocalDate(value) : value,
+          ),
+        );
+    }
+
+    /**
+     * Load imported headings and rows through updateData(). With column
+     * definitions the imported columns are matched to them by label or
+     * key; otherwise the imported headings replace the table's.
+     */
+    loadImportedData(headings, data) {
+      if (this.columnDefs) {
+        const positions = this.config.headings.map((heading) =>
+          headings.findIndex((name) => this.resolveHeading(name) === heading),
+        );
+        this.updateData(
+          data.map((row) =>
+            positions.map((at) => (at === -1 ? null : row[at])),
+          ),
+        );
+        return;
+      }
+
+      const current = this.config.headings;
+      if (
+        headings.length !== current.length ||
+        headings.some((heading, i) => heading !== current[i])
+      ) {
+        // Different columns: start from the configured layout and sort
+        this.columnOrder = null;
+        this.sortState = null;
+      }
+      this.config.headings = headings;
+      this.updateData(data);
+    }
+
+    /**
+     * Update the row count badge with current visible count
+     */
+    updateRowCount(visibleCount) {
+      const badge = this.query(".table-library-row-count");
+      if (badge) {
+        // The dataSource reports the total of all (filtered) rows
+        const totalRows = this.config.dataSource
+          ? this.remote.total
+          : this.displayData.length;
+        badge.textContent = this.getRowCountText(
+          this.config.dataSource ? totalRows : visibleCount,
+          totalRows,
+        );
+      }
+
+      // Announce filter results once the (remote) rows are in
+      const live = this.query(".table-library-live");
+      if (
+        live &&
+        this.announceResults &&
+        !(this.config.dataSource && this.remote.status === "loading")
+      ) {
+        this.announceResults = false;
+        live.textContent = this.getMessage("filterResults", {
+          visible: this.config.dataSource ? this.remote.total : visibleCount,
+          total: this.config.dataSource
+            ? this.remote.total
+            : this.displayData.length,
+        });
+      }
+
+      const pager = this.query(".table-library-pagination");
+      if (pager) {
+        const lastPage = this.currentPage >= this.getPageCount() - 1;
+        pager.querySelector(".table-library-page-info").textContent =
+          this.getPageInfoText();
+        pager.querySelectorAll(".table-library-page-btn").forEach((btn) => {
+          const page = btn.dataset.page;
+          btn.disabled =
+            page === "first" || page === "prev"
+              ? this.currentPage === 0
+              : lastPage;
+        });
+      }
+    }
+
+    /**
+     * Call user-defined function from global scope (legacy fallback)
+     */
+    callUserFunction(fnName, rowData, rowIndex, checkboxState = null) {
+      if (typeof window[fnName] === "function") {
+        if (checkboxState !== null) {
+          window[fnName](rowData, rowIndex, checkboxState);
+        } else {
+          window[fnName](rowData, rowIndex);
+        }
+        return true;
+      }
+
+      console.warn(`Function ${fnName} not found in global scope`);
+      return false;
+    }
+
+    /**
+     * Handle checkbox visual changes
+     */
+    handleCheckboxChange(rowData, rowIndex, checked) {
+      if (checked) {
+        this.checkedRowIndexes.add(rowIndex);
+      } else {
+        this.checkedRowIndexes.delete(rowIndex);
+      }
+
+      // The row may not be rendered (other page / outside the viewport)
+      const row = this.query(`tbody tr[data-row-index="${rowIndex}"]`);
+      if (!row) return;
+
+      row.classList.toggle("table-library-row-checked", checked);
+    }
+
+    /**
+     * PUBLIC API: Update table with new data
+     */
+    updateData(newData) {
+      this.config.data = this.normalizeRows(newData);
+      this.resetChanges();
+      this.init();
+    }
+
+    /**
+     * PUBLIC API: Load a CSV, TSV or Excel file (File or Blob) into the
+     * table. `options` override importConfig. Resolves to the imported
+     * { headings, data }, or null when onImport cancelled it.
+     */
+    async importFile(file, options = {}) {
+      if (this.config.dataSource) {
+        throw new Error("importFile() needs local data, not a dataSource");
+      }
+
+      const settings = { ...this.config.importConfig, ...options };
+      const format = this.getImportFormat(file, settings.format);
+      const headers = settings.headers ?? true;
+
+      let rows;
+      if (format === "xlsx") {
+        rows = await this.readWorkbookRows(file, settings.sheet);
+      } else {
+        const text = (await file.text()).replace(/^\uFEFF/, "");
+        const delimiter =
+          settings.delimiter ||
+          (format === "tsv" ? "\t" : this.detectDelimiter(text));
+        const parse = (value) =>
+          settings.parseValues === false
+            ? value
+            : this.parseImportedValue(value);
+        rows = this.parseDelimited(text, delimiter).map((row, i) =>
+          headers && i === 0 ? row : row.map(parse),
+        );
+      }
+
+      const headingRow = headers ? rows.shift() || [] : this.config.headings;
+      rows = rows.filter((row) =>
+        row.some((value) => value !== null && value !== ""),
+      );
+      const width = rows.reduce(
+        (max, row) => Math.max(max, row.length),
+        headingRow.length,
+      );
+      const headings = Array.from({ length: width }, (_, i) => {
+        const heading = headingRow[i];
+        return heading === null || heading === undefined || heading === ""
+          ? this.getMessage("importedColumn", { index: i + 1 })
+          : String(heading).trim();
+      });
+      const data = rows.map((row) =>
+        headings.map((_, i) => (row[i] === undefined ? null : row[i])),
+      );
+
+      if (
+        typeof settings.onImport === "function" &&
+        (await settings.onImport({ file, headings, data })) === false
+      ) {
+        return null;
+      }
+
+      this.loadImportedData(headings, data);
+      return { headings, data };
+    }
+
+    /**
+     * PUBLIC API: Remove listeners, timers and markup so the container
+     * can be reused (e.g. when an SPA view unmounts)
+     */
+    destroy() {
+      this.streams.forEach((stream) => stream.stop());
+      this.removeListeners();
+      this.clearTimers();
+
+      // Drop the response of a pending dataSource request or export
+      if (this.remote.controller) this.remote.controller.abort();
+      if (this.remote.exportController) this.remote.exportController.abort();
+      this.remote.requestId++;
+
+      // init() owns the container's markup, so clear all of it
+      if (this.containerEl) {
+        this.containerEl.innerHTML = "";
+      }
+
+      this.containerEl = null;
+      this.root = null;
+    }
+
+    /**
+     * PUBLIC API: Get edited cells as [{ rowKey, rowIndex, column, original, value }]
+     */
+    getChanges() {
+      const changes = [];
+      this.changes.forEach((rowChanges, rowKey) => {
+        rowChanges.forEach(({ original, value }, colIndex) => {
+          changes.push({
+            rowKey,
+            rowIndex: this.keyIndex.get(rowKey),
+            column: this.processedHeadings[colIndex],
+            original,
+            value,
+          });
+        });
+      });
+      return changes;
+    }
+
+    /**
+     * PUBLIC API: Mark all edits as saved (clears dirty highlighting)
+     */
+    clearChanges() {
+      this.changes = new Map();
+      this.patchBody(new Set(this.getPageIndexes()));
+    }
+
+    /**
+     * PUBLIC API: Undo the last cell edit. Resolves to false when there
+     * is nothing to undo or onCellEdit rejected it.
+     */
+    async undo() {
+      const entry = this.undoStack.pop();
+      if (!entry) return false;
+
+      const { saved, retry } = await this.applyHistoryEntry(entry, "before");
+      if (saved) {
+        this.redoStack.push(entry);
+      } else if (retry) {
+        this.undoStack.push(entry);
+      }
+      return saved;
+    }
+
+    /**
+     * PUBLIC API: Redo the last undone cell edit
+     */
+    async redo() {
+      const entry = this.redoStack.pop();
+      if (!entry) return false;
+
+      const { saved, retry } = await this.applyHistoryEntry(entry, "after");
+      if (saved) {
+        this.undoStack.push(entry);
+      } else if (retry) {
+        this.redoStack.push(entry);
+      }
+      return saved;
+    }
+
+    /**
+     * Write the "before" or "after" values of a history entry (one cell,
+     * or { cells } for a paste). `retry` is set when a row still exists
+     * but onCellEdit rejected the value.
+     */
+    async applyHistoryEntry(entry, side) {
+      let saved = false;
+      let retry = false;
+
+      for (const cell of entry.cells || [entry]) {
+        const rowIndex = this.keyIndex.get(cell.rowKey);
+        if (rowIndex === undefined) continue;
+
+        if (
+          await this.setCellValue(rowIndex, cell.colIndex, cell[side], {
+            record: false,
+          })
+        ) {
+          saved = true;
+        } else {
+          retry = true;
+        }
+      }
+      return { saved, retry };
+    }
+
+    /**
+     * PUBLIC API: Copy the cell range (or the active cell) to the
+     * clipboard as TSV and HTML. Resolves to false when there is nothing
+     * to copy or clipboard access was denied.
+     */
+    async copySelection() {
+      const data = this.getClipboardData();
+      const clipboard = navigator.clipboard;
+      if (!data || !clipboard) return false;
+
+      try {
+        if (typeof ClipboardItem !== "undefined" && clipboard.write) {
+          await clipboard.write([
+            new ClipboardItem({
+              "text/plain": new Blob([data.text], { type: "text/plain" }),
+              "text/html": new Blob([data.html], { type: "text/html" }),
+            }),
+          ]);
+        } else {
+          await clipboard.writeText(data.text);
+        }
+      } catch (err) {
+        console.error("TableLibrary: copy failed", err);
+        return false;
+      }
+
+      this.announce(this.getMessage("cellsCopied", { count: data.count }));
+      return true;
+    }
+
+    /**
+     * PUBLIC API: Paste a TSV block (e.g. copied from a spreadsheet) into
+     * the editable cells from the top-left of the cell range; a single
+     * value fills the whole range. Values are parsed and validated like
+     * edits, and the paste is one undo step. Resolves to the number of
+     * cells changed.
+     */
+    async pasteText(text) {
+      const bounds = this.getRangeBounds();
+      if (!bounds || this.activeEditor) return 0;
+
+      let values = this.parseDelimited(String(text ?? ""), "\t");
+      if (!values.length) values = [[""]];
+      const fill = values.length === 1 && values[0].length === 1;
+
+      const columns = this.getVisibleColumns();
+      const rows = this.getRangeRows(
+        bounds.top,
+        fill ? bounds.bottom : Infinity,
+      ).slice(0, fill ? undefined : values.length);
+      const width = fill
+        ? bounds.right - bounds.left + 1
+        : Math.min(
+            values.reduce((max, row) => Math.max(max, row.length), 0),
+            columns.length - bounds.left,
+          );
+
+      // Resolve every target before saving: saves can re-render rows
+      const targets = [];
+      let skipped = 0;
+      rows.forEach(({ rowIndex }, r) => {
+        for (let c = 0; c < width; c++) {
+          const raw = fill ? values[0][0] : values[r][c];
+          const colIndex = columns[bounds.left + c];
+          if (raw === undefined || !this.isCellEditable(rowIndex, colIndex)) {
+            continue;
+          }
+
+          const options = this.getEditOptions(colIndex);
+          const row = this.processedData[rowIndex];
+          const parsed = this.parsePastedValue(raw, options);
+          if (
+            parsed.error ||
+            this.validateCell(options, parsed.value, row, colIndex)
+          ) {
+            skipped++;
+            continue;
+          }
+
+          const before = row[colIndex];
+          if (
+            typeof before === typeof parsed.value &&
+            this.compareCells(before, parsed.value) === 0
+          ) {
+            continue;
+          }
+          targets.push({
+            rowKey: this.rowKeys[rowIndex],
+            colIndex,
+            value: parsed.value,
+          });
+        }
+      });
+
+      const history = [];
+      for (const { rowKey, colIndex, value } of targets) {
+        const rowIndex = this.keyIndex.get(rowKey);
+        if (rowIndex === undefined) continue;
+
+        const before = this.processedData[rowIndex][colIndex];
+        if (
+          await this.setCellValue(rowIndex, colIndex, value, { record: false })
+        ) {
+          history.push({ rowKey, colIndex, before, after: value });
+        } else {
+          skipped++;
+        }
+      }
+
+      if (history.length) {
+        this.undoStack.push(
+          history.length === 1 ? history[0] : { cells: history },
+        );
+        this.redoStack = [];
+      }
+
+      // Select the pasted block
+      if (!fill && rows.length && width) {
+        this.cellRange = {
+          anchor: { row: rows[0].row, col: bounds.left },
+          focus: {
+            row: rows[rows.length - 1].row,
+            col: bounds.left + width - 1,
+          },
+        };
+        this.paintCellRange();
+      }
+
+      this.announce(
+        this.getMessage("cellsPasted", { count: history.length, skipped }),
+      );
+      return history.length;
+    }
+
+    /**
+     * PUBLIC API: Get selected rows as [{ index, key, data }]
+     */
+    getSelectedRows() {
+      const rows = [];
+      this.rowKeys.forEach((key, index) => {
+        if (this.selectedKeys.has(key)) {
+          rows.push({ index, key, data: this.processedData[index] });
+        }
+      });
+      return rows;
+    }
+
+    /**
+     * PUBLIC API: Replace the selection with the given row keys
+     */
+    setSelection(keys) {
+      // With a dataSource, keys of rows on other pages are kept too
+      this.selectedKeys = new Set(
+        (keys || []).filter(
+          (key) => this.config.dataSource || this.keyIndex.has(key),
+        ),
+      );
+      this.selectionAnchor = null;
+      this.updateSelectionUI();
+      this.notifySelectionChange();
+    }
+
+    /**
+     * PUBLIC API: Deselect all rows
+     */
+    clearSelection() {
+      this.setSelection([]);
+    }
+
+    /**
+     * PUBLIC API: Register a handler for button cells with `function: name`
+     */
+    registerAction(name, fn) {
+      if (typeof fn !== "function") {
+        console.warn(`TableLibrary: action "${name}" must be a function`);
+        return this;
+      }
+      this.actions[name] = fn;
+      return this;
+    }
+
+    /**
+     * PUBLIC API: Add or replace the cell type for `{ type: name }` cells:
+     * { render(cell, { rowIndex, colIndex, table, escapeHTML }) -> HTML,
+     *   text(cell, context), sortValue(cell, context), filterValue(cell, context) }
+     * text is used for export, copying and text filters; sortValue and
+     * filterValue default to filterValue / sortValue / text.
+     */
+    registerCellType(name, definition) {
+      if (!definition || typeof definition.render !== "function") {
+        console.warn(
+          `TableLibrary: cell type "${name}" needs a render function`,
+        );
+        return this;
+      }
+      this.cellTypes.set(String(name), definition);
+
+      // Rendered cells, cached text and inferred filter types used the old type
+      if (this.root) {
+        this.searchText = null;
+        this.filterTypes = this.processedHeadings.map((_, i) =>
+          this.resolveFilterType(i),
+        );
+        this.renderHeader();
+        this.refreshView();
+      }
+      return this;
+    }
+
+    /**
+     * PUBLIC API: Append rows without rebuilding the table
+     */
+    addRows(rows) {
+      if (!rows || !rows.length) return;
+      const changedRows = this.appendRows(this.normalizeRows(rows));
+      this.refreshView({ changedRows });
     }
 
     /**
-     * Get cell text content for CSV export (uses displayed value)
+     * Append normalized rows to the data without rendering. Returns
+     * the new rows' indexes.
      */
-    getCellTextContent(cell) {
-      if (cell === null || cell === undefined) {
-        return "";
-      }
-
-      if (typeof cell === "object" && cell !== null) {
-        if (cell.type === "url") {
-          return cell.placeholder || "Open";
-        }
+    appendRows(rows) {
+      const start = this.config.data.length;
+      const processed = this.processRows(rows, start);
 
-        if (cell.type === "button") {
-          return cell.placeholder || "Action";
-        }
+      this.getWritableData().push(...rows);
+      this.processedData.push(...processed);
+      this.displayData.push(...processed);
+      this.searchText = null;
+      this.rebuildKeyIndex();
 
-        if (Array.isArray(cell)) {
-          return cell.join("; ");
-        }
+      const changedRows = new Set();
+      processed.forEach((_, i) => {
+        this.seedCheckboxState(start + i);
+        changedRows.add(start + i);
+      });
+      return changedRows;
+    }
 
-        if (cell instanceof Date && !isNaN(cell.getTime())) {
-          return this.formatDateOrTimestamp(cell);
-        }
+    /**
+     * PUBLIC API: Patch a single row by key (see applyRowPatch for patch forms).
+     * Returns false when no row has that key.
+     */
+    updateRow(key, patch) {
+      const rowIndex = this.keyIndex.get(key);
+      if (rowIndex === undefined) return false;
 
-        return JSON.stringify(cell);
-      }
+      const current = this.config.data[rowIndex];
+      const [row] = this.normalizeRows([this.applyRowPatch(current, patch)]);
 
-      if (typeof cell === "boolean") {
-        return cell ? "Yes" : "No";
+      // Keep the source object of object rows in step with key patches
+      const source = this.sourceRows.get(current);
+      if (
+        source &&
+        patch &&
+        typeof patch === "object" &&
+        !Array.isArray(patch)
+      ) {
+        this.sourceRows.set(row, { ...source, ...patch });
       }
 
-      return String(cell);
+      this.replaceRows([[rowIndex, row]]);
+      return true;
     }
 
     /**
-     * Initialize the table - main entry point
+     * PUBLIC API: Remove rows by key
      */
-    init() {
-      let processed = this.hideColumns(this.config.headings, this.config.data);
-      let finalData = this.applyModifications(
-        processed.data,
-        processed.headings,
+    removeRows(keys) {
+      const list = Array.isArray(keys) ? keys : [keys];
+      const removed = new Set(
+        list
+          .map((key) => this.keyIndex.get(key))
+          .filter((rowIndex) => rowIndex !== undefined),
       );
+      if (!removed.size) return;
 
-      this.processedData = finalData;
-      this.processedHeadings = processed.headings;
-      this.filteredData = [...finalData];
-      this.displayData = [...finalData]; // Store the display data
+      const selectedCount = this.selectedKeys.size;
+      this.dropRows(removed);
 
-      const container =
-        typeof this.config.container === "string"
-          ? document.querySelector(this.config.container)
-          : this.config.container;
+      this.refreshView({ changedRows: new Set() });
+      if (this.selectedKeys.size !== selectedCount)
+        this.notifySelectionChange();
+    }
 
-      if (!container) {
-        console.error("TableLibrary: Container not found");
-        return;
-      }
+    /**
+     * Remove rows by index without rendering. Returns the mapping of old
+     * indexes to new ones (-1 = removed).
+     */
+    dropRows(removed) {
+      const mapping = [];
+      let next = 0;
+      this.config.data.forEach((_, rowIndex) => {
+        mapping[rowIndex] = removed.has(rowIndex) ? -1 : next++;
+      });
 
-      container.innerHTML = this.generateHTML(processed.headings, finalData);
-      this.attachEventListeners();
-      this.initScroller();
+      const keep = (_, rowIndex) => !removed.has(rowIndex);
+      this.config.data = this.ownedData = this.config.data.filter(keep);
+      this.processedData = this.processedData.filter(keep);
+      this.displayData = this.displayData.filter(keep);
+      this.searchText = null;
+      this.reindexRows(mapping);
+      this.rebuildKeyIndex();
+      return mapping;
     }
 
     /**
-     * Initialize scroller interactions (Shift+Wheel, Drag-to-Scroll)
+     * PUBLIC API: Update rows whose key already exists and append the rest
      */
-    initScroller() {
-      const scroller = document
-        .querySelector(`#${this.config.tableID}`)
-        ?.closest(".table-library-scroller");
-      if (!scroller) return;
+    upsert(rows) {
+      const updates = [];
+      const additions = [];
 
-      // Shift + wheel -> horizontal scroll
-      scroller.addEventListener("wheel", (e) => {
-        if (e.shiftKey) {
-          e.preventDefault();
-          scroller.scrollLeft += e.deltaY;
+      this.normalizeRows(rows).forEach((row) => {
+        const rowIndex = this.keyIndex.get(
+          this.getRowKey(row, this.config.data.length + additions.length),
+        );
+        if (rowIndex === undefined) {
+          additions.push(row);
+        } else {
+          updates.push([rowIndex, row]);
         }
       });
 
-      // Drag to scroll logic removed to allow text selection
+      if (updates.length) this.replaceRows(updates);
+      if (additions.length) this.addRows(additions);
     }
 
     /**
-     * Attach all event listeners for interactivity
+     * PUBLIC API: Feed live rows from an async iterable or an event emitter
+     * (addEventListener or on/off, e.g. a WebSocket or EventSource). Rows
+     * are upserted by rowKey once per animation frame. Returns a controller:
+     * { pause(), resume(), stop(), paused, pending, done }.
      */
-    attachEventListeners() {
-      const { tableID } = this.config;
+    stream(source, options = {}) {
+      if (this.config.dataSource) {
+        console.warn(
+          "TableLibrary: stream() needs local data, not a dataSource",
+        );
+        return null;
+      }
 
-      // Debounce function for performance
-      const debounce = (fn, delay) => {
-        let timeout;
-        return (...args) => {
-          clearTimeout(timeout);
-          timeout = setTimeout(() => fn(...args), delay);
-        };
+      const { pauseOnScroll, event, map, ...batchOptions } =
+        this.getStreamOptions(options);
+      const state = {
+        queue: [], // Rows waiting for the next frame
+        frame: null,
+        paused: false,
+        scrollTimer: null, // Set while the user scrolls
+        ended: false,
+        stopped: false,
+        cleanup: [],
       };
+      let finish;
+      const done = new Promise((resolve) => (finish = resolve));
 
-      // Filter functionality
-      const filterTable = () => {
-        const inputs = document.querySelectorAll(`#${tableID} thead input`);
-        const rows = document.querySelectorAll(`#${tableID} tbody tr`);
+      const close = () => {
+        if (!this.streams.has(controller)) return;
+        this.streams.delete(controller);
+        state.cleanup.forEach((fn) => fn());
+        finish();
+      };
 
-        const visibleRowIndexes = [];
+      // Init and destroy cancel our timers, so only live ones count
+      const isScrolling = () =>
+        state.scrollTimer !== null && this.timers.has(state.scrollTimer);
 
-        rows.forEach((row, index) => {
-          let visible = true;
-          inputs.forEach((input, i) => {
-            const filter = input.value.trim().toLowerCase();
-            if (filter) {
-              const text = (row.cells[i]?.textContent || "").toLowerCase();
-              if (!text.includes(filter)) visible = false;
-            }
-          });
-          row.style.display = visible ? "" : "none";
-          if (visible) visibleRowIndexes.push(index);
-        });
+      const flush = () => {
+        state.frame = null;
+        if (state.stopped || state.paused || isScrolling()) return;
+        if (!this.root) {
+          controller.stop();
+          return;
+        }
 
-        // Update filtered data based on visible rows (using display data)
-        this.filteredData = visibleRowIndexes.map(
-          (index) => this.displayData[index],
-        );
+        // An open editor would be re-rendered away; wait until it closes
+        if (this.activeEditor) {
+          schedule();
+          return;
+        }
 
-        // Update row count badge
-        this.updateRowCount(visibleRowIndexes.length);
+        this.applyStreamRows(state.queue.splice(0), batchOptions);
+        if (state.ended) close();
       };
 
-      // Filter events
-      document
-        .querySelectorAll(`#${tableID} thead input`)
-        .forEach((input) =>
-          input.addEventListener("input", debounce(filterTable, 300)),
-        );
-
-      // Download button events - use actual position from config
-      if (this.config.downloadConfig.enable) {
-        const position = this.config.downloadConfig.position || "top-right";
-        const downloadBtn = document.getElementById(
-          `${tableID}-download-${position}`,
-        );
+      const schedule = () => {
+        if (state.stopped || !state.queue.length) return;
+        if (state.frame !== null && this.frames.has(state.frame)) return;
+        state.frame = this.requestFrame(flush);
+      };
 
-        if (downloadBtn) {
-          downloadBtn.addEventListener("click", () => this.downloadTableData());
+      const push = (message) => {
+        if (state.stopped) return;
+        let value = message;
+        if (map) {
+          try {
+            value = map(message);
+          } catch (err) {
+            console.error("Error in stream map:", err);
+            return;
+          }
         }
-      }
-
-      // Button click events
-      document.querySelectorAll(".table-library-action-btn").forEach((btn) => {
-        btn.addEventListener("click", (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-
-          const fnName = btn.dataset.fn;
-          const rowIndex = parseInt(btn.dataset.rowIndex);
-          const rowData = this.processedData[rowIndex];
+        state.queue.push(...this.toStreamRows(value));
+        schedule();
+      };
 
-          // Visual feedback
-          btn.style.transform = "scale(0.95)";
-          setTimeout(() => {
-            btn.style.transform = "";
-          }, 150);
+      const end = () => {
+        state.ended = true;
+        if (!state.queue.length) close();
+      };
 
-          this.callUserFunction(fnName, rowData, rowIndex);
+      const controller = {
+        pause: () => {
+          state.paused = true;
+          return controller;
+        },
+        resume: () => {
+          state.paused = false;
+          schedule();
+          return controller;
+        },
+        // Stop listening; rows not shown yet are dropped
+        stop: () => {
+          state.stopped = true;
+          state.queue = [];
+          close();
+          return controller;
+        },
+        get paused() {
+          return state.paused || isScrolling();
+        },
+        get pending() {
+          return state.queue.length;
+        },
+        done,
+      };
+      this.streams.add(controller);
 
-          // Auto-check the checkbox when button is clicked
-          const checkbox = btn
-            .closest(".table-library-action-cell")
-            ?.querySelector(".table-library-action-checkbox");
-          if (checkbox) {
-            checkbox.checked = true;
-            this.handleCheckboxChange(rowData, rowIndex, true);
+      const iterate =
+        source && (source[Symbol.asyncIterator] || source[Symbol.iterator]);
+      if (typeof iterate === "function") {
+        const iterator = iterate.call(source);
+        state.cleanup.push(() => {
+          if (!state.ended && typeof iterator.return === "function") {
+            Promise.resolve(iterator.return()).catch(() => {});
           }
         });
-      });
-
-      // Checkbox change events
-      document
-        .querySelectorAll(".table-library-action-checkbox")
-        .forEach((cb) => {
-          cb.addEventListener("click", (e) => {
-            e.stopPropagation();
-          });
-
-          cb.addEventListener("change", (e) => {
-            const rowIndex = parseInt(cb.dataset.rowIndex);
-            const fnName = cb.dataset.fn;
-            const rowData = this.processedData[rowIndex];
 
-            this.handleCheckboxChange(rowData, rowIndex, cb.checked);
-
-            if (fnName) {
-              this.callUserFunction(
-                fnName + "Checkbox",
-                rowData,
-                rowIndex,
-                cb.checked,
-              );
+        (async () => {
+          try {
+            while (!state.stopped) {
+              const next = await iterator.next();
+              if (next.done) break;
+              push(next.value);
             }
-          });
-        });
-
-      // Row click events
-      const tbody = document.querySelector(`#${tableID} tbody`);
-      if (tbody) {
-        tbody.addEventListener("click", (e) => {
-          const row = e.target.closest("tr");
-          if (!row) return;
+          } catch (err) {
+            if (!state.stopped) console.error("Error in stream:", err);
+          }
+          end();
+        })();
+      } else if (
+        source &&
+        (typeof source.addEventListener === "function" ||
+          typeof source.on === "function")
+      ) {
+        const isEventTarget = typeof source.addEventListener === "function";
+        const on = (type, handler) => {
+          if (isEventTarget) {
+            source.addEventListener(type, handler);
+            state.cleanup.push(() => source.removeEventListener(type, handler));
+          } else {
+            source.on(type, handler);
+            state.cleanup.push(() =>
+              (source.off || source.removeListener).call(source, type, handler),
+            );
+          }
+        };
 
+        // DOM events carry the message in data (MessageEvent) or detail
+        on(event, (message) =>
+          push(
+            !map && isEventTarget && message && typeof message === "object"
+              ? (message.data ?? message.detail)
+              : message,
+          ),
+        );
+        on("close", end);
+        on("end", end);
+      } else {
+        this.streams.delete(controller);
+        finish();
+        console.error(
+          "TableLibrary: stream() needs an async iterable or an event emitter",
+        );
+        return null;
+      }
 
+      // Hold rows while the user scrolls the table, and shortly after
+      if (pauseOnScroll && this.containerEl) {
+        const container = this.containerEl;
+        const onScroll = (e) => {
           if (
-            e.target.closest(".table-library-action-btn") ||
-            e.target.closest(".table-library-action-checkbox") ||
-            e.target.closest("input") ||
-            e.target.closest("a")
-          ) {
+            !e.target.classList ||
+            !e.target.classList.contains("table-library-scroller")
+          )
             return;
-          }
+          if (state.scrollTimer !== null) this.clearTimer(state.scrollTimer);
+          state.scrollTimer = this.setTimer(() => {
+            state.scrollTimer = null;
+            schedule();
+          }, pauseOnScroll);
+        };
+        // Scroll events don't bubble; the container outlives re-renders
+        container.addEventListener("scroll", onScroll, true);
+        state.cleanup.push(() =>
+          container.removeEventListener("scroll", onScroll, true),
+        );
+      }
 
-          const rowIndex = parseInt(row.dataset.rowIndex);
-          const rowData = this.processedData[rowIndex];
+      return controller;
+    }
 
-          // Trigger onRowClick if defined
-          if (
-            this.config.onRowClick &&
-            typeof this.config.onRowClick === "function"
-          ) {
-            this.config.onRowClick(rowData, rowIndex);
-          }
-        });
+    /**
+     * Rows in one stream message: a row, an array of rows or their JSON
+     */
+    toStreamRows(value) {
+      if (typeof value === "string") {
+        try {
+          value = JSON.parse(value);
+        } catch (err) {
+          console.error("TableLibrary: stream message is not JSON:", err);
+          return [];
+        }
       }
+
+      const isRow = (item) =>
+        Array.isArray(item) ||
+        (this.columnDefs !== null &&
+          item !== null &&
+          typeof item === "object" &&
+          !(item instanceof Date));
+      const rows = Array.isArray(value) && value.every(isRow) ? value : [value];
+      return rows.filter((row) => row !== null && typeof row === "object");
     }
 
     /**
-     * Download table data as Excel (XLSX)
-     * Shows loading indicator on button while SheetJS loads
+     * Upsert one frame of streamed rows, drop the oldest rows beyond
+     * maxRows and re-render once. Filters, sort and the row count apply
+     * as usual; new rows and changed cells are highlighted.
      */
-    async downloadTableData() {
-      const { downloadConfig } = this.config;
-      const { filename = "table-data.xlsx", includeHeaders = true } =
-        downloadConfig;
+    applyStreamRows(rows, { maxRows, highlight }) {
+      if (!rows.length) return;
 
-      // Get the download button to show loading state
-      const position = downloadConfig.position || "top-right";
-      const btn = document.getElementById(
-        `${this.config.tableID}-download-${position}`,
+      // The last message for a key wins
+      const updates = new Map(); // rowIndex -> row
+      const additions = new Map(); // row key -> row
+      this.normalizeRows(rows).forEach((row) => {
+        const key = this.getRowKey(
+          row,
+          this.config.data.length + additions.size,
+        );
+        const rowIndex = this.keyIndex.get(key);
+        if (rowIndex === undefined) {
+          additions.set(key, row);
+        } else {
+          updates.set(rowIndex, row);
+        }
+      });
+
+      const previous = new Map(
+        [...updates.keys()].map((rowIndex) => [
+          rowIndex,
+          this.processedData[rowIndex],
+        ]),
       );
+      let changedRows = this.writeRows([...updates]);
+      let addedRows = this.appendRows([...additions.values()]);
 
-      // Store original button text and show loading
-      let originalText = "";
-      if (btn) {
-        originalText = btn.innerHTML;
-        btn.innerHTML = "⏳ Loading...";
-        btn.disabled = true;
+      // Changed cells are compared by their display text
+      let changedCells = new Map(); // rowIndex -> [colIndex]
+      previous.forEach((before, rowIndex) => {
+        const after = this.processedData[rowIndex];
+        const columns = after
+          .map((_, colIndex) => colIndex)
+          .filter(
+            (colIndex) =>
+              this.getCellTextContent(before[colIndex], colIndex) !==
+              this.getCellTextContent(after[colIndex], colIndex),
+          );
+        if (columns.length) changedCells.set(rowIndex, columns);
+      });
+      addedRows.forEach((rowIndex) => changedRows.add(rowIndex));
+
+      // Ring buffer: rows are kept in arrival order, so the oldest go first
+      const selectedCount = this.selectedKeys.size;
+      const overflow = maxRows ? this.config.data.length - maxRows : 0;
+      if (overflow > 0) {
+        const mapping = this.dropRows(
+          new Set(Array.from({ length: overflow }, (_, i) => i)),
+        );
+        const remap = (indexes) =>
+          new Set([...indexes].map((i) => mapping[i]).filter((i) => i >= 0));
+        changedRows = remap(changedRows);
+        addedRows = remap(addedRows);
+        changedCells = new Map(
+          [...changedCells]
+            .map(([rowIndex, columns]) => [mapping[rowIndex], columns])
+            .filter(([rowIndex]) => rowIndex >= 0),
+        );
       }
 
-      try {
-        await this.downloadAsExcel(filename, includeHeaders);
-      } finally {
-        // Restore button state
-        if (btn) {
-          btn.innerHTML = originalText;
-          btn.disabled = false;
-        }
+      this.refreshView({ changedRows });
+      if (this.selectedKeys.size !== selectedCount) {
+        this.notifySelectionChange();
       }
+      if (highlight) this.highlightRows(addedRows, changedCells, highlight);
     }
 
     /**
-     * Download filtered data as Excel (XLSX) using SheetJS
+     * Flash new rows and changed cells that are rendered, for `duration` ms
      */
-    async downloadAsExcel(filename, includeHeaders = true) {
-      if (typeof XLSX === "undefined") {
-        await this.loadSheetJS();
-      }
+    highlightRows(addedRows, changedCells, duration) {
+      if (!this.root) return;
+      this.root.style.setProperty("--table-flash-duration", `${duration}ms`);
 
-      if (typeof XLSX === "undefined") {
-        console.error("Failed to load SheetJS library");
-        return;
-      }
+      const marked = [];
+      const mark = (el, className) => {
+        if (!el) return;
+        el.classList.add(className);
+        marked.push([el, className]);
+      };
+      const rowSelector = (rowIndex) =>
+        `tbody tr[data-row-index="${rowIndex}"]`;
 
-      const headers = this.processedHeadings;
-      const data = this.filteredData;
-      const exportData = [];
+      addedRows.forEach((rowIndex) =>
+        mark(this.query(rowSelector(rowIndex)), "table-library-row-new"),
+      );
+      changedCells.forEach((columns, rowIndex) => {
+        columns.forEach((colIndex) =>
+          mark(
+            this.query(
+              `${rowSelector(rowIndex)} td[data-col-index="${colIndex}"]`,
+            ),
+            "table-library-cell-changed",
+          ),
+        );
+      });
 
-      // Add headers
-      if (includeHeaders) {
-        exportData.push(headers);
+      if (marked.length) {
+        this.setTimer(
+          () =>
+            marked.forEach(([el, className]) => el.classList.remove(className)),
+          duration,
+        );
       }
+    }
 
-      // Add rows using displayed values
-      data.forEach((row) => {
-        const rowData = row.map((cell) => {
-          // Get the displayed text content
-          return this.getCellTextContent(cell);
-        });
-        exportData.push(rowData);
-      });
+    /**
+     * Replace raw rows in place ([rowIndex, row] pairs) and patch their <tr>s
+     */
+    replaceRows(entries) {
+      this.refreshView({ changedRows: this.writeRows(entries) });
+    }
 
-      // Create sheet and workbook
-      const ws = XLSX.utils.aoa_to_sheet(exportData);
-      const wb = XLSX.utils.book_new();
-      XLSX.utils.book_append_sheet(wb, ws, "Sheet1");
+    /**
+     * Replace raw rows in place without rendering. Returns their indexes.
+     */
+    writeRows(entries) {
+      const data = this.getWritableData();
+      const changedRows = new Set();
 
-      // Trigger download
-      XLSX.writeFile(wb, filename);
+      entries.forEach(([rowIndex, row]) => {
+        const [processed] = this.processRows([row], rowIndex);
+        data[rowIndex] = row;
+        this.processedData[rowIndex] = processed;
+        this.displayData[rowIndex] = processed;
+        this.seedCheckboxState(rowIndex);
+        changedRows.add(rowIndex);
+      });
+
+      this.searchText = null;
+      this.rebuildKeyIndex();
+      return changedRows;
     }
 
     /**
-     * Dynamically load SheetJS library
+     * PUBLIC API: Group rows by one or more columns (null to ungroup)
      */
-    loadSheetJS() {
-      return new Promise((resolve, reject) => {
-        if (typeof XLSX !== "undefined") {
-          resolve();
-          return;
-        }
+    setGroupBy(columns) {
+      this.groupBy = columns;
+      this.collapsedGroups = new Set();
+      this.currentPage = 0;
+      this.refreshGroups();
+    }
 
-        const script = document.createElement("script");
-        script.src =
-          "https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js";
-        script.onload = () => resolve();
-        script.onerror = () => reject(new Error("Failed to load SheetJS"));
-        document.head.appendChild(script);
-      });
+    /**
+     * PUBLIC API: Expand every group
+     */
+    expandAllGroups() {
+      this.collapsedGroups = new Set();
+      this.refreshGroups();
     }
 
     /**
-     * Update the row count badge with current visible count
+     * PUBLIC API: Collapse every group
      */
-    updateRowCount(visibleCount) {
-      const badge = document.getElementById(`${this.config.tableID}-row-count`);
-      if (badge) {
-        const totalRows = this.displayData.length;
-        badge.textContent = `Showing ${visibleCount} of ${totalRows} rows`;
-      }
+    collapseAllGroups() {
+      const keys = new Set();
+      const collect = (groups) =>
+        groups.forEach((group) => {
+          keys.add(group.key);
+          if (group.children) collect(group.children);
+        });
+      collect(this.getGroups());
+
+      this.collapsedGroups = keys;
+      this.refreshGroups();
     }
 
     /**
-     * Call user-defined function from global scope
+     * PUBLIC API: Get the column layout as
+     * [{ column, visible, width, pinned }] in column order
      */
-    callUserFunction(fnName, rowData, rowIndex, checkboxState = null) {
-      if (typeof window[fnName] === "function") {
-        if (checkboxState !== null) {
-          window[fnName](rowData, rowIndex, checkboxState);
-        } else {
-          window[fnName](rowData, rowIndex);
-        }
-        return true;
-      }
+    getColumnState() {
+      return this.columnOrder.map((i) => {
+        const column = this.processedHeadings[i];
+        return {
+          column,
+          visible: !this.hiddenColumns.has(i),
+          width: this.getColumnWidth(column) ?? null,
+          pinned: this.pinned.get(i) || null,
+        };
+      });
+    }
 
-      console.warn(`Function ${fnName} not found in global scope`);
-      return false;
+    /**
+     * PUBLIC API: Change column order, visibility, widths and pinning
+     * ([{ column, visible, width, pinned }], see applyColumnState)
+     */
+    setColumnState(state) {
+      this.applyColumnState(state);
+      this.renderLayout();
+      this.notifyColumnStateChange();
     }
 
     /**
-     * Handle checkbox visual changes
+     * PUBLIC API: Save filters, sort, column layout, page and selection to
+     * localStorage (stateKey) and filters + sort to the URL (urlState).
+     * Returns the saved state.
      */
-    handleCheckboxChange(rowData, rowIndex, checked) {
-      const row = document.querySelector(`[data-row-index="${rowIndex}"]`);
+    saveState() {
+      const { stateKey, stateVersion, urlState } = this.config;
+      this.clearTimer(this.saveTimer);
 
-      if (checked) {
-        row.style.backgroundColor = "#e6fffa";
-        row.classList.add("table-library-row-checked");
-      } else {
-        row.style.backgroundColor = "";
-        row.classList.remove("table-library-row-checked");
+      const state = {
+        version: stateVersion,
+        filters: this.getFilterState(),
+        sort: this.getSort(),
+        columns: this.getColumnState(),
+        page: this.getPage(),
+        pageSize: this.pageSize || null,
+        selection: [...this.selectedKeys],
+      };
+
+      if (stateKey) {
+        try {
+          localStorage.setItem(stateKey, JSON.stringify(state));
+        } catch (err) {
+          console.warn("TableLibrary: could not save state", err);
+        }
       }
+      if (urlState) this.writeUrlState(state);
+
+      return state;
     }
 
     /**
-     * PUBLIC API: Update table with new data
+     * PUBLIC API: Apply a state from saveState(). Without an argument the
+     * saved state is read from localStorage, with URL filters and sort on top.
+     * Returns false when there was nothing to restore.
      */
-    updateData(newData) {
-      this.config.data = newData;
-      this.init();
+    restoreState(state = null) {
+      const saved = state || {
+        ...this.readStoredState(),
+        ...this.readUrlState(),
+      };
+      if (!this.root || !Object.keys(saved).length) return false;
+
+      // Don't write the state back while it is being applied
+      this.restoringState = true;
+      try {
+        if (Array.isArray(saved.columns)) {
+          this.applyColumnState(saved.columns);
+        }
+        if (saved.sort) this.sortState = this.resolveSortState(saved.sort);
+        if (saved.pageSize > 0) {
+          this.pageSize = saved.pageSize;
+          const pager = this.query(".table-library-pagination");
+          if (pager) pager.outerHTML = this.generatePaginationControls();
+        }
+        if (Array.isArray(saved.selection)) {
+          this.selectedKeys = new Set(
+            saved.selection.filter(
+              (key) => this.config.dataSource || this.keyIndex.has(key),
+            ),
+          );
+        }
+
+        this.renderHeader();
+        if (saved.filters) this.setFilterState(saved.filters);
+        this.currentPage = Math.max(0, (parseInt(saved.page) || 1) - 1);
+        this.refreshView();
+      } finally {
+        this.restoringState = false;
+      }
+      return true;
     }
 
     /**
      * PUBLIC API: Get current table data
      */
     getData() {
+      // The caller now holds these arrays; later edits copy them first
+      this.ownedData = null;
+      this.ownedRows = new WeakSet();
       return this.config.data;
     }
 
@@ -741,10 +8218,12 @@
      */
     getCheckedRows() {
       const checkedRows = [];
-      document
-        .querySelectorAll(".table-library-action-checkbox:checked")
-        .forEach((cb) => {
-          const rowIndex = parseInt(cb.dataset.rowIndex);
+      // Read from checkbox state so rows on other pages are included
+      Object.keys(this.checkboxState)
+        .filter((key) => this.checkboxState[key])
+        .map((key) => key.split(":").map(Number))
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+        .forEach(([rowIndex]) => {
           checkedRows.push({
             index: rowIndex,
             data: this.processedData[rowIndex],
@@ -759,12 +8238,99 @@
     getFilteredData() {
       return this.filteredData;
     }
+
+    /**
+     * PUBLIC API: Go to a page (1-based)
+     */
+    setPage(page) {
+      this.scheduleSaveState();
+      const pageCount = this.getPageCount();
+      this.currentPage = Math.min(Math.max(0, (page || 1) - 1), pageCount - 1);
+
+      if (this.config.dataSource) {
+        this.fetchPage();
+      } else {
+        this.virtualRange = null;
+        this.renderBody();
+        this.updateRowCount(this.viewIndexes.length);
+      }
+
+      const scroller = this.getScroller();
+      if (scroller) scroller.scrollTop = 0;
+    }
+
+    /**
+     * PUBLIC API: Fetch the current page again from the dataSource
+     * (re-applies filters and sorting to local data)
+     */
+    reload() {
+      if (this.config.dataSource) return this.fetchPage();
+      this.refreshView();
+      return Promise.resolve();
+    }
+
+    /**
+     * PUBLIC API: Get the current page (1-based)
+     */
+    getPage() {
+      return this.currentPage + 1;
+    }
+
+    /**
+     * PUBLIC API: Change the number of rows per page
+     */
+    setPageSize(pageSize) {
+      if (!(pageSize > 0)) return;
+
+      // Keep the first row of the current page in view
+      const pagination = this.getPaginationOptions();
+      const firstRow = pagination ? this.currentPage * pagination.pageSize : 0;
+
+      this.pageSize = pageSize;
+      this.currentPage = Math.floor(firstRow / pageSize);
+      this.setPage(this.currentPage + 1);
+    }
+
+    /**
+     * PUBLIC API: Get current sort as [{ column, direction }]
+     */
+    getSort() {
+      return this.sortState.map(({ index, direction }) => ({
+        column: this.processedHeadings[index],
+        direction,
+      }));
+    }
+
+    /**
+     * PUBLIC API: Sort by one or more columns ({ column, direction } or an array).
+     * Pass an empty array to clear sorting.
+     */
+    setSort(sort) {
+      this.sortState = this.resolveSortState(sort);
+      this.applySort();
+    }
   }
 
   /**
    * GLOBAL INITIALIZATION FUNCTION
    */
-  global.initTableLibrary = function (config) {
+  function initTableLibrary(config) {
     return new TableLibrary(config);
-  };
-})(window);
+  }
+
+  const api = { TableLibrary, initTableLibrary };
+
+  // CommonJS (Node, bundlers)
+  if (typeof module === "object" && module.exports) module.exports = api;
+
+  // Browser globals for <script> tags, also kept in bundles for code
+  // that still uses them
+  if (typeof window !== "undefined") {
+    global.TableLibrary = TableLibrary;
+    global.initTableLibrary = initTableLibrary;
+  }
+
+  // table-library.mjs imports this file for its side effects and exports
+  // the API registered here (native browser modules, Node and bundlers)
+  globalThis[Symbol.for("smart-table-library")] = api;
+})(typeof window !== "undefined" ? window : globalThis);
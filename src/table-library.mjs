@@ -0,0 +1,12 @@
+/**
+ * TABLE LIBRARY - ES module entry
+ * Works with <script type="module">, Node and bundlers: table-library.js
+ * runs for its side effects and registers its API under a global symbol.
+ */
+
+import "./table-library.js";
+
+const api = globalThis[Symbol.for("smart-table-library")];
+
+export const { TableLibrary, initTableLibrary } = api;
+export default TableLibrary;
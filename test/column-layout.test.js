@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText, plain } = require("./helpers");
+
+const headings = ["Name", "Qty", "Notes"];
+const data = [
+  ["Bolt", 3, "steel"],
+  ["Nut", 1, "brass"],
+];
+const columnConfig = { chooser: true, resize: true, reorder: true };
+const headerText = (window) =>
+  [
+    ...window.document.querySelectorAll("#table thead .table-library-heading"),
+  ].map((heading) => heading.textContent.trim());
+
+test("the column chooser hides and shows columns", () => {
+  const changes = [];
+  const { window, table } = createTable({
+    headings,
+    data,
+    columnConfig,
+    onColumnStateChange: ({ columns }) => changes.push(plain(columns)),
+  });
+  const toggle = () =>
+    window.document.querySelector(
+      '.table-library-column-toggle[data-col-index="2"]',
+    );
+  toggle().click();
+  assert.deepEqual(headerText(window), ["Name", "Qty"]);
+  assert.deepEqual(columnText(window, "Notes"), []);
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0][2].visible, false);
+
+  toggle().click();
+  assert.deepEqual(headerText(window), headings);
+});
+
+test("the last visible column can't be hidden", () => {
+  const { window, table } = createTable({ headings, data, columnConfig });
+  table.setColumnState([
+    { column: "Qty", visible: false },
+    { column: "Notes", visible: false },
+  ]);
+  window.document
+    .querySelector('.table-library-column-toggle[data-col-index="0"]')
+    .click();
+  assert.deepEqual(headerText(window), ["Name"]);
+});
+
+test("dropping a heading on another header moves the column", () => {
+  const { window, table } = createTable({ headings, data, columnConfig });
+  const th = (i) =>
+    window.document.querySelector(`#table thead th[data-col-index="${i}"]`);
+  const fire = (target, type, init = {}) =>
+    target.dispatchEvent(
+      new window.MouseEvent(type, { bubbles: true, cancelable: true, ...init }),
+    );
+
+  fire(th(2).querySelector(".table-library-heading"), "dragstart");
+  fire(th(0), "drop", { clientX: -1 }); // left half: before "Name"
+  assert.deepEqual(headerText(window), ["Notes", "Name", "Qty"]);
+  assert.deepEqual(plain(table.getColumnState().map((state) => state.column)), [
+    "Notes",
+    "Name",
+    "Qty",
+  ]);
+  assert.deepEqual(columnText(window, "Notes"), ["steel", "brass"]);
+});
+
+test("resizing stays within the width limits", () => {
+  const { window, table } = createTable({
+    headings,
+    data,
+    columnConfig: { ...columnConfig, minWidth: 60, maxWidth: 200 },
+  });
+  const handle = window.document.querySelector(
+    '#table th[data-col-index="1"] .table-library-resize-handle',
+  );
+  const fire = (target, type, clientX) =>
+    target.dispatchEvent(
+      new window.MouseEvent(type, { bubbles: true, cancelable: true, clientX }),
+    );
+
+  fire(handle, "pointerdown", 100);
+  fire(window.document, "pointermove", 250);
+  fire(window.document, "pointerup", 250);
+  assert.equal(table.getColumnState()[1].width, 150);
+
+  fire(handle, "pointerdown", 0);
+  fire(window.document, "pointermove", 1000);
+  fire(window.document, "pointerup", 1000);
+  assert.equal(table.getColumnState()[1].width, 200);
+});
+
+test("setColumnState swaps listed columns and sets widths", () => {
+  const { window, table } = createTable({ headings, data, columnConfig });
+  table.setColumnState([{ column: "Notes", width: 120 }, { column: "Name" }]);
+  assert.deepEqual(headerText(window), ["Notes", "Qty", "Name"]);
+  assert.deepEqual(plain(table.getColumnState()), [
+    { column: "Notes", visible: true, width: 120, pinned: null },
+    { column: "Qty", visible: true, width: null, pinned: null },
+    { column: "Name", visible: true, width: null, pinned: null },
+  ]);
+});
+
+test("exports, including the default Excel sheet, follow the layout", async () => {
+  const written = [];
+  const XLSX = {
+    utils: {
+      book_new: () => ({ sheets: [] }),
+      aoa_to_sheet: (aoa) => ({ aoa }),
+      encode_cell: ({ r, c }) => `${c}:${r}`,
+      book_append_sheet: (wb, ws) => wb.sheets.push(ws),
+    },
+    writeFile: (wb) => written.push(wb),
+  };
+  const { table } = createTable({
+    headings,
+    data,
+    columnConfig,
+    downloadConfig: { sheetJS: XLSX },
+  });
+  table.setColumnState([
+    { column: "Notes" },
+    { column: "Name" },
+    { column: "Qty", visible: false },
+  ]);
+  assert.deepEqual(plain(table.getExportRows()), [
+    ["steel", "Bolt"],
+    ["brass", "Nut"],
+  ]);
+
+  await table.downloadAsExcel("out.xlsx");
+  assert.deepEqual(plain(written[0].sheets[0].aoa), [
+    ["Notes", "Name"],
+    ["steel", "Bolt"],
+    ["brass", "Nut"],
+  ]);
+});
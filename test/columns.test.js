@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText, plain } = require("./helpers");
+
+const columns = [
+  { key: "id", label: "ID", hidden: true },
+  { key: "name", label: "Name", accessor: "user.name" },
+  {
+    key: "qty",
+    label: "Qty",
+    type: "number",
+    format: (value) => `${value} pcs`,
+    exportValue: (value, row) => `${row.code}:${value}`,
+  },
+  { key: "due", label: "Due", type: "date" },
+];
+const rows = () => [
+  { id: 1, user: { name: "Ann" }, qty: "12", due: "2024-01-02", code: "A" },
+  { id: 2, user: { name: "Bob" }, qty: "3", due: "2024-01-01", code: "B" },
+];
+
+test("object rows are read through keys and accessors, and typed", () => {
+  const { window, table } = createTable({
+    columns,
+    data: rows(),
+    rowKey: "id",
+  });
+  assert.deepEqual(columnText(window, "Name"), ["Ann", "Bob"]);
+  assert.deepEqual(columnText(window, "Qty"), ["12 pcs", "3 pcs"]);
+  assert.equal(columnText(window, "ID").length, 0);
+
+  table.setSort({ column: "qty", direction: "asc" });
+  assert.deepEqual(columnText(window, "Name"), ["Bob", "Ann"]);
+  table.setSort({ column: "due", direction: "asc" });
+  assert.deepEqual(columnText(window, "Name"), ["Bob", "Ann"]);
+});
+
+test("updateRow takes patches by column key", () => {
+  const { window, table } = createTable({
+    columns,
+    data: rows(),
+    rowKey: "id",
+  });
+  assert.equal(table.updateRow(2, { qty: 5 }), true);
+  assert.deepEqual(columnText(window, "Qty"), ["12 pcs", "5 pcs"]);
+});
+
+test("exportValue gets the source object, also after an edit", async () => {
+  const { table } = createTable({ columns, data: rows(), rowKey: "id" });
+  const qty = () => plain(table.getExportRows("all").map((row) => row.at(-2)));
+  assert.deepEqual(qty(), ["A:12", "B:3"]);
+  await table.setCellValue(0, 1, 20); // Qty; ID is hidden
+  assert.deepEqual(qty(), ["A:20", "B:3"]);
+});
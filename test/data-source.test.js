@@ -0,0 +1,162 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable } = require("./helpers");
+
+const headings = ["ID", "Name"];
+const page = (start, size) =>
+  Array.from({ length: size }, (_, i) => [start + i, `row ${start + i}`]);
+
+test("exports page through the dataSource until the last page", async () => {
+  const requests = [];
+  const { table } = createTable({
+    headings,
+    rowKey: "ID",
+    pagination: { pageSize: 2 },
+    downloadConfig: { pageSize: 2 },
+    dataSource: async ({ page: number, pageSize }) => {
+      requests.push(number);
+      return {
+        rows: page((number - 1) * pageSize, number < 3 ? pageSize : 1),
+        total: null,
+      };
+    },
+  });
+  requests.length = 0;
+  const rows = await table.collectExportRows("all");
+  assert.equal(rows.length, 5);
+  assert.deepEqual(requests, [1, 2, 3]);
+});
+
+test("a dataSource that ignores `page` doesn't loop forever", async () => {
+  for (const rowKey of ["ID", null]) {
+    let calls = 0;
+    const { table } = createTable({
+      headings,
+      rowKey,
+      pagination: { pageSize: 2 },
+      downloadConfig: { pageSize: 2 },
+      dataSource: async () => {
+        calls++;
+        return { rows: page(0, 2), total: null };
+      },
+    });
+    calls = 0;
+    const rows = await table.collectExportRows("all");
+    assert.equal(rows.length, 2);
+    assert.equal(calls, 2);
+  }
+});
+
+test("exports stop after downloadConfig.maxPages", async () => {
+  const { window, table } = createTable({
+    headings,
+    rowKey: "ID",
+    pagination: { pageSize: 2 },
+    downloadConfig: { pageSize: 2, maxPages: 4 },
+    dataSource: async ({ page: number }) => ({
+      rows: page(number * 2, 2),
+      total: null,
+    }),
+  });
+  const warn = window.console.warn;
+  window.console.warn = () => {};
+  const rows = await table.collectExportRows("all");
+  window.console.warn = warn;
+  assert.equal(rows.length, 8);
+});
+
+test("destroy() aborts an export that is still paging", async () => {
+  let signal = null;
+  let release;
+  const { table } = createTable({
+    headings,
+    rowKey: "ID",
+    pagination: { pageSize: 2 },
+    downloadConfig: { pageSize: 2 },
+    dataSource: async ({ page: number, signal: requestSignal }) => {
+      if (number > 1) {
+        signal = requestSignal;
+        await new Promise((resolve) => (release = resolve));
+      }
+      return { rows: page(number * 2, 2), total: null };
+    },
+  });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  const exporting = table.collectExportRows("all");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  table.destroy();
+  assert.equal(signal.aborted, true);
+  release();
+  await assert.rejects(exporting, { name: "AbortError" });
+});
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+test("pages are requested with the page, sort and page size", async () => {
+  const requests = [];
+  const { window, table } = createTable({
+    headings,
+    pagination: { pageSize: 2 },
+    dataSource: async ({ page: number, pageSize, sort }) => {
+      requests.push({ number, pageSize, sort: JSON.stringify(sort) });
+      return { rows: page((number - 1) * pageSize, pageSize), total: 6 };
+    },
+  });
+  await settle();
+  table.setPage(3);
+  await settle();
+  assert.equal(table.getPageCount(), 3);
+  assert.deepEqual(requests.at(-1), { number: 3, pageSize: 2, sort: "[]" });
+  const ids = [
+    ...window.document.querySelectorAll('#table td[data-heading="ID"]'),
+  ].map((td) => td.textContent.trim());
+  assert.deepEqual(ids, ["4", "5"]);
+});
+
+test("an empty page inside the total is shown once, not refetched", async () => {
+  let calls = 0;
+  const { table } = createTable({
+    headings,
+    pagination: { pageSize: 2 },
+    dataSource: async ({ page: number }) => {
+      calls++;
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      return { rows: number === 1 ? page(0, 2) : [], total: 4 };
+    },
+  });
+  await settle();
+  table.setPage(2);
+  await settle();
+  await settle();
+  const status = table.remote.status;
+  table.destroy();
+  assert.equal(calls, 2);
+  assert.equal(table.getPage(), 2);
+  assert.equal(status, "idle");
+});
+
+test("a page past the end goes back to the last page", async () => {
+  const requests = [];
+  let total = 6;
+  const { table } = createTable({
+    headings,
+    pagination: { pageSize: 2 },
+    dataSource: async ({ page: number }) => {
+      requests.push(number);
+      const start = (number - 1) * 2;
+      return {
+        rows: page(start, Math.max(0, Math.min(2, total - start))),
+        total,
+      };
+    },
+  });
+  await settle();
+  table.setPage(3);
+  await settle();
+  total = 3; // rows were deleted on the server
+  table.setPage(3);
+  await settle();
+  await settle();
+  assert.deepEqual(requests, [1, 3, 3, 2]);
+  assert.equal(table.getPage(), 2);
+});
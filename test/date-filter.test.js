@@ -0,0 +1,37 @@
+// Date filters must not slide by a day west of UTC. Each test file runs in
+// its own process, so the zone applies to this file only.
+process.env.TZ = "America/New_York";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, filter } = require("./helpers");
+
+test("runs in a negative-offset time zone", () => {
+  assert.equal(new Date(2024, 0, 1).getTimezoneOffset(), 300);
+});
+
+test("date-only values are filtered by their UTC calendar day", () => {
+  const { window, table } = createTable({
+    headings: ["Day"],
+    data: [
+      [new Date("2024-01-01T00:00:00Z")],
+      [new Date("2024-01-02T00:00:00Z")],
+    ],
+  });
+  filter(window, table, { Day: { from: "2024-01-01", to: "2024-01-01" } });
+  assert.deepEqual(table.viewIndexes, [0]);
+  filter(window, table, { Day: { from: "2024-01-02" } });
+  assert.deepEqual(table.viewIndexes, [1]);
+});
+
+test("timestamps are filtered by the day in the browser's zone", () => {
+  const { window, table } = createTable({
+    headings: ["At"],
+    data: [
+      [new Date("2024-01-02T03:00:00Z")], // Jan 1, 22:00 in New York
+      [new Date("2024-01-02T15:00:00Z")],
+    ],
+  });
+  filter(window, table, { At: { from: "2024-01-01", to: "2024-01-01" } });
+  assert.deepEqual(table.viewIndexes, [0]);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable } = require("./helpers");
+
+const columns = [
+  { key: "id", label: "ID" },
+  { key: "name", label: "Name" },
+];
+const rows = () => [
+  { id: "a", name: "Apple", origin: { country: "NZ", farms: [{ id: 1 }] } },
+  { id: "b", name: "Banana", origin: null },
+  { id: "c", name: "Cherry", origin: null },
+];
+const expand = (window, rowIndex) =>
+  window.document
+    .querySelector(
+      `#table tr[data-row-index="${rowIndex}"] .table-library-expand-btn`,
+    )
+    .click();
+// Name of the row each open detail row sits under
+const detailParents = (window) =>
+  [...window.document.querySelectorAll("#table .table-library-detail-row")].map(
+    (tr) =>
+      tr.previousElementSibling
+        .querySelector('td[data-heading="Name"]')
+        .textContent.trim(),
+  );
+
+test("the default detail row lists every field of the source object", () => {
+  const { window, table } = createTable({
+    columns,
+    data: rows(),
+    rowKey: "id",
+    expandableRows: true,
+  });
+  expand(window, 0);
+  assert.equal(table.isRowExpanded(0), true);
+  const detail = window.document.querySelector(".table-library-detail-row");
+  const terms = [...detail.querySelectorAll("dt")].map((dt) => dt.textContent);
+  assert.deepEqual(terms, ["id", "name", "origin"]);
+  // Nested objects render as a collapsible tree, not JSON
+  const tree = detail.querySelector("details.table-library-tree");
+  assert.ok(tree);
+  assert.match(tree.querySelector("summary").textContent, /country, farms/);
+  assert.equal(
+    window.document
+      .querySelector(".table-library-expand-btn")
+      .getAttribute("aria-expanded"),
+    "true",
+  );
+
+  expand(window, 0);
+  assert.deepEqual(detailParents(window), []);
+});
+
+test("open rows stay open by key while sorting", () => {
+  const { window, table } = createTable({
+    columns,
+    data: rows(),
+    rowKey: "id",
+    expandableRows: true,
+  });
+  expand(window, 2);
+  table.toggleSort(1);
+  table.toggleSort(1);
+  assert.deepEqual(detailParents(window), ["Cherry"]);
+});
+
+test("renderDetail gets the source object, also after an edit", async () => {
+  let detailSource = null;
+  const { window, table } = createTable({
+    columns,
+    data: rows(),
+    rowKey: "id",
+    expandableRows: true,
+    renderDetail: (row, rowIndex, source) => {
+      detailSource = source;
+      return `<p class="custom">${row[1]}</p>`;
+    },
+  });
+  await table.setCellValue(0, 1, "Apricot");
+  expand(window, 0);
+  assert.equal(detailSource.origin.country, "NZ");
+  assert.equal(
+    window.document.querySelector(".table-library-detail .custom").textContent,
+    "Apricot",
+  );
+});
+
+test("without a rowKey, open rows follow their row when rows are removed", () => {
+  const { window, table } = createTable({
+    columns,
+    data: rows(),
+    expandableRows: true,
+  });
+  expand(window, 2);
+  table.removeRows([0]);
+  table.filterTable();
+  assert.deepEqual(detailParents(window), ["Cherry"]);
+  assert.equal(table.isRowExpanded(1), true);
+});
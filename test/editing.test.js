@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText, plain } = require("./helpers");
+
+const headings = ["ID", "Name", "Qty"];
+const rows = () => [
+  ["a", "bolt", 1],
+  ["b", "nut", 2],
+  ["c", "screw", 3],
+  ["d", "washer", 4],
+];
+const dirtyRows = (window) =>
+  [
+    ...window.document.querySelectorAll("#table td.table-library-cell-dirty"),
+  ].map((td) =>
+    td.closest("tr").querySelector('td[data-heading="ID"]').textContent.trim(),
+  );
+
+test("an edit updates the data, dirty state and undo history", async () => {
+  const { window, table } = createTable({
+    headings,
+    data: rows(),
+    rowKey: "ID",
+  });
+  assert.equal(await table.setCellValue(0, 2, 9), true);
+  assert.equal(table.config.data[0][2], 9);
+  assert.deepEqual(plain(table.getChanges()), [
+    { rowKey: "a", rowIndex: 0, column: "Qty", original: 1, value: 9 },
+  ]);
+  assert.deepEqual(dirtyRows(window), ["a"]);
+
+  await table.undo();
+  assert.equal(table.config.data[0][2], 1);
+  assert.deepEqual(plain(table.getChanges()), []);
+  await table.redo();
+  assert.equal(table.config.data[0][2], 9);
+});
+
+test("onCellEdit can reject a change", async () => {
+  const { table } = createTable({
+    headings,
+    data: rows(),
+    onCellEdit: () => false,
+  });
+  assert.equal(await table.setCellValue(1, 1, "bolt"), false);
+  assert.equal(table.config.data[1][1], "nut");
+  assert.deepEqual(plain(table.getChanges()), []);
+});
+
+test("edits don't copy the data again, but never change arrays from getData()", async () => {
+  const { table } = createTable({
+    headings: ["A", "B"],
+    data: [
+      [1, 2],
+      [3, 4],
+    ],
+  });
+  const snapshot = table.getData();
+  await table.setCellValue(0, 1, 20);
+  const owned = table.config.data;
+  const ownedRow = owned[0];
+  await table.setCellValue(0, 0, 10);
+  await table.setCellValue(1, 0, 30);
+  assert.equal(table.config.data, owned);
+  assert.equal(table.config.data[0], ownedRow);
+  assert.deepEqual(plain(snapshot), [
+    [1, 2],
+    [3, 4],
+  ]);
+  assert.deepEqual(plain(table.getData()), [
+    [10, 20],
+    [30, 4],
+  ]);
+});
+
+test("without a rowKey, edits and undo follow their row when rows are removed", async () => {
+  const { window, table } = createTable({ headings, data: rows() });
+  await table.setCellValue(2, 2, 99); // "c"
+  table.removeRows([0]);
+
+  assert.deepEqual(plain(table.getChanges()), [
+    { rowKey: 1, rowIndex: 1, column: "Qty", original: 3, value: 99 },
+  ]);
+  assert.deepEqual(dirtyRows(window), ["c"]);
+
+  assert.equal(await table.undo(), true);
+  assert.deepEqual(columnText(window, "Qty"), ["2", "3", "4"]);
+  assert.deepEqual(plain(table.getChanges()), []);
+});
+
+test("edits of removed rows are dropped with their undo history", async () => {
+  const { window, table } = createTable({ headings, data: rows() });
+  await table.setCellValue(3, 2, 40); // "d"
+  await table.setCellValue(1, 2, 20); // "b"
+  table.removeRows([1]);
+
+  assert.deepEqual(plain(table.getChanges().map((c) => c.value)), [40]);
+  assert.equal(await table.undo(), true); // the edit of "d"
+  assert.equal(await table.undo(), false);
+  assert.deepEqual(columnText(window, "Qty"), ["1", "3", "4"]);
+});
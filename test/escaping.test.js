@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable } = require("./helpers");
+
+const payload = `"><img src=x onerror="alert(1)">`;
+
+const injected = (window) =>
+  window.document.querySelectorAll("#table img, #table script").length;
+
+test("headings are escaped in the header, cells and filter controls", () => {
+  const { window } = createTable({
+    headings: [payload, "Qty"],
+    data: [["a", 1]],
+  });
+  assert.equal(injected(window), 0);
+  const heading = window.document.querySelector(".table-library-heading");
+  assert.equal(heading.textContent, payload);
+  const td = window.document.querySelector("#table tbody td");
+  assert.equal(td.getAttribute("data-heading"), payload);
+  const input = window.document.querySelector(
+    'thead .table-library-filter[data-col-index="0"]',
+  );
+  assert.equal(input.getAttribute("placeholder"), `Filter ${payload}`);
+});
+
+test("cell text and its title attribute are escaped", () => {
+  const { window } = createTable({
+    headings: ["Name", "Tags"],
+    data: [[payload, ["<b>x</b>", payload]]],
+  });
+  assert.equal(injected(window), 0);
+  const text = window.document.querySelector(".table-library-text");
+  assert.equal(text.textContent, payload);
+  assert.equal(text.getAttribute("title"), payload);
+  const tags = window.document.querySelector(".table-library-array");
+  assert.equal(tags.getAttribute("title"), `<b>x</b>, ${payload}`);
+});
+
+test("filter placeholders, titles and enum options are escaped", () => {
+  const { window } = createTable({
+    headings: ["Name", "State"],
+    data: [
+      ["a", "open"],
+      ["b", "closed"],
+    ],
+    filterConfig: {
+      Name: { type: "text", placeholder: payload },
+      State: { type: "enum", options: [{ value: payload, label: payload }] },
+    },
+  });
+  assert.equal(injected(window), 0);
+  const [name, state] = window.document.querySelectorAll(
+    "thead .table-library-filter",
+  );
+  assert.equal(name.getAttribute("placeholder"), payload);
+  assert.equal(state.getAttribute("title"), "Filter State");
+  assert.equal(state.options[1].value, payload);
+  assert.equal(state.options[1].textContent, payload);
+});
+
+test("button labels and data-fn are escaped", () => {
+  const { window } = createTable({
+    headings: ["Action"],
+    data: [
+      [
+        {
+          type: "button",
+          function: payload,
+          placeholder: payload,
+          checkbox: true,
+          checkboxLabel: payload,
+        },
+      ],
+    ],
+  });
+  assert.equal(injected(window), 0);
+  const button = window.document.querySelector(".table-library-action-btn");
+  assert.equal(button.getAttribute("data-fn"), payload);
+  assert.equal(button.textContent.trim(), payload);
+  const checkbox = window.document.querySelector(
+    ".table-library-action-checkbox",
+  );
+  assert.equal(checkbox.getAttribute("data-fn"), payload);
+});
+
+test("url cells block javascript: and other unlisted schemes", () => {
+  const blocked = [
+    "javascript:alert(1)",
+    "JavaScript:alert(1)",
+    "  javascript:alert(1)",
+    "java\tscript:alert(1)",
+    "java\nscript:alert(1)",
+    "\u0001javascript:alert(1)",
+    "javascript\u0000:alert(1)",
+    "data:text/html,<script>alert(1)</script>",
+    "vbscript:msgbox(1)",
+  ];
+  const { window } = createTable({
+    headings: ["Link"],
+    data: blocked.map((value) => [{ type: "url", value, placeholder: "Go" }]),
+  });
+  assert.equal(window.document.querySelectorAll("#table a").length, 0);
+  assert.equal(
+    window.document.querySelectorAll(".table-library-url-blocked").length,
+    blocked.length,
+  );
+});
+
+test("allowed and relative urls become links that can't reach the opener", () => {
+  const { window } = createTable({
+    headings: ["Link"],
+    data: [
+      [{ type: "url", value: "https://example.com/?a=1&b=2" }],
+      [{ type: "url", value: "mailto:team@example.com" }],
+      [{ type: "url", value: "/reports/1" }],
+    ],
+  });
+  const links = [...window.document.querySelectorAll("#table a")];
+  assert.deepEqual(
+    links.map((a) => a.getAttribute("href")),
+    ["https://example.com/?a=1&b=2", "mailto:team@example.com", "/reports/1"],
+  );
+  links.forEach((a) => assert.equal(a.rel, "noopener noreferrer"));
+});
+
+test("allowedUrlSchemes narrows the schemes", () => {
+  const { window } = createTable({
+    headings: ["Link"],
+    data: [[{ type: "url", value: "mailto:team@example.com" }]],
+    allowedUrlSchemes: ["https"],
+  });
+  assert.equal(window.document.querySelectorAll("#table a").length, 0);
+});
+
+test("html cells are opt-in and go through sanitizeHTML", () => {
+  const { window } = createTable({
+    headings: ["Note"],
+    data: [[{ type: "html", value: `<b>ok</b><img src=x onerror="x()">` }]],
+    sanitizeHTML: (html) => html.replace(/<img[^>]*>/g, ""),
+  });
+  assert.equal(injected(window), 0);
+  assert.equal(
+    window.document.querySelector(".table-library-html b").textContent,
+    "ok",
+  );
+});
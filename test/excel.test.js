@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, plain } = require("./helpers");
+
+/**
+ * Just enough of the SheetJS API to capture the workbook that is written
+ */
+function fakeSheetJS() {
+  const written = [];
+  const XLSX = {
+    utils: {
+      book_new: () => ({ sheets: [] }),
+      aoa_to_sheet: (aoa) => {
+        const ws = { aoa };
+        aoa.forEach((row, r) =>
+          row.forEach((v, c) => {
+            if (v !== null) ws[`${c}:${r}`] = { v };
+          }),
+        );
+        return ws;
+      },
+      encode_cell: ({ r, c }) => `${c}:${r}`,
+      book_append_sheet: (wb, ws, name) => wb.sheets.push({ name, ws }),
+    },
+    writeFile: (wb, filename) => written.push({ filename, ...wb }),
+  };
+  return { XLSX, written };
+}
+
+const headings = ["Name", "Amount", "Due", "Site"];
+const data = [
+  [
+    "Bolt",
+    1234.5,
+    new Date("2024-01-15T00:00:00Z"),
+    { type: "url", value: "https://example.com/b" },
+  ],
+  [
+    "Nut",
+    7,
+    new Date("2024-01-15T10:30:00Z"),
+    { type: "url", value: "javascript:alert(1)" },
+  ],
+];
+
+test("cells keep their types, formats and safe links", async () => {
+  const { XLSX, written } = fakeSheetJS();
+  const { table } = createTable({
+    headings,
+    data,
+    downloadConfig: {
+      sheetJS: XLSX,
+      excel: { numberFormats: { Amount: "#,##0.00" } },
+    },
+  });
+  await table.downloadTableData("xlsx");
+
+  const { ws } = written[0].sheets[0];
+  assert.deepEqual(plain(ws.aoa[0]), headings);
+  assert.equal(ws["1:1"].v, 1234.5);
+  assert.equal(ws["1:1"].z, "#,##0.00");
+  assert.ok(ws["2:1"].v instanceof Date);
+  assert.equal(ws["2:1"].z, "dd-mmm-yyyy");
+  assert.equal(ws["2:2"].z, "dd-mmm-yyyy hh:mm AM/PM");
+  assert.equal(ws["3:1"].l.Target, "https://example.com/b");
+  assert.equal(ws["3:2"].l, undefined);
+  assert.equal(ws["!cols"].length, headings.length);
+});
+
+test("downloadConfig.sheets writes one sheet per scope", async () => {
+  const { XLSX, written } = fakeSheetJS();
+  const { table } = createTable({
+    headings,
+    data,
+    downloadConfig: {
+      sheetJS: XLSX,
+      sheets: [
+        { name: "All", scope: "all" },
+        { name: "Checked", scope: "checked" },
+      ],
+    },
+  });
+  await table.downloadTableData("xlsx");
+  assert.deepEqual(
+    written[0].sheets.map(({ name, ws }) => [name, ws.aoa.length]),
+    [
+      ["All", 3],
+      ["Checked", 1],
+    ],
+  );
+});
+
+test("downloadAsExcel exports the filtered export rows by default", async () => {
+  const { XLSX, written } = fakeSheetJS();
+  const { table } = createTable({
+    headings,
+    data,
+    downloadConfig: { sheetJS: XLSX },
+  });
+  await table.downloadAsExcel("out.xlsx");
+  assert.equal(written[0].filename, "out.xlsx");
+  assert.deepEqual(plain(written[0].sheets[0].ws.aoa.map((row) => row[0])), [
+    "Name",
+    "Bolt",
+    "Nut",
+  ]);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, filter } = require("./helpers");
+
+const headings = ["Name", "Qty", "Due", "Active"];
+const data = [
+  ["Widget", 5, new Date("2024-01-01T00:00:00Z"), true],
+  ["Gadget", 50, new Date("2024-01-02T00:00:00Z"), false],
+  ["Widget Pro", 500, new Date("2024-02-10T00:00:00Z"), true],
+];
+
+test("filter types are inferred from the column values", () => {
+  const { table } = createTable({ headings, data });
+  assert.deepEqual(
+    table.filterTypes.map((filterType) => filterType.type),
+    ["text", "number", "date", "boolean"],
+  );
+});
+
+test("text filters match the displayed text case-insensitively", () => {
+  const { window, table } = createTable({ headings, data });
+  filter(window, table, { Name: "widget" });
+  assert.deepEqual(table.viewIndexes, [0, 2]);
+});
+
+test("number filters support comparison operators and ranges", () => {
+  const { window, table } = createTable({ headings, data });
+  filter(window, table, { Qty: ">10" });
+  assert.deepEqual(table.viewIndexes, [1, 2]);
+  filter(window, table, { Qty: "<=50" });
+  assert.deepEqual(table.viewIndexes, [0, 1]);
+  filter(window, table, { Qty: "10..100" });
+  assert.deepEqual(table.viewIndexes, [1]);
+});
+
+test("date range filters include both calendar days", () => {
+  const { window, table } = createTable({ headings, data });
+  filter(window, table, { Due: { from: "2024-01-01", to: "2024-01-31" } });
+  assert.deepEqual(table.viewIndexes, [0, 1]);
+  filter(window, table, { Due: { from: "2024-01-02" } });
+  assert.deepEqual(table.viewIndexes, [1, 2]);
+});
+
+test("filters combine and the row count reflects them", () => {
+  const { window, table } = createTable({ headings, data });
+  filter(window, table, { Name: "widget", Qty: ">100" });
+  assert.deepEqual(table.viewIndexes, [2]);
+  const badge = window.document.querySelector(".table-library-row-count");
+  assert.match(badge.textContent, /1 of 3/);
+});
+
+test("boolean filters pick Yes or No", () => {
+  const { window, table } = createTable({ headings, data });
+  filter(window, table, { Active: "false" });
+  assert.deepEqual(table.viewIndexes, [1]);
+  filter(window, table, {});
+  assert.deepEqual(table.viewIndexes, [0, 1, 2]);
+});
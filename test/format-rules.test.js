@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable } = require("./helpers");
+
+const headings = ["Score"];
+const data = [[0], [50], [100]];
+const background = (window, row) =>
+  window.document.querySelector(
+    `#table tbody tr[data-row-index="${row}"] td[data-col-index="0"]`,
+  ).style.backgroundColor;
+
+test("color scales interpolate hex and rgb() colors", () => {
+  const { window } = createTable({
+    headings,
+    data,
+    formatRules: [
+      { column: "Score", colorScale: { colors: ["#000", "rgb(200, 100, 0)"] } },
+    ],
+  });
+  assert.equal(background(window, 0), "rgb(0, 0, 0)");
+  assert.equal(background(window, 1), "rgb(100, 50, 0)");
+  assert.equal(background(window, 2), "rgb(200, 100, 0)");
+});
+
+test("color scales with other color forms are reported and skipped", () => {
+  const { window } = createTable({ headings: ["A"], data: [[1]] });
+  const errors = [];
+  window.console.error = (message) => errors.push(message);
+  const table = window.initTableLibrary({
+    container: "#table",
+    headings,
+    data,
+    formatRules: [
+      { column: "Score", colorScale: { colors: ["red", "#00ff00"] } },
+    ],
+  });
+  assert.equal(table.getFormatRules().length, 0);
+  assert.match(
+    errors[0],
+    /formatRules\[0\] skipped: .*"red" is not a hex or rgb\(\) color/,
+  );
+  assert.equal(background(window, 0), "");
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText, filter } = require("./helpers");
+
+const headings = ["Region", "Status", "Customer", "Amount"];
+const data = [
+  ["North", "Open", "Ann", 10],
+  ["South", "Open", "Bob", 5],
+  ["North", "Closed", "Ann", 30],
+  ["North", "Open", "Cid", 20],
+];
+const aggregateConfig = { Amount: "sum", Customer: "distinct" };
+
+const bodyRows = (window) =>
+  [...window.document.querySelectorAll("#table tbody tr")].map((tr) => {
+    if (tr.classList.contains("table-library-group-row")) {
+      const label = tr.querySelector(".table-library-group-label");
+      const count = tr.querySelector(".table-library-group-count");
+      return `${"  ".repeat(tr.dataset.level)}${label.textContent.trim()} (${count.textContent})`;
+    }
+    if (tr.classList.contains("table-library-subtotal-row")) {
+      return `sum ${tr.querySelector('[data-aggregate-col="3"]').textContent.replace("sum", "").trim()}`;
+    }
+    return tr.querySelector('td[data-heading="Customer"]').textContent.trim();
+  });
+const footer = (window, colIndex) =>
+  window.document
+    .querySelector(`tfoot [data-aggregate-col="${colIndex}"]`)
+    .textContent.replace(/^[a-z]+/, "")
+    .trim();
+
+test("rows are grouped with a count and a subtotal per group", () => {
+  const { window } = createTable({
+    headings,
+    data,
+    groupBy: "Region",
+    aggregateConfig,
+  });
+  assert.deepEqual(bodyRows(window), [
+    "Region: North (3)",
+    "Ann",
+    "Ann",
+    "Cid",
+    "sum 60",
+    "Region: South (1)",
+    "Bob",
+    "sum 5",
+  ]);
+});
+
+test("nested groups follow the groupBy order", () => {
+  const { window } = createTable({
+    headings,
+    data,
+    groupBy: ["Region", "Status"],
+  });
+  assert.deepEqual(bodyRows(window), [
+    "Region: North (3)",
+    "  Status: Closed (1)",
+    "Ann",
+    "  Status: Open (2)",
+    "Ann",
+    "Cid",
+    "Region: South (1)",
+    "  Status: Open (1)",
+    "Bob",
+  ]);
+});
+
+test("clicking a group header collapses and expands it", () => {
+  const { window, table } = createTable({ headings, data, groupBy: "Region" });
+  window.document.querySelector("tr.table-library-group-row td").click();
+  assert.deepEqual(bodyRows(window), [
+    "Region: North (3)",
+    "Region: South (1)",
+    "Bob",
+  ]);
+  table.collapseAllGroups();
+  assert.deepEqual(columnText(window, "Customer"), []);
+  table.expandAllGroups();
+  assert.equal(columnText(window, "Customer").length, 4);
+});
+
+test("the footer aggregates the filtered rows", () => {
+  const { window, table } = createTable({ headings, data, aggregateConfig });
+  assert.equal(footer(window, 3), "65");
+  assert.equal(footer(window, 2), "3");
+  filter(window, table, { Region: "north" });
+  assert.equal(footer(window, 3), "60");
+  assert.equal(footer(window, 2), "2");
+});
+
+test("custom aggregates get the values and setGroupBy regroups", () => {
+  const { window, table } = createTable({
+    headings,
+    data,
+    aggregateConfig: {
+      Amount: (values) => Math.max(...values) - Math.min(...values),
+    },
+  });
+  assert.equal(footer(window, 3), "25");
+  table.setGroupBy("Status");
+  assert.deepEqual(
+    bodyRows(window).filter((row) => row.startsWith("Status")),
+    ["Status: Closed (1)", "Status: Open (3)"],
+  );
+  table.setGroupBy(null);
+  assert.equal(
+    window.document.querySelectorAll("tr.table-library-group-row").length,
+    0,
+  );
+});
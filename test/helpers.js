@@ -0,0 +1,70 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const source = fs.readFileSync(
+  path.join(__dirname, "..", "src", "table-library.js"),
+  "utf8",
+);
+
+/**
+ * A jsdom window with the library loaded the way a <script> tag loads it
+ */
+function createWindow(html = '<div id="table"></div>', options = {}) {
+  const dom = new JSDOM(`<!doctype html><body>${html}</body>`, {
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    ...options,
+  });
+  // Dates built by the tests must pass the library's `instanceof Date`
+  dom.window.Date = Date;
+  dom.window.eval(source);
+  return dom.window;
+}
+
+/**
+ * Mount a table into a fresh window; returns { window, table }.
+ * `options` go to JSDOM, e.g. { url } for localStorage and the query string.
+ */
+function createTable(config, options) {
+  const window = createWindow(undefined, options);
+  const table = window.initTableLibrary({ container: "#table", ...config });
+  return { window, table };
+}
+
+/**
+ * Text of one column for the rendered body rows, top to bottom
+ */
+function columnText(window, heading) {
+  return [
+    ...window.document.querySelectorAll(
+      `#table tbody tr[data-row-index] td[data-heading="${heading}"]`,
+    ),
+  ].map((td) => td.textContent.trim());
+}
+
+/**
+ * Fill the header filters like a user would and apply them at once.
+ * `state` maps a heading to a value, or to { from, to } for date ranges.
+ */
+function filter(window, table, state) {
+  window.document
+    .querySelectorAll("#table thead .table-library-filter")
+    .forEach((control) => {
+      const heading = table.processedHeadings[control.dataset.colIndex];
+      const value = state[heading];
+      const role = control.dataset.filterRole;
+      control.value =
+        (value && typeof value === "object" ? value[role] : value) || "";
+    });
+  table.filterTable();
+}
+
+/**
+ * Copy a value out of the jsdom realm so deepEqual compares it structurally
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createWindow, createTable, columnText, filter, plain };
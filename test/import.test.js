@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText, plain } = require("./helpers");
+
+const csv = (text, name = "data.csv") => ({ name, text: async () => text });
+const importText = async (text, options) => {
+  const { table } = createTable({ headings: ["A"], data: [[1]] });
+  return plain(await table.importFile(csv(text), options));
+};
+const cell = (window, rowIndex, heading) =>
+  window.document.querySelector(
+    `#table tr[data-row-index="${rowIndex}"] td[data-heading="${heading}"]`,
+  );
+const clickCell = (window, td) =>
+  td.dispatchEvent(new window.MouseEvent("mousedown", { bubbles: true }));
+
+test("quoted fields keep delimiters, escaped quotes and newlines", async () => {
+  const result = await importText(
+    'Name,Note\r\n"Smith, Ann","She said ""hi"""\r\n"Lee","two\r\nlines"\r\n',
+  );
+  assert.deepEqual(result, {
+    headings: ["Name", "Note"],
+    data: [
+      ["Smith, Ann", 'She said "hi"'],
+      ["Lee", "two\r\nlines"],
+    ],
+  });
+});
+
+test("a byte order mark is not part of the first heading", async () => {
+  const result = await importText("\uFEFFID,Name\n1,Ann\n");
+  assert.deepEqual(result.headings, ["ID", "Name"]);
+});
+
+test("the delimiter is detected from the first line", async () => {
+  const semicolons = await importText("A;B\n1,5;x\n");
+  assert.deepEqual(semicolons.data, [["1,5", "x"]]);
+  const tabs = await importText("A\tB\n1\t2\n");
+  assert.deepEqual(tabs.data, [[1, 2]]);
+  const given = await importText("A|B\n1|2\n", { delimiter: "|" });
+  assert.deepEqual(given.data, [[1, 2]]);
+});
+
+test("values are typed, but codes and long IDs stay text", async () => {
+  const result = await importText(
+    "A,B,C,D,E,F\n-1.5,TRUE,2024-01-02,007,12345678901234567890,\n",
+  );
+  const [row] = result.data;
+  assert.deepEqual(row.slice(0, 2), [-1.5, true]);
+  assert.equal(row[2], "2024-01-02T00:00:00.000Z");
+  // A Number would round these to 12345678901234567000
+  assert.deepEqual(row.slice(3), ["007", "12345678901234567890", null]);
+
+  const text = await importText("A,B\n1,true\n", { parseValues: false });
+  assert.deepEqual(text.data, [["1", "true"]]);
+});
+
+test("imported data replaces the table's and headings come from messages", async () => {
+  const { window, table } = createTable({
+    headings: ["A"],
+    data: [[1]],
+    messages: { importedColumn: "Spalte {index}" },
+  });
+  await table.importFile(csv("Name,\nAnn,1\nBob,2\n"));
+  assert.deepEqual(plain(table.config.headings), ["Name", "Spalte 2"]);
+  assert.deepEqual(columnText(window, "Name"), ["Ann", "Bob"]);
+});
+
+test("a dropped file that fails to load is announced", async () => {
+  const { window } = createTable({
+    headings: ["A"],
+    data: [[1]],
+    importConfig: { dropZone: true },
+  });
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (...args) => errors.push(args);
+  try {
+    const drop = new window.Event("drop", { bubbles: true, cancelable: true });
+    const file = {
+      name: "data.csv",
+      text: () => Promise.reject(new Error("unreadable")),
+    };
+    drop.dataTransfer = { types: ["Files"], files: [file] };
+    window.document.querySelector("#table table").dispatchEvent(drop);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  } finally {
+    console.error = consoleError;
+  }
+  assert.equal(errors.length, 1);
+  assert.equal(
+    window.document.querySelector(".table-library-live").textContent,
+    "Import failed: unreadable",
+  );
+});
+
+test("a pasted block is one undo step that follows its rows", async () => {
+  const { window, table } = createTable({
+    headings: ["ID", "Name"],
+    data: [
+      ["a", "Apple"],
+      ["b", "Banana"],
+      ["c", "Cherry"],
+    ],
+    editConfig: { Name: true },
+  });
+  clickCell(window, cell(window, 1, "Name"));
+  assert.equal(await table.pasteText("Blueberry\nCranberry"), 2);
+  assert.deepEqual(columnText(window, "Name"), [
+    "Apple",
+    "Blueberry",
+    "Cranberry",
+  ]);
+
+  // Without a rowKey the history is keyed by index and must shift too
+  table.removeRows([0]);
+  assert.equal(await table.undo(), true);
+  assert.deepEqual(plain(table.getData()), [
+    ["b", "Banana"],
+    ["c", "Cherry"],
+  ]);
+});
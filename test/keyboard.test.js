@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, filter, plain } = require("./helpers");
+
+const headings = ["ID", "Name"];
+const data = () => [
+  ["c", "Cherry"],
+  ["a", "Apple"],
+  ["e", "Elderberry"],
+  ["b", "Banana"],
+  ["d", "Date"],
+];
+const key = (window, name, options = {}) =>
+  window.document.activeElement.dispatchEvent(
+    new window.KeyboardEvent("keydown", {
+      key: name,
+      bubbles: true,
+      cancelable: true,
+      ...options,
+    }),
+  );
+const focused = (window) => window.document.activeElement.textContent.trim();
+const bodyCell = (window, row, col) =>
+  window.document.querySelectorAll("#table tbody tr")[row].cells[col];
+// Clicking a cell makes it the tab stop, which can then take focus
+const focusCell = (window, cell) => {
+  cell.dispatchEvent(new window.MouseEvent("mousedown", { bubbles: true }));
+  cell.focus();
+};
+const tabStops = (window) =>
+  window.document.querySelectorAll('#table [tabindex="0"]').length;
+
+test("the table is a grid with a single tab stop and real row positions", () => {
+  const { window } = createTable({
+    headings,
+    data: data(),
+    pagination: { pageSize: 2 },
+  });
+  const table = window.document.querySelector("#table table");
+  assert.equal(table.getAttribute("role"), "grid");
+  // Header row plus all five rows, not just this page's two
+  assert.equal(table.getAttribute("aria-rowcount"), "6");
+  assert.deepEqual(
+    [...table.tBodies[0].rows].map((tr) => tr.getAttribute("aria-rowindex")),
+    ["2", "3"],
+  );
+  assert.equal(tabStops(window), 1);
+  assert.equal(table.tHead.rows[0].cells[0].tabIndex, 0);
+});
+
+test("arrow keys, Home and End move between cells", () => {
+  const { window } = createTable({ headings, data: data() });
+  focusCell(window, bodyCell(window, 0, 0));
+  key(window, "ArrowRight");
+  assert.equal(focused(window), "Cherry");
+  key(window, "ArrowDown");
+  key(window, "ArrowDown");
+  assert.equal(focused(window), "Elderberry");
+  key(window, "Home");
+  assert.equal(focused(window), "e");
+  key(window, "ArrowUp");
+  key(window, "ArrowUp");
+  key(window, "ArrowUp");
+  assert.equal(focused(window), "ID");
+  key(window, "End", { ctrlKey: true });
+  assert.equal(focused(window), "Date");
+  assert.equal(tabStops(window), 1);
+  assert.equal(window.document.activeElement.tabIndex, 0);
+});
+
+test("PageDown moves to the same row on the next page", () => {
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    pagination: { pageSize: 2 },
+  });
+  focusCell(window, bodyCell(window, 1, 1));
+  key(window, "PageDown");
+  assert.equal(table.currentPage, 1);
+  assert.equal(focused(window), "Banana");
+  key(window, "PageDown");
+  assert.equal(table.currentPage, 2);
+  assert.equal(focused(window), "Date");
+  key(window, "PageUp");
+  assert.equal(table.currentPage, 1);
+});
+
+test("Enter sorts a header and runs onRowClick on a row", () => {
+  const clicks = [];
+  const { window } = createTable({
+    headings,
+    data: data(),
+    onRowClick: (row) => clicks.push(row[1]),
+  });
+  const th = window.document.querySelector('#table th[data-col-index="1"]');
+  focusCell(window, th);
+  key(window, "Enter");
+  assert.equal(th.getAttribute("aria-sort"), "ascending");
+  assert.equal(
+    window.document
+      .querySelector('#table th[data-col-index="0"]')
+      .getAttribute("aria-sort"),
+    "none",
+  );
+
+  focusCell(window, bodyCell(window, 0, 1));
+  key(window, "Enter");
+  assert.deepEqual(clicks, ["Apple"]);
+});
+
+test("Space toggles selection and Shift+Space extends it", () => {
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+    selection: true,
+  });
+  focusCell(window, bodyCell(window, 0, 1));
+  key(window, " ");
+  assert.deepEqual(plain(table.getSelectedRows().map((r) => r.key)), ["c"]);
+  assert.equal(
+    window.document
+      .querySelector("#table tbody tr")
+      .getAttribute("aria-selected"),
+    "true",
+  );
+  key(window, "ArrowDown");
+  key(window, "ArrowDown");
+  key(window, " ", { shiftKey: true });
+  assert.deepEqual(plain(table.getSelectedRows().map((r) => r.key)), [
+    "c",
+    "a",
+    "e",
+  ]);
+});
+
+test("filtering announces the result count in a live region", () => {
+  const { window, table } = createTable({ headings, data: data() });
+  const live = window.document.querySelector(".table-library-live");
+  assert.equal(live.getAttribute("aria-live"), "polite");
+  filter(window, table, { Name: "an" });
+  assert.equal(live.textContent, "1 of 5 rows match the filters");
+});
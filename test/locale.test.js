@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText, filter } = require("./helpers");
+
+test("numbers follow the column's Intl options and the table locale", () => {
+  const { window } = createTable({
+    headings: ["Item", "Price"],
+    data: [["Pen", 1234.5]],
+    locale: "de-DE",
+    formatConfig: { Price: { style: "currency", currency: "EUR" } },
+  });
+  // Intl puts a no-break space before the currency sign
+  assert.deepEqual(
+    columnText(window, "Price").map((text) => text.replace(/\s/g, " ")),
+    ["1.234,50 €"],
+  );
+});
+
+test("edit errors come from messages", async () => {
+  let reply = false;
+  const { table } = createTable({
+    headings: ["A"],
+    data: [[1]],
+    messages: {
+      editRejected: "Änderung abgelehnt",
+      editSaveFailed: "Speichern fehlgeschlagen",
+    },
+    onCellEdit: () => {
+      if (reply instanceof Error) throw reply;
+      return reply;
+    },
+  });
+  assert.equal(await table.setCellValue(0, 0, 2), false);
+  assert.equal(table.lastEditError, "Änderung abgelehnt");
+
+  reply = new Error("");
+  assert.equal(await table.setCellValue(0, 0, 2), false);
+  assert.equal(table.lastEditError, "Speichern fehlgeschlagen");
+});
+
+test("timestamps are filtered by the day in config.timeZone", () => {
+  const { window, table } = createTable({
+    headings: ["At"],
+    timeZone: "Asia/Tokyo",
+    data: [
+      [new Date("2024-01-01T20:00:00Z")], // Jan 2, 05:00 in Tokyo
+      [new Date("2024-01-01T10:00:00Z")], // Jan 1, 19:00 in Tokyo
+    ],
+  });
+  filter(window, table, { At: { from: "2024-01-02", to: "2024-01-02" } });
+  assert.deepEqual(table.viewIndexes, [0]);
+});
+
+test("a range across a DST change keeps whole days in the zone", () => {
+  const { window, table } = createTable({
+    headings: ["At"],
+    data: [
+      [new Date("2024-03-10T04:59:00Z")], // Mar 9, 23:59 EST
+      [new Date("2024-03-11T03:59:00Z")], // Mar 10, 23:59 EDT
+      [new Date("2024-03-11T04:00:00Z")], // Mar 11, 00:00 EDT
+    ],
+    timeZone: "America/New_York",
+  });
+  filter(window, table, { At: { from: "2024-03-10", to: "2024-03-10" } });
+  assert.deepEqual(table.viewIndexes, [1]);
+});
@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+const { JSDOM } = require("jsdom");
+
+const src = path.join(__dirname, "..", "src");
+const key = Symbol.for("smart-table-library");
+
+test("the ES module entry exports the CommonJS classes in Node", async () => {
+  const cjs = require("../src/table-library.js");
+  const esm = await import(pathToFileURL(path.join(src, "table-library.mjs")));
+  assert.strictEqual(esm.TableLibrary, cjs.TableLibrary);
+  assert.strictEqual(esm.initTableLibrary, cjs.initTableLibrary);
+  assert.strictEqual(esm.default, cjs.TableLibrary);
+  assert.strictEqual(globalThis.TableLibrary, undefined);
+});
+
+test("the ES module entry loads without CommonJS, as in a browser", async () => {
+  // "type": "module" makes Node load table-library.js as an ES module,
+  // the way <script type="module"> does: no `module`, no default export
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "table-library-"));
+  fs.writeFileSync(path.join(dir, "package.json"), '{ "type": "module" }');
+  for (const file of ["table-library.js", "table-library.mjs"]) {
+    fs.copyFileSync(path.join(src, file), path.join(dir, file));
+  }
+  const saved = globalThis[key];
+  globalThis.window = globalThis;
+  try {
+    const esm = await import(
+      pathToFileURL(path.join(dir, "table-library.mjs"))
+    );
+    assert.strictEqual(typeof esm.TableLibrary.renderToString, "function");
+    assert.strictEqual(globalThis.TableLibrary, esm.TableLibrary);
+    assert.strictEqual(globalThis.initTableLibrary, esm.initTableLibrary);
+  } finally {
+    delete globalThis.window;
+    delete globalThis.TableLibrary;
+    delete globalThis.initTableLibrary;
+    globalThis[key] = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a browser with a CommonJS `module` still gets the globals", () => {
+  const dom = new JSDOM("<!doctype html><body></body>", {
+    runScripts: "outside-only",
+  });
+  dom.window.module = { exports: {} };
+  dom.window.eval(fs.readFileSync(path.join(src, "table-library.js"), "utf8"));
+  assert.strictEqual(
+    dom.window.module.exports.TableLibrary,
+    dom.window.TableLibrary,
+  );
+  assert.strictEqual(typeof dom.window.initTableLibrary, "function");
+});
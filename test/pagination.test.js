@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText } = require("./helpers");
+
+const headings = ["ID", "Name"];
+const rows = (count) =>
+  Array.from({ length: count }, (_, i) => [i + 1, `Row ${i + 1}`]);
+
+test("pagination renders one page and the buttons move between pages", () => {
+  const { window, table } = createTable({
+    headings,
+    data: rows(23),
+    pagination: { pageSize: 10 },
+  });
+  assert.deepEqual(columnText(window, "ID").slice(0, 2), ["1", "2"]);
+  assert.equal(columnText(window, "ID").length, 10);
+  assert.equal(table.getPageCount(), 3);
+
+  const button = (page) =>
+    window.document.querySelector(
+      `.table-library-page-btn[data-page="${page}"]`,
+    );
+  button("next").click();
+  assert.equal(table.getPage(), 2);
+  assert.equal(columnText(window, "ID")[0], "11");
+  button("last").click();
+  assert.deepEqual(columnText(window, "ID"), ["21", "22", "23"]);
+  assert.match(
+    window.document.querySelector(".table-library-page-info").textContent,
+    /Page 3 of 3/,
+  );
+});
+
+test("setPage clamps to the available pages", () => {
+  const { table } = createTable({
+    headings,
+    data: rows(23),
+    pagination: { pageSize: 10 },
+  });
+  table.setPage(99);
+  assert.equal(table.getPage(), 3);
+  table.setPage(-1);
+  assert.equal(table.getPage(), 1);
+});
+
+test("changing the page size keeps the first row of the page in view", () => {
+  const { window, table } = createTable({
+    headings,
+    data: rows(100),
+    pagination: { pageSize: 10 },
+  });
+  table.setPage(4); // rows 31-40
+  table.setPageSize(25);
+  assert.equal(table.getPage(), 2);
+  assert.equal(columnText(window, "ID")[0], "26");
+});
+
+test("sorting applies to all rows, not only the current page", () => {
+  const { window, table } = createTable({
+    headings,
+    data: rows(30),
+    pagination: { pageSize: 10 },
+  });
+  table.setSort({ column: "ID", direction: "desc" });
+  assert.equal(columnText(window, "ID")[0], "30");
+});
+
+test("virtual scroll renders only the rows near the viewport", async () => {
+  const { window, table } = createTable({
+    headings,
+    data: rows(1000),
+    virtualScroll: { rowHeight: 20, overscan: 5, height: "200px" },
+  });
+  const ids = () => columnText(window, "ID").map(Number);
+  assert.ok(ids().length < 50);
+  assert.equal(ids()[0], 1);
+
+  const spacers = window.document.querySelectorAll(
+    ".table-library-virtual-spacer",
+  );
+  assert.equal(spacers.length, 1);
+
+  const scroller = window.document.querySelector(".table-library-scroller");
+  scroller.scrollTop = 10000; // row 500
+  scroller.dispatchEvent(new window.Event("scroll"));
+  await new Promise((resolve) => window.setTimeout(resolve, 50));
+
+  assert.ok(ids().includes(500));
+  assert.ok(!ids().includes(1));
+  assert.ok(ids().length < 50);
+  assert.equal(table.getFilteredData().length, 1000);
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, plain } = require("./helpers");
+
+const headings = ["Name", "Qty", "Notes", "Actions"];
+const data = [["Bolt", 3, "steel", "edit"]];
+const headerText = (window) =>
+  [
+    ...window.document.querySelectorAll("#table thead .table-library-heading"),
+  ].map((heading) => heading.textContent.trim());
+const pinStyle = (window) =>
+  window.document.querySelector("style.table-library-pin-style");
+// Sticky offset of a column's header cell in the pin stylesheet
+const offset = (window, colIndex, side) => {
+  const rule = pinStyle(window)
+    .textContent.split("\n")
+    .find((line) => line.includes(`th[data-col-index="${colIndex}"], `));
+  return rule && rule.match(new RegExp(`${side}: (\\d+)px`))[1];
+};
+
+test("pinned columns move to the edges with sticky offsets", () => {
+  const { window } = createTable({
+    headings,
+    data,
+    pinnedColumns: { left: ["Notes", "Qty"], right: "Actions" },
+    widthConfig: { Notes: 150, Qty: 80, Actions: 90 },
+  });
+  assert.deepEqual(headerText(window), ["Qty", "Notes", "Name", "Actions"]);
+  assert.equal(offset(window, 1, "left"), "0");
+  assert.equal(offset(window, 2, "left"), "80");
+  assert.equal(offset(window, 3, "right"), "0");
+  assert.equal(offset(window, 0, "left"), undefined);
+});
+
+test("pins change at runtime and show in the column state", () => {
+  const { window, table } = createTable({ headings, data });
+  assert.equal(pinStyle(window), null);
+
+  table.setPinnedColumns({ right: ["Name"] });
+  assert.deepEqual(headerText(window), ["Qty", "Notes", "Actions", "Name"]);
+  assert.equal(
+    plain(table.getColumnState()).find((c) => c.column === "Name").pinned,
+    "right",
+  );
+
+  table.setColumnState([{ column: "Name", pinned: null }]);
+  assert.equal(pinStyle(window), null);
+  table.setColumnState([{ column: "Actions", pinned: "left" }]);
+  assert.equal(headerText(window)[0], "Actions");
+});
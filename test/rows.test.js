@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText, plain } = require("./helpers");
+
+const headings = ["ID", "Name", "Qty"];
+const data = () => [
+  ["a", "Apple", 3],
+  ["b", "Banana", 1],
+  ["c", "Cherry", 2],
+];
+const rowElement = (window, key) =>
+  [...window.document.querySelectorAll("#table tbody tr[data-row-index]")].find(
+    (tr) =>
+      tr.querySelector('td[data-heading="ID"]').textContent.trim() === key,
+  );
+
+test("addRows appends rows and keeps the current sort", () => {
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+  });
+  table.setSort({ column: "Qty", direction: "asc" });
+  table.addRows([["d", "Date", 0]]);
+  assert.deepEqual(columnText(window, "ID"), ["d", "b", "c", "a"]);
+  assert.equal(table.getData().length, 4);
+});
+
+test("updateRow patches one row by key and leaves the others' elements alone", () => {
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+  });
+  const other = rowElement(window, "c");
+  assert.equal(table.updateRow("b", { Qty: 10 }), true);
+  assert.deepEqual(columnText(window, "Qty"), ["3", "10", "2"]);
+  assert.equal(rowElement(window, "c"), other);
+
+  table.updateRow("a", (row) => [row[0], "Apricot", row[2]]);
+  assert.equal(columnText(window, "Name")[0], "Apricot");
+  assert.equal(table.updateRow("zzz", { Qty: 1 }), false);
+});
+
+test("updateRow does not change the array passed in as data", () => {
+  const rows = data();
+  const { table } = createTable({ headings, data: rows, rowKey: "ID" });
+  table.updateRow("a", ["a", "Avocado", 7]);
+  assert.deepEqual(rows[0], ["a", "Apple", 3]);
+  assert.deepEqual(plain(table.getData()[0]), ["a", "Avocado", 7]);
+});
+
+test("removeRows drops rows by key and ignores unknown keys", () => {
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+  });
+  table.removeRows(["a", "nope"]);
+  assert.deepEqual(columnText(window, "ID"), ["b", "c"]);
+  table.removeRows("c");
+  assert.deepEqual(columnText(window, "ID"), ["b"]);
+  assert.equal(table.updateRow("b", { Qty: 5 }), true);
+  assert.deepEqual(plain(table.getData()), [["b", "Banana", 5]]);
+});
+
+test("upsert updates existing keys and appends new ones", () => {
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+  });
+  table.upsert([
+    ["b", "Blueberry", 4],
+    ["e", "Elderberry", 9],
+  ]);
+  assert.deepEqual(columnText(window, "Name"), [
+    "Apple",
+    "Blueberry",
+    "Cherry",
+    "Elderberry",
+  ]);
+});
+
+test("without a rowKey, rows are keyed by their index", () => {
+  const { window, table } = createTable({ headings, data: data() });
+  table.updateRow(2, { Name: "Cranberry" });
+  table.removeRows([0]);
+  assert.deepEqual(columnText(window, "Name"), ["Banana", "Cranberry"]);
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, plain } = require("./helpers");
+
+const headings = ["ID", "Name"];
+const data = () => [
+  ["a", "Apple"],
+  ["b", "Banana"],
+  ["c", "Cherry"],
+  ["d", "Date"],
+  ["e", "Elderberry"],
+];
+const rowBoxes = (window) => [
+  ...window.document.querySelectorAll("#table .table-library-row-select"),
+];
+const clickBox = (window, box, shiftKey = false) =>
+  box.dispatchEvent(
+    new window.MouseEvent("click", { bubbles: true, shiftKey }),
+  );
+const selectedKeys = (table) =>
+  plain(table.getSelectedRows().map((r) => r.key));
+
+test("row checkboxes select rows by key and report changes", () => {
+  const changes = [];
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+    selection: true,
+    onSelectionChange: ({ keys }) => changes.push(plain(keys)),
+  });
+  clickBox(window, rowBoxes(window)[1]);
+  assert.deepEqual(selectedKeys(table), ["b"]);
+  assert.deepEqual(changes, [["b"]]);
+  assert.equal(
+    window.document.querySelector(".table-library-bulk-actions").hidden,
+    false,
+  );
+});
+
+test("Shift+click selects the range in view order", () => {
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+    selection: true,
+  });
+  table.setSort({ column: "Name", direction: "desc" }); // e d c b a
+  clickBox(window, rowBoxes(window)[0]);
+  clickBox(window, rowBoxes(window)[2], true);
+  assert.deepEqual(selectedKeys(table), ["c", "d", "e"]);
+});
+
+test("select-all selects the filtered rows and shows a partial state", () => {
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+    selection: true,
+  });
+  const all = window.document.querySelector(".table-library-select-all");
+  clickBox(window, all);
+  assert.equal(table.getSelectedRows().length, 5);
+
+  table.setSelection(["a", "zzz"]);
+  assert.deepEqual(selectedKeys(table), ["a"]);
+  assert.equal(all.checked, false);
+  assert.equal(all.indeterminate, true);
+
+  table.clearSelection();
+  assert.deepEqual(selectedKeys(table), []);
+});
+
+test("bulk actions get the selected rows", () => {
+  let received = null;
+  const { window, table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+    selection: {
+      bulkActions: [{ label: "Archive", action: (args) => (received = args) }],
+    },
+  });
+  table.setSelection(["b", "d"]);
+  window.document.querySelector(".table-library-bulk-btn").click();
+  assert.deepEqual(plain(received.keys), ["b", "d"]);
+  assert.deepEqual(plain(received.rows.map((row) => row.data)), [
+    ["b", "Banana"],
+    ["d", "Date"],
+  ]);
+});
+
+test("the selection follows its rows when others are removed", () => {
+  const { table } = createTable({ headings, data: data(), selection: true });
+  table.setSelection([2]); // "c", keyed by index
+  table.removeRows([0]);
+  assert.deepEqual(plain(table.getSelectedRows().map((row) => row.data[0])), [
+    "c",
+  ]);
+});
+
+test("removed rows leave the selection", () => {
+  const { table } = createTable({
+    headings,
+    data: data(),
+    rowKey: "ID",
+    selection: true,
+  });
+  table.setSelection(["a", "b"]);
+  table.removeRows(["a"]);
+  assert.deepEqual(selectedKeys(table), ["b"]);
+});
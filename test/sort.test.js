@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText, plain } = require("./helpers");
+
+const headings = ["Name", "Qty", "Due"];
+const data = [
+  ["banana", 10, new Date("2024-03-01T00:00:00Z")],
+  ["Apple", 2, null],
+  ["cherry", 10, new Date("2024-01-15T00:00:00Z")],
+  ["apple 10", 100, new Date("2024-02-01T00:00:00Z")],
+];
+
+test("numbers sort numerically, not as text", () => {
+  const { window, table } = createTable({ headings, data });
+  table.setSort({ column: "Qty", direction: "asc" });
+  assert.deepEqual(columnText(window, "Qty"), ["2", "10", "10", "100"]);
+});
+
+test("text sorts case-insensitively", () => {
+  const { window, table } = createTable({ headings, data });
+  table.setSort({ column: "Name", direction: "asc" });
+  assert.deepEqual(columnText(window, "Name"), [
+    "Apple",
+    "apple 10",
+    "banana",
+    "cherry",
+  ]);
+});
+
+test("dates sort by time and empty cells go last in both directions", () => {
+  const { window, table } = createTable({ headings, data });
+  table.setSort({ column: "Due", direction: "asc" });
+  assert.deepEqual(columnText(window, "Name"), [
+    "cherry",
+    "apple 10",
+    "banana",
+    "Apple",
+  ]);
+  table.setSort({ column: "Due", direction: "desc" });
+  assert.deepEqual(columnText(window, "Name"), [
+    "banana",
+    "apple 10",
+    "cherry",
+    "Apple",
+  ]);
+});
+
+test("later sort columns break ties", () => {
+  const { window, table } = createTable({ headings, data });
+  table.setSort([
+    { column: "Qty", direction: "desc" },
+    { column: "Name", direction: "asc" },
+  ]);
+  assert.deepEqual(columnText(window, "Name"), [
+    "apple 10",
+    "banana",
+    "cherry",
+    "Apple",
+  ]);
+  assert.deepEqual(plain(table.getSort()), [
+    { column: "Qty", direction: "desc" },
+    { column: "Name", direction: "asc" },
+  ]);
+});
+
+test("clicking a header toggles its sort", () => {
+  const { window, table } = createTable({ headings, data });
+  const th = window.document.querySelector('#table th[data-col-index="1"]');
+  th.click();
+  assert.deepEqual(plain(table.getSort()), [
+    { column: "Qty", direction: "asc" },
+  ]);
+  th.click();
+  assert.deepEqual(plain(table.getSort()), [
+    { column: "Qty", direction: "desc" },
+  ]);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTable, columnText, plain } = require("./helpers");
+
+const headings = ["Name", "Qty"];
+const data = [
+  ["apple", 3],
+  ["avocado", 1],
+  ["banana", 2],
+];
+const url = "https://example.test/orders";
+
+/**
+ * Save now (changes are saved after a short delay), then mount the table
+ * again in the same window, optionally opened with another query string
+ */
+function reopen(window, table, config, search) {
+  table.saveState();
+  table.destroy();
+  if (search !== undefined) window.history.replaceState(null, "", search);
+  return window.initTableLibrary({ container: "#table", ...config });
+}
+
+test("sort, filters and page size are saved and restored", () => {
+  const config = {
+    headings,
+    data,
+    stateKey: "orders",
+    pagination: { pageSize: 10 },
+  };
+  const { window, table } = createTable(config, { url });
+  table.setSort({ column: "Qty", direction: "desc" });
+  table.setFilterState({ Name: "a" });
+  table.filterTable();
+  table.setPageSize(25);
+
+  const restored = reopen(window, table, config);
+  assert.deepEqual(plain(restored.getSort()), [
+    { column: "Qty", direction: "desc" },
+  ]);
+  assert.deepEqual(plain(restored.getFilterState()), { Name: "a" });
+  assert.deepEqual(columnText(window, "Name"), ["apple", "banana", "avocado"]);
+  assert.equal(restored.getPaginationOptions().pageSize, 25);
+});
+
+test("urlState writes filters and sort to the query string", () => {
+  const { window, table } = createTable(
+    { headings, data, urlState: true },
+    { url },
+  );
+  table.setSort({ column: "Name", direction: "desc" });
+  table.setFilterState({ Name: "an" });
+  table.filterTable();
+  table.saveState();
+  const params = new URLSearchParams(window.location.search);
+  assert.equal(params.get("sort"), "Name:desc");
+  assert.equal(params.get("filter.Name"), "an");
+});
+
+test("a URL with only filters keeps the saved sort", () => {
+  const config = { headings, data, stateKey: "orders", urlState: true };
+  const { window, table } = createTable(config, { url });
+  table.setSort({ column: "Name", direction: "desc" });
+
+  const restored = reopen(window, table, config, "?filter.Name=a");
+  assert.deepEqual(plain(restored.getSort()), [
+    { column: "Name", direction: "desc" },
+  ]);
+  assert.deepEqual(plain(restored.getFilterState()), { Name: "a" });
+});
+
+test("a URL with only a sort keeps the saved filters", () => {
+  const config = { headings, data, stateKey: "orders", urlState: true };
+  const { window, table } = createTable(config, { url });
+  table.setFilterState({ Name: "an" });
+  table.filterTable();
+
+  const restored = reopen(window, table, config, "?sort=Qty:asc");
+  assert.deepEqual(plain(restored.getFilterState()), { Name: "an" });
+  assert.deepEqual(plain(restored.getSort()), [
+    { column: "Qty", direction: "asc" },
+  ]);
+  assert.deepEqual(columnText(window, "Name"), ["banana"]);
+});
+
+test("a saved state from another stateVersion is ignored", () => {
+  const { window, table } = createTable(
+    { headings, data, stateKey: "orders", stateVersion: 1 },
+    { url },
+  );
+  table.setSort({ column: "Qty", direction: "asc" });
+  const restored = reopen(window, table, {
+    headings,
+    data,
+    stateKey: "orders",
+    stateVersion: 2,
+  });
+  assert.deepEqual(plain(restored.getSort()), []);
+});
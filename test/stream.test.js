@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const { createTable, columnText, plain } = require("./helpers");
+
+const headings = ["ID", "Price"];
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// jsdom runs animation frames at 60 fps
+const nextFrame = () => wait(40);
+
+test("messages are upserted once per frame", async () => {
+  const { window, table } = createTable({
+    headings,
+    data: [["a", 1]],
+    rowKey: "ID",
+  });
+  let renders = 0;
+  const refreshView = table.refreshView.bind(table);
+  table.refreshView = (options) => {
+    renders++;
+    refreshView(options);
+  };
+
+  const feed = new EventEmitter();
+  const stream = table.stream(feed);
+  feed.emit("message", ["b", 2]);
+  feed.emit(
+    "message",
+    JSON.stringify([
+      ["c", 3],
+      ["a", 5],
+    ]),
+  );
+  feed.emit("message", ["a", 10]);
+  assert.equal(stream.pending, 4);
+  assert.deepEqual(columnText(window, "ID"), ["a"]);
+
+  await nextFrame();
+  assert.equal(renders, 1);
+  assert.equal(stream.pending, 0);
+  assert.deepEqual(columnText(window, "ID"), ["a", "b", "c"]);
+  // The last message for a key wins, and its change is flashed
+  assert.deepEqual(columnText(window, "Price"), ["10", "2", "3"]);
+  assert.ok(
+    window.document
+      .querySelector('#table tr[data-row-index="0"] td[data-col-index="1"]')
+      .classList.contains("table-library-cell-changed"),
+  );
+  assert.equal(
+    window.document.querySelectorAll("#table .table-library-row-new").length,
+    2,
+  );
+
+  feed.emit("end");
+  await stream.done;
+  table.destroy();
+});
+
+test("maxRows keeps the newest rows", async () => {
+  const { window, table } = createTable({
+    headings,
+    data: [
+      ["a", 1],
+      ["b", 2],
+    ],
+    rowKey: "ID",
+  });
+  const stream = table.stream(
+    [
+      [["c", 3]],
+      [
+        ["b", 20],
+        ["d", 4],
+      ],
+    ],
+    {
+      maxRows: 3,
+      highlight: false,
+    },
+  );
+  await stream.done;
+  await nextFrame();
+  // "b" was updated in place, so "a" is the oldest row
+  assert.deepEqual(columnText(window, "ID"), ["b", "c", "d"]);
+  assert.equal(table.config.data.length, 3);
+  table.destroy();
+});
+
+test("rows dropped by maxRows shift index-keyed edits and detail rows", async () => {
+  const { window, table } = createTable({
+    headings,
+    data: [
+      ["a", 1],
+      ["b", 2],
+      ["c", 3],
+    ],
+    editConfig: { Price: true },
+    expandableRows: true,
+  });
+  await table.setCellValue(2, 1, 30);
+  table.toggleRowDetail(2);
+
+  const stream = table.stream([[["d", 4]]], { maxRows: 3, highlight: false });
+  await stream.done;
+  await nextFrame();
+  assert.deepEqual(columnText(window, "ID"), ["b", "c", "d"]);
+  assert.deepEqual(
+    plain(table.getChanges().map(({ rowIndex, value }) => [rowIndex, value])),
+    [[1, 30]],
+  );
+  assert.equal(table.isRowExpanded(1), true);
+  const detail = window.document.querySelector(".table-library-detail-row");
+  assert.equal(
+    detail.previousElementSibling
+      .querySelector('td[data-heading="ID"]')
+      .textContent.trim(),
+    "c",
+  );
+
+  assert.equal(await table.undo(), true);
+  assert.deepEqual(columnText(window, "Price"), ["2", "3", "4"]);
+  table.destroy();
+});
+
+test("pauseOnScroll holds rows while the table scrolls", async () => {
+  const { window, table } = createTable({
+    headings,
+    data: [["a", 1]],
+    rowKey: "ID",
+  });
+  const feed = new EventEmitter();
+  const stream = table.stream(feed, { pauseOnScroll: 80 });
+  window.document
+    .querySelector(".table-library-scroller")
+    .dispatchEvent(new window.Event("scroll"));
+  feed.emit("message", ["b", 2]);
+
+  await nextFrame();
+  assert.equal(stream.paused, true);
+  assert.equal(stream.pending, 1);
+  assert.deepEqual(columnText(window, "ID"), ["a"]);
+
+  await wait(80);
+  await nextFrame();
+  assert.equal(stream.paused, false);
+  assert.deepEqual(columnText(window, "ID"), ["a", "b"]);
+
+  stream.stop();
+  await stream.done;
+  table.destroy();
+});
+
+test("an iterator that throws ends the stream after its rows", async () => {
+  const { window, table } = createTable({
+    headings,
+    data: [],
+    rowKey: "ID",
+  });
+  async function* feed() {
+    yield ["a", 1];
+    throw new Error("connection lost");
+  }
+
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (...args) => errors.push(args);
+  let stream;
+  try {
+    stream = table.stream(feed());
+    await stream.done;
+  } finally {
+    console.error = consoleError;
+  }
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0][0], "Error in stream:");
+  assert.equal(errors[0][1].message, "connection lost");
+  assert.equal(table.streams.size, 0);
+  assert.deepEqual(columnText(window, "ID"), ["a"]);
+  table.destroy();
+});